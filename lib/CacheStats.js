@@ -0,0 +1,122 @@
+/*!
+ * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
+ */
+import {performance} from 'node:perf_hooks';
+
+// upper bounds (in milliseconds) of latency histogram buckets
+const LATENCY_BUCKETS = [1, 2, 5, 10, 25, 50, 100, 250, 500, 1000, Infinity];
+
+const COUNTERS = [
+  // entries found in the in-memory cache
+  'memoryHits',
+  // entries found in the database
+  'databaseHits',
+  // entries not found
+  'misses',
+  // entries not found because they were recently not found (these are also
+  // counted as `misses`)
+  'notFoundHits',
+  // expired entries evicted from the in-memory cache when read
+  'expiredEvictions',
+  // expired entries returned via `allowStale` (these are also counted as
+  // `misses`)
+  'staleHits',
+  // entries written
+  'upserts',
+  // entries removed
+  'removals'
+];
+
+const HISTOGRAMS = [
+  // time spent tokenizing IDs
+  'tokenizer',
+  // time spent performing database operations
+  'database'
+];
+
+/**
+ * Counters and latency histograms for the operations of a cache.
+ */
+export class CacheStats {
+  constructor() {
+    this.reset();
+  }
+
+  /**
+   * Increments a counter.
+   *
+   * @param {string} counter - The name of the counter.
+   * @param {number} [count=1] - The amount to increment the counter by.
+   */
+  increment(counter, count = 1) {
+    this.counters[counter] += count;
+  }
+
+  /**
+   * Records a duration in a latency histogram.
+   *
+   * @param {string} histogram - The name of the histogram.
+   * @param {number} duration - The duration in milliseconds.
+   */
+  record(histogram, duration) {
+    const h = this.histograms[histogram];
+    h.count++;
+    h.sum += duration;
+    h.buckets[LATENCY_BUCKETS.findIndex(le => duration <= le)]++;
+  }
+
+  /**
+   * Resets all counters and histograms.
+   */
+  reset() {
+    this.counters = Object.fromEntries(COUNTERS.map(c => [c, 0]));
+    this.histograms = Object.fromEntries(HISTOGRAMS.map(h => [h, {
+      count: 0,
+      sum: 0,
+      buckets: LATENCY_BUCKETS.map(() => 0)
+    }]));
+  }
+
+  /**
+   * Calls the given function and records the time until the promise it
+   * returns settles in a latency histogram.
+   *
+   * @param {string} histogram - The name of the histogram.
+   * @param {Function} fn - The function to call.
+   *
+   * @returns {Promise<*>} Resolves to the result of `fn`.
+   */
+  async time(histogram, fn) {
+    const start = performance.now();
+    try {
+      return await fn();
+    } finally {
+      this.record(histogram, performance.now() - start);
+    }
+  }
+
+  /**
+   * Returns a snapshot of all counters and histograms. Histogram buckets are
+   * cumulative, i.e., each bucket's `count` includes all durations that are
+   * less than or equal to its `le` (in milliseconds, or `+Inf`).
+   *
+   * @returns {object} The snapshot.
+   */
+  toJSON() {
+    const latency = {};
+    for(const [name, {count, sum, buckets}] of Object.entries(
+      this.histograms)) {
+      let cumulative = 0;
+      latency[name] = {
+        count,
+        sum,
+        buckets: buckets.map((n, i) => {
+          cumulative += n;
+          const le = LATENCY_BUCKETS[i];
+          return {le: le === Infinity ? '+Inf' : le, count: cumulative};
+        })
+      };
+    }
+    return {counters: {...this.counters}, latency};
+  }
+}
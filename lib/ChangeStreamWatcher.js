@@ -0,0 +1,172 @@
+/*!
+ * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as database from '@bedrock/mongodb';
+import {logger} from './logger.js';
+import {setTimeout} from 'node:timers/promises';
+
+// server error code when change streams are not supported, e.g., on a
+// standalone mongod
+const MDBE_CHANGE_STREAM_NOT_SUPPORTED = 40573;
+// server error code when a resume token is no longer in the oplog
+const MDBE_CHANGE_STREAM_HISTORY_LOST = 286;
+
+// only the `tokenizedId` of a changed entry is needed to evict it; inserts
+// are watched to clear any cached not found result for the entry
+const PIPELINE = [
+  {$match: {operationType: {$in: ['insert', 'update', 'replace', 'delete']}}},
+  {$project: {
+    operationType: 1,
+    'fullDocument.entry.tokenizedId': 1,
+    'fullDocumentBeforeChange.entry.tokenizedId': 1
+  }}
+];
+
+/**
+ * Watches the database collection of a cache via a change stream and evicts
+ * entries from the cache's in-memory caches whenever they are inserted,
+ * updated, replaced, or deleted by any app instance.
+ */
+export class ChangeStreamWatcher {
+  /**
+   * Creates a new ChangeStreamWatcher.
+   *
+   * @param {object} options - Options to use.
+   * @param {object} options.cache - The TokenizedCache to watch.
+   */
+  constructor({cache} = {}) {
+    this.cache = cache;
+    this.changeStream = null;
+    this.preImages = false;
+    this.resumeToken = undefined;
+    this.stopped = true;
+    this.watching = null;
+  }
+
+  /**
+   * Starts watching for changes.
+   *
+   * @returns {Promise} Resolves once watching has started.
+   */
+  async start() {
+    if(this.watching) {
+      return;
+    }
+    this.stopped = false;
+    this.preImages = await this._enablePreImages();
+    this.watching = this._watch();
+  }
+
+  /**
+   * Stops watching for changes.
+   *
+   * @returns {Promise} Resolves once watching has stopped.
+   */
+  async stop() {
+    this.stopped = true;
+    await this.changeStream?.close();
+    await this.watching;
+    this.watching = null;
+  }
+
+  // pre-images of deleted entries are needed to determine which entries to
+  // evict; these are only available in MongoDB 6.0+
+  async _enablePreImages() {
+    try {
+      await database.db.command({
+        collMod: this.cache.collectionName,
+        changeStreamPreAndPostImages: {enabled: true}
+      });
+      return true;
+    } catch(e) {
+      logger.warning(
+        'Could not enable change stream pre-images; all in-memory entries ' +
+        `for cache "${this.cache.name}" will be cleared when any entry is ` +
+        'deleted.', {error: e});
+      return false;
+    }
+  }
+
+  _handleChange({change} = {}) {
+    const record = change.fullDocumentBeforeChange ?? change.fullDocument;
+    const tokenizedId = record?.entry?.tokenizedId;
+    if(!tokenizedId) {
+      // the changed entry is unknown (e.g., a deleted entry without a
+      // pre-image or an `invalidate` event), so clear all in-memory entries
+      this.cache._invalidateAll();
+      return;
+    }
+    this.cache._invalidate({key: tokenizedId.toString('base64url')});
+  }
+
+  _openChangeStream() {
+    const options = {fullDocument: 'updateLookup'};
+    if(this.preImages) {
+      options.fullDocumentBeforeChange = 'whenAvailable';
+    }
+    if(this.resumeToken) {
+      // `startAfter` is used instead of `resumeAfter` as it also accepts the
+      // resume token of an `invalidate` event
+      options.startAfter = this.resumeToken;
+    }
+    return this.cache.collection.watch(PIPELINE, options);
+  }
+
+  // switches to a short in-memory `maxAge` when change streams are
+  // unavailable so that other app instances' changes are seen reasonably soon
+  _useFallback() {
+    const {changeStreams: {fallbackMaxAge}} = this.cache.config;
+    const {entryCache, notFoundCache} = this.cache;
+    for(const lruCache of [entryCache, notFoundCache]) {
+      if(!lruCache) {
+        continue;
+      }
+      const maxAge = Math.min(
+        lruCache.options.maxAge ?? fallbackMaxAge, fallbackMaxAge);
+      lruCache.options.maxAge = maxAge;
+      lruCache.cache.maxAge = maxAge;
+    }
+    this.cache._invalidateAll();
+    logger.warning(
+      'Change streams are not supported; in-memory entries for cache ' +
+      `"${this.cache.name}" will be cached for at most ` +
+      `${fallbackMaxAge} ms.`);
+  }
+
+  async _watch() {
+    const {changeStreams: {retryInterval}} = this.cache.config;
+    while(!this.stopped) {
+      let changeStream;
+      try {
+        changeStream = this.changeStream = this._openChangeStream();
+        for await (const change of changeStream) {
+          this._handleChange({change});
+        }
+        // change stream ended, e.g., after an `invalidate` event
+        this.resumeToken = changeStream.resumeToken ?? this.resumeToken;
+      } catch(e) {
+        if(this.stopped) {
+          break;
+        }
+        if(e.code === MDBE_CHANGE_STREAM_NOT_SUPPORTED) {
+          this._useFallback();
+          break;
+        }
+        if(e.code === MDBE_CHANGE_STREAM_HISTORY_LOST) {
+          // changes may have been missed, so clear all in-memory entries and
+          // start watching again from now
+          this.cache._invalidateAll();
+          this.resumeToken = undefined;
+        } else {
+          this.resumeToken = changeStream?.resumeToken ?? this.resumeToken;
+        }
+        logger.error(
+          `Error watching changes for cache "${this.cache.name}".`,
+          {error: e});
+        await changeStream?.close();
+        await setTimeout(retryInterval);
+      }
+    }
+    this.changeStream = null;
+  }
+}
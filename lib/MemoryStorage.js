@@ -0,0 +1,714 @@
+/*!
+ * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+import * as clock from './clock.js';
+
+const {util: {BedrockError}} = bedrock;
+
+// emulates a TTL index; see the note on TTL index grace periods in
+// `MongoStorage.js`
+const TTL_GRACE_PERIOD = 24 * 60 * 60 * 1000;
+// time in milliseconds between removals of records that have expired for
+// longer than `TTL_GRACE_PERIOD`
+const TTL_INTERVAL = 60 * 1000;
+
+/**
+ * Stores the entries of a cache in memory, in the current process only. This
+ * backend has the same semantics as `MongoStorage` (including the expiration
+ * of records and the grace period before expired records are removed) and is
+ * intended for tests and for single process deployments that do not need
+ * entries to persist. Database query explain information is not supported.
+ */
+export class MemoryStorage {
+  /**
+   * Creates a new MemoryStorage.
+   */
+  constructor() {
+    // records by base64url-encoded `tokenizedId`
+    this.records = new Map();
+    // sweep leases by ID
+    this.leases = new Map();
+    this.timer = null;
+  }
+
+  /**
+   * Starts removing expired records periodically (if configured to do so);
+   * called once the database is ready.
+   *
+   * @param {object} options - Options to use.
+   * @param {boolean} options.autoRemoveExpiredRecords - Whether to
+   *   automatically remove expired records.
+   *
+   * @returns {Promise} Resolves once the storage is ready.
+   */
+  async init({autoRemoveExpiredRecords} = {}) {
+    if(!autoRemoveExpiredRecords || this.timer) {
+      return;
+    }
+    this.timer = setInterval(() => this._removeExpired({
+      expiredBefore: new Date(clock.now() - TTL_GRACE_PERIOD)
+    }), TTL_INTERVAL);
+    // do not keep the process alive just to remove expired records
+    this.timer.unref();
+  }
+
+  /**
+   * Stops removing expired records periodically; called on `bedrock.stop`.
+   *
+   * @returns {Promise} Resolves once stopped.
+   */
+  async stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Finds a single record.
+   *
+   * @param {object} options - Options to use.
+   * @param {Buffer} options.tokenizedId - The tokenized ID of the entry.
+   * @param {boolean} [options.explain=false] - Not supported.
+   *
+   * @returns {Promise<object>} Resolves to the record or `null` if not found.
+   */
+  async findOne({tokenizedId, explain = false} = {}) {
+    _assertNoExplain({explain});
+    return _copy(this._get({tokenizedId}) ?? null);
+  }
+
+  /**
+   * Finds many records at once.
+   *
+   * @param {object} options - Options to use.
+   * @param {Array<Buffer>} options.tokenizedIds - The tokenized IDs of the
+   *   entries.
+   * @param {boolean} [options.values=true] - Set to false to omit the value
+   *   (`value`, `encrypted`, or `compressed`) from the records.
+   * @param {boolean} [options.explain=false] - Not supported.
+   *
+   * @returns {Promise<Array<object>>} Resolves to the records that were
+   *   found.
+   */
+  async find({tokenizedIds, values = true, explain = false} = {}) {
+    _assertNoExplain({explain});
+    const records = [];
+    for(const tokenizedId of new Set(tokenizedIds.map(_key))) {
+      const record = this.records.get(tokenizedId);
+      if(!record) {
+        continue;
+      }
+      if(values) {
+        records.push(_copy(record));
+      } else {
+        const copy = _copy(record);
+        _omitValue({entry: copy.entry});
+        records.push(copy);
+      }
+    }
+    return records;
+  }
+
+  /**
+   * Lists records in `tokenizedId` order, using the same order as the
+   * database.
+   *
+   * @param {object} options - Options to use.
+   * @param {Buffer} [options.after] - If given, only records with a
+   *   `tokenizedId` after this one are listed.
+   * @param {number} options.limit - The maximum number of records to list.
+   * @param {boolean} [options.includeExpired=false] - Set to true to include
+   *   expired records.
+   * @param {Date} [options.expiresBefore] - If given, only records that
+   *   expire before this date are listed.
+   * @param {boolean} [options.values=true] - Set to false to omit the value
+   *   (`value`, `encrypted`, or `compressed`) from the records.
+   * @param {number} options.now - The current time in milliseconds.
+   * @param {boolean} [options.explain=false] - Not supported.
+   *
+   * @returns {Promise<Array<object>>} Resolves to the records.
+   */
+  async list({
+    after, limit, includeExpired = false, expiresBefore, values = true, now,
+    explain = false
+  } = {}) {
+    _assertNoExplain({explain});
+    const records = [...this.records.values()].filter(({entry}) =>
+      (after === undefined || _compareIds(entry.tokenizedId, after) > 0) &&
+      (includeExpired || !(entry.expires < new Date(now))) &&
+      (expiresBefore === undefined || entry.expires < expiresBefore));
+    records.sort(
+      (a, b) => _compareIds(a.entry.tokenizedId, b.entry.tokenizedId));
+    return records.slice(0, limit).map(record => {
+      const copy = _copy(record);
+      if(!values) {
+        _omitValue({entry: copy.entry});
+      }
+      return copy;
+    });
+  }
+
+  /**
+   * Counts records.
+   *
+   * @param {object} options - Options to use.
+   * @param {number} options.now - The current time in milliseconds.
+   *
+   * @returns {Promise<object>} Resolves to an object with the `total` number
+   *   of records and the number that have `expired` and are `unexpired`.
+   */
+  async count({now} = {}) {
+    let unexpired = 0;
+    for(const {entry} of this.records.values()) {
+      if(!(entry.expires < new Date(now))) {
+        unexpired++;
+      }
+    }
+    const total = this.records.size;
+    return {total, expired: total - unexpired, unexpired};
+  }
+
+  /**
+   * Inserts a record unless a record with the same `tokenizedId` exists.
+   *
+   * @param {object} options - Options to use.
+   * @param {object} options.record - The record to insert.
+   *
+   * @returns {Promise<boolean>} Resolves to `true` if inserted or `false` if
+   *   a record with the same `tokenizedId` exists.
+   */
+  async insert({record} = {}) {
+    const key = _key(record.entry.tokenizedId);
+    if(this.records.has(key)) {
+      return false;
+    }
+    this.records.set(key, _copy(record));
+    return true;
+  }
+
+  /**
+   * Writes a new entry only if no entry exists or the existing entry has
+   * expired.
+   *
+   * @param {object} options - Options to use.
+   * @param {Buffer} options.tokenizedId - The tokenized ID of the entry.
+   * @param {string} [options.tokenizerId] - The ID of the tokenizer that
+   *   produced `tokenizedId`, if known.
+   * @param {Date} options.expires - When the entry expires; `null` if it
+   *   never expires.
+   * @param {*} [options.value] - The value to store.
+   * @param {object} [options.encrypted] - The encrypted value to store
+   *   instead of `value`.
+   * @param {object} [options.compressed] - The compressed value to store
+   *   instead of `value`.
+   * @param {Array<Buffer>} [options.tags] - The tokenized tags to store.
+   * @param {number} options.now - The current time in milliseconds.
+   * @param {boolean} [options.explain=false] - Not supported.
+   *
+   * @returns {Promise<object>} Resolves to the new record or `null` if an
+   *   unexpired entry exists.
+   */
+  async create({
+    tokenizedId, tokenizerId, expires, value, encrypted, compressed, tags,
+    now, explain = false
+  } = {}) {
+    _assertNoExplain({explain});
+    // an existing entry may only be replaced if it has expired; it is
+    // replaced as a whole such that `sequence` and `meta.created` are those
+    // of a new entry
+    const existing = this._get({tokenizedId});
+    if(existing && !(existing.entry.expires < new Date(now))) {
+      return null;
+    }
+    const entry = {tokenizedId, sequence: 0};
+    // an entry that never expires has no `expires` field
+    if(expires !== null) {
+      entry.expires = expires;
+    }
+    if(tokenizerId !== undefined) {
+      entry.tokenizerId = tokenizerId;
+    }
+    _setValue({entry, value, encrypted, compressed});
+    if(tags !== undefined) {
+      entry.tags = tags;
+    }
+    const record = {entry, meta: {created: now, updated: now}};
+    this.records.set(_key(tokenizedId), _copy(record));
+    return _copy(record);
+  }
+
+  /**
+   * Updates an existing, unexpired entry only if its current `sequence`
+   * matches `expectedSequence`, incrementing its `sequence` by one.
+   *
+   * @param {object} options - Options to use.
+   * @param {Buffer} options.tokenizedId - The tokenized ID of the entry.
+   * @param {number} options.expectedSequence - The expected `sequence`.
+   * @param {*} [options.value] - The new value.
+   * @param {object} [options.encrypted] - The new encrypted value to store
+   *   instead of `value`.
+   * @param {object} [options.compressed] - The new compressed value to store
+   *   instead of `value`.
+   * @param {Date} [options.expires] - The new expiration (`null` if the entry
+   *   never expires); if not given, the current expiration is preserved.
+   * @param {number} options.now - The current time in milliseconds.
+   * @param {boolean} [options.explain=false] - Not supported.
+   *
+   * @returns {Promise<object>} Resolves to the updated record or `null` if no
+   *   entry matched.
+   */
+  async update({
+    tokenizedId, expectedSequence, value, encrypted, compressed, expires, now,
+    explain = false
+  } = {}) {
+    _assertNoExplain({explain});
+    const record = this._get({tokenizedId});
+    // entries written without a `sequence` are considered to be at `0`
+    if(!record || (record.entry.sequence ?? 0) !== expectedSequence ||
+      record.entry.expires < new Date(now) || record.entry.pending) {
+      return null;
+    }
+    const {entry} = record;
+    _setValue({entry, value, encrypted, compressed});
+    if(expires === null) {
+      delete entry.expires;
+    } else if(expires !== undefined) {
+      entry.expires = new Date(expires);
+    }
+    entry.sequence = (entry.sequence ?? 0) + 1;
+    record.meta.updated = now;
+    return _copy(record);
+  }
+
+  /**
+   * Writes an entry, overwriting any existing entry.
+   *
+   * @param {object} options - Options to use.
+   * @param {Buffer} options.tokenizedId - The tokenized ID of the entry.
+   * @param {string} [options.tokenizerId] - The ID of the tokenizer that
+   *   produced `tokenizedId`, if known.
+   * @param {Date} options.expires - When the entry expires; `null` if it
+   *   never expires.
+   * @param {*} [options.value] - The value to store.
+   * @param {object} [options.encrypted] - The encrypted value to store
+   *   instead of `value`.
+   * @param {object} [options.compressed] - The compressed value to store
+   *   instead of `value`.
+   * @param {Array<Buffer>} [options.tags] - The tokenized tags to store.
+   * @param {number} options.now - The current time in milliseconds.
+   * @param {boolean} [options.explain=false] - Not supported.
+   *
+   * @returns {Promise<object>} Resolves to the written record.
+   */
+  async upsert({
+    tokenizedId, tokenizerId, expires, value, encrypted, compressed, tags,
+    now, explain = false
+  } = {}) {
+    _assertNoExplain({explain});
+    // an expired entry is replaced by a new entry
+    let existing = this._get({tokenizedId});
+    if(existing?.entry.expires < new Date(now)) {
+      existing = undefined;
+    }
+    const entry = {
+      tokenizedId: Buffer.from(tokenizedId),
+      sequence: (existing?.entry.sequence ?? -1) + 1
+    };
+    // an entry that never expires has no `expires` field
+    if(expires !== null) {
+      entry.expires = new Date(expires);
+    }
+    // record which tokenizer produced `tokenizedId`, if known
+    if(tokenizerId !== undefined) {
+      entry.tokenizerId = tokenizerId;
+    }
+    _setValue({entry, value, encrypted, compressed});
+    if(tags !== undefined) {
+      entry.tags = _copy(tags);
+    }
+    const record = {
+      entry,
+      meta: {created: existing?.meta.created ?? now, updated: now}
+    };
+    this.records.set(_key(tokenizedId), record);
+    return _copy(record);
+  }
+
+  /**
+   * Writes many entries at once, overwriting any existing entries.
+   *
+   * @param {object} options - Options to use.
+   * @param {Array<object>} options.entries - The entries to write, each with
+   *   the same `tokenizedId`, `tokenizerId`, `expires`, `value`,
+   *   `encrypted`, `compressed`, and `tags` options that are accepted by
+   *   `upsert()`.
+   * @param {number} options.now - The current time in milliseconds.
+   * @param {boolean} [options.explain=false] - Not supported.
+   *
+   * @returns {Promise<Array<Error>>} Resolves to an empty array, as writes to
+   *   memory cannot fail.
+   */
+  async upsertMany({entries, now, explain = false} = {}) {
+    _assertNoExplain({explain});
+    for(const entry of entries) {
+      await this.upsert({...entry, now});
+    }
+    return [];
+  }
+
+  /**
+   * Writes many records at once (e.g., from an export), resolving any
+   * conflicts with existing unexpired entries according to `onConflict`.
+   *
+   * @param {object} options - Options to use.
+   * @param {Array<object>} options.records - The complete records to write.
+   * @param {string} options.onConflict - `skip` to keep any existing
+   *   unexpired entry, `overwrite` to replace it, or `keepNewer` to replace it
+   *   only if its `meta.updated` is older than that of the record.
+   * @param {number} options.now - The current time in milliseconds.
+   *
+   * @returns {Promise<Array<boolean>>} Resolves to whether each record (in
+   *   the order given) was skipped because of a conflict.
+   */
+  async importMany({records, onConflict, now} = {}) {
+    return records.map(record => {
+      const existing = this._get({tokenizedId: record.entry.tokenizedId});
+      if(existing && !(existing.entry.expires < new Date(now)) && (
+        onConflict === 'skip' || (onConflict === 'keepNewer' &&
+          !(existing.meta.updated < record.meta.updated)))) {
+        return true;
+      }
+      this.records.set(_key(record.entry.tokenizedId), _copy(record));
+      return false;
+    });
+  }
+
+  /**
+   * Iterates over all unexpired records whose values are not pending
+   * computation.
+   *
+   * @param {object} options - Options to use.
+   * @param {number} options.now - The current time in milliseconds.
+   *
+   * @yields {object} Each record.
+   */
+  async* iterate({now} = {}) {
+    for(const record of [...this.records.values()]) {
+      if(!(record.entry.expires < new Date(now)) && !record.entry.pending) {
+        yield _copy(record);
+      }
+    }
+  }
+
+  /**
+   * Extends the expiration of an existing entry that is not pending
+   * computation; the expiration is only ever moved forward.
+   *
+   * @param {object} options - Options to use.
+   * @param {Buffer} options.tokenizedId - The tokenized ID of the entry.
+   * @param {Date} options.expires - The minimum new expiration.
+   * @param {number} options.now - The current time in milliseconds.
+   * @param {boolean} [options.explain=false] - Not supported.
+   *
+   * @returns {Promise<object>} Resolves to an object with the entry's
+   *   `expires` (`undefined` if the entry never expires) or `null` if no
+   *   entry matched.
+   */
+  async extendExpires({tokenizedId, expires, now, explain = false} = {}) {
+    _assertNoExplain({explain});
+    const record = this._get({tokenizedId});
+    // an entry with a value that is still pending computation cannot be
+    // extended as its `expires` field is the expiration of its pending lease
+    if(!record || record.entry.pending) {
+      return null;
+    }
+    // an entry that never expires is left unchanged
+    if(expires > record.entry.expires) {
+      record.entry.expires = new Date(expires);
+    }
+    record.meta.updated = now;
+    return {expires: _copy(record.entry.expires)};
+  }
+
+  /**
+   * Increments a numeric field of an entry's value. If the entry does not
+   * exist or has expired, it is (re)created with a value that only has the
+   * field, set to `by`.
+   *
+   * @param {object} options - Options to use.
+   * @param {Buffer} options.tokenizedId - The tokenized ID of the entry.
+   * @param {string} [options.tokenizerId] - The ID of the tokenizer that
+   *   produced `tokenizedId`, if known.
+   * @param {string} options.field - The name of the field to increment.
+   * @param {number} options.by - The amount to increment the field by.
+   * @param {number} [options.max] - If given, the field of an unexpired entry
+   *   is only incremented if its new value would not exceed `max`; the caller
+   *   must check `by` against `max` for entries that are (re)created.
+   * @param {Date} options.expires - When the entry expires if it is
+   *   (re)created.
+   * @param {number} options.now - The current time in milliseconds.
+   * @param {boolean} [options.explain=false] - Not supported.
+   *
+   * @returns {Promise<object>} Resolves to the updated record or `null` if an
+   *   unexpired entry exists that could not be incremented (because it would
+   *   exceed `max`, it is pending computation, or its value is encrypted or
+   *   compressed); rejects with a `DataError` if the entry's value is not an
+   *   object or its field is not a number.
+   */
+  async increment({
+    tokenizedId, tokenizerId, field, by, max, expires, now, explain = false
+  } = {}) {
+    _assertNoExplain({explain});
+    const existing = this._get({tokenizedId});
+    if(!existing || existing.entry.expires < new Date(now)) {
+      return this.upsert({
+        tokenizedId, tokenizerId, expires, value: {[field]: by}, now
+      });
+    }
+    const {entry} = existing;
+    if(entry.pending || entry.encrypted || entry.compressed) {
+      return null;
+    }
+    if(entry.value === null || typeof entry.value !== 'object' ||
+      Array.isArray(entry.value) || entry.value instanceof Uint8Array) {
+      throw new BedrockError(
+        `Entry value must be an object to increment "${field}".`,
+        'DataError', {httpStatusCode: 400, public: true});
+    }
+    const current = entry.value[field] ?? 0;
+    if(typeof current !== 'number') {
+      throw new BedrockError(
+        `Entry value field "${field}" must be a number.`,
+        'DataError', {httpStatusCode: 400, public: true});
+    }
+    if(max !== undefined && current + by > max) {
+      return null;
+    }
+    entry.value[field] = current + by;
+    entry.sequence = (entry.sequence ?? 0) + 1;
+    existing.meta.updated = now;
+    return _copy(existing);
+  }
+
+  /**
+   * Deletes entries.
+   *
+   * @param {object} options - Options to use.
+   * @param {Array<Buffer>} options.tokenizedIds - The tokenized IDs of the
+   *   entries.
+   * @param {boolean} [options.explain=false] - Not supported.
+   *
+   * @returns {Promise<number>} Resolves to the number of entries deleted.
+   */
+  async delete({tokenizedIds, explain = false} = {}) {
+    _assertNoExplain({explain});
+    let count = 0;
+    for(const key of new Set(tokenizedIds.map(_key))) {
+      if(this.records.delete(key)) {
+        count++;
+      }
+    }
+    return count;
+  }
+
+  /**
+   * Deletes all entries that have any of the given tags.
+   *
+   * @param {object} options - Options to use.
+   * @param {Array<Buffer>} options.tokenizedTags - The tokenized tags.
+   * @param {boolean} [options.explain=false] - Not supported.
+   *
+   * @returns {Promise<object>} Resolves to `{count, tokenizedIds}` where
+   *   `count` is the number of entries deleted and `tokenizedIds` are their
+   *   tokenized IDs.
+   */
+  async deleteByTags({tokenizedTags, explain = false} = {}) {
+    _assertNoExplain({explain});
+    const tags = new Set(tokenizedTags.map(_key));
+    const tokenizedIds = [];
+    for(const [key, record] of this.records) {
+      if(record.entry.tags?.some(tag => tags.has(_key(tag)))) {
+        this.records.delete(key);
+        tokenizedIds.push(Buffer.from(record.entry.tokenizedId));
+      }
+    }
+    return {count: tokenizedIds.length, tokenizedIds};
+  }
+
+  /**
+   * Deletes all entries.
+   *
+   * @returns {Promise<number>} Resolves to the number of entries deleted.
+   */
+  async clear() {
+    const count = this.records.size;
+    this.records.clear();
+    return count;
+  }
+
+  /**
+   * Replaces an expired (or missing) entry with a pending lease that
+   * indicates its value is being computed.
+   *
+   * @param {object} options - Options to use.
+   * @param {Buffer} options.tokenizedId - The tokenized ID of the entry.
+   * @param {object} options.lease - The lease, with `id` and `expires`.
+   * @param {number} options.now - The current time in milliseconds.
+   *
+   * @returns {Promise<boolean>} Resolves to `true` if the lease was acquired
+   *   or `false` if an unexpired entry or lease exists.
+   */
+  async acquirePendingLease({tokenizedId, lease, now} = {}) {
+    const existing = this._get({tokenizedId});
+    // only an expired entry (or an entry with an abandoned lease, which expires
+    // with its lease) may be replaced with a pending lease
+    if(existing && !(existing.entry.expires < new Date(now))) {
+      return false;
+    }
+    // a pending entry has no value (nor tags) until its value is written; as
+    // in `MongoStorage`, any other metadata of an expired entry is kept
+    const record = {
+      entry: {
+        ...existing?.entry,
+        tokenizedId: Buffer.from(tokenizedId),
+        expires: new Date(lease.expires),
+        pending: _copy(lease)
+      },
+      meta: {created: now, updated: now}
+    };
+    _omitValue({entry: record.entry});
+    delete record.entry.tags;
+    this.records.set(_key(tokenizedId), record);
+    return true;
+  }
+
+  /**
+   * Deletes an entry that is pending computation if it still holds the given
+   * pending lease.
+   *
+   * @param {object} options - Options to use.
+   * @param {Buffer} options.tokenizedId - The tokenized ID of the entry.
+   * @param {string} options.leaseId - The ID of the pending lease.
+   *
+   * @returns {Promise} Resolves once released.
+   */
+  async releasePendingLease({tokenizedId, leaseId} = {}) {
+    if(this._get({tokenizedId})?.entry.pending?.id === leaseId) {
+      this.records.delete(_key(tokenizedId));
+    }
+  }
+
+  /**
+   * Deletes a single batch of expired records.
+   *
+   * @param {object} options - Options to use.
+   * @param {Date} options.expiredBefore - Only records that expired before
+   *   this time are deleted.
+   * @param {number} options.batchSize - The maximum number of records to
+   *   delete.
+   *
+   * @returns {Promise<number>} Resolves to the number of records deleted.
+   */
+  async sweep({expiredBefore, batchSize} = {}) {
+    return this._removeExpired({expiredBefore, limit: batchSize});
+  }
+
+  /**
+   * Acquires (or renews) a lease; as entries are stored in the current
+   * process only, so are leases.
+   *
+   * @param {object} options - Options to use.
+   * @param {string} options.id - The ID of the lease.
+   * @param {string} options.holder - Identifies the lease holder.
+   * @param {number} options.duration - The duration of the lease in
+   *   milliseconds.
+   *
+   * @returns {Promise<boolean>} Resolves to `true` if acquired or `false` if
+   *   another holder holds the lease.
+   */
+  async acquireLease({id, holder, duration} = {}) {
+    const now = Date.now();
+    const lease = this.leases.get(id);
+    if(lease && lease.holder !== holder && !(lease.expires < now)) {
+      return false;
+    }
+    this.leases.set(id, {holder, expires: now + duration});
+    return true;
+  }
+
+  _get({tokenizedId} = {}) {
+    return this.records.get(_key(tokenizedId));
+  }
+
+  _removeExpired({expiredBefore, limit = Infinity} = {}) {
+    let count = 0;
+    for(const [key, record] of this.records) {
+      if(count >= limit) {
+        break;
+      }
+      if(record.entry.expires < expiredBefore) {
+        this.records.delete(key);
+        count++;
+      }
+    }
+    return count;
+  }
+}
+
+function _assertNoExplain({explain} = {}) {
+  if(explain) {
+    throw new BedrockError(
+      'Database query explain information is not supported by in-memory ' +
+      'storage.',
+      'NotSupportedError', {httpStatusCode: 400, public: true});
+  }
+}
+
+// compares tokenized IDs in the same way the database compares binary data:
+// by length first, then byte by byte
+function _compareIds(a, b) {
+  return (a.length - b.length) || Buffer.compare(a, b);
+}
+
+// copies a value such that stored records are never shared with callers;
+// buffers and dates are copied as such (as they would be when read from the
+// database)
+function _copy(value) {
+  if(value instanceof Uint8Array) {
+    return Buffer.from(value);
+  }
+  if(value instanceof Date) {
+    return new Date(value);
+  }
+  if(Array.isArray(value)) {
+    return value.map(_copy);
+  }
+  if(value !== null && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value).map(([k, v]) => [k, _copy(v)]));
+  }
+  return value;
+}
+
+function _omitValue({entry} = {}) {
+  delete entry.value;
+  delete entry.encrypted;
+  delete entry.compressed;
+}
+
+// stores a value in only one field of an entry, preferring any `encrypted` or
+// `compressed` value to the plain `value`
+function _setValue({entry, value, encrypted, compressed} = {}) {
+  _omitValue({entry});
+  if(encrypted !== undefined) {
+    entry.encrypted = _copy(encrypted);
+  } else if(compressed !== undefined) {
+    entry.compressed = _copy(compressed);
+  } else {
+    entry.value = _copy(value);
+  }
+}
+
+function _key(tokenizedId) {
+  return Buffer.from(tokenizedId).toString('base64url');
+}
@@ -0,0 +1,1216 @@
+/*!
+ * Copyright (c) 2020-2025 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+import * as database from '@bedrock/mongodb';
+import {BSON} from 'bson';
+import {finished} from 'node:stream/promises';
+import {serializeBson} from './helpers.js';
+
+// leases shared by all caches; ensures only one app instance sweeps a cache
+// at a time
+const LEASE_COLLECTION_NAME = 'tokenized-cache-lease';
+
+// the entry fields that may store a value; only one is set for any entry
+const VALUE_FIELDS = ['value', 'encrypted', 'compressed', 'overflow'];
+
+bedrock.events.on('bedrock-mongodb.ready', async () => {
+  await database.openCollections([LEASE_COLLECTION_NAME]);
+
+  await database.createIndexes([{
+    collection: LEASE_COLLECTION_NAME,
+    fields: {'lease.id': 1},
+    options: {unique: true}
+  }]);
+});
+
+/**
+ * Stores the entries of a cache in a MongoDB collection. This is the default
+ * storage backend.
+ *
+ * Every storage backend implements the same methods and resolves to records
+ * of the form `{entry, meta}`. Expired records may be returned by `find()`
+ * and `findOne()` (they are only removed by `sweep()` or, for this backend,
+ * by a TTL index); callers must check `entry.expires` and `entry.pending`.
+ * An entry that never expires has no `entry.expires` (so it is also never
+ * removed by a TTL index).
+ *
+ * A stored value (`value`, `encrypted`, or `compressed`) that is larger than
+ * the `overflow` threshold is stored in a GridFS bucket instead of in its
+ * entry's record; the record then references the file as `entry.overflow`.
+ * Records are returned with any such value in place of `entry.overflow`.
+ */
+export class MongoStorage {
+  /**
+   * Creates a new MongoStorage.
+   *
+   * @param {object} options - Options to use.
+   * @param {string} options.collectionName - The name of the database
+   *   collection that stores the entries.
+   * @param {object} [options.overflow] - The `overflow` config; if not given,
+   *   all values are stored in their entries' records.
+   */
+  constructor({collectionName, overflow = {threshold: null}} = {}) {
+    this.collectionName = collectionName;
+    this.overflow = overflow;
+    // the GridFS bucket that stores large values; opened on `init()`
+    this.bucketName = `${collectionName}-overflow`;
+    this.bucket = null;
+  }
+
+  get collection() {
+    return database.collections[this.collectionName];
+  }
+
+  get filesCollection() {
+    return database.collections[`${this.bucketName}.files`];
+  }
+
+  get chunksCollection() {
+    return database.collections[`${this.bucketName}.chunks`];
+  }
+
+  /* Note on TTL index grace periods:
+
+  Records that match a TTL index are auto-removed from a mongodb collection
+  based on the index option `expireAfterSeconds`. This option can be
+  interpreted as a grace period prior to the removal of records. Using a value
+  other than `0` provides better resiliency for decision making processes that
+  must retrieve records, make decisions about them (based on their existence)
+  and then update them to extend their expiration period.
+
+  If there is no sufficiently long grace period, then such a process could
+  retrieve an imminently expiring record, make a decision, and then try to
+  update the record to extend its expiration period and fail to find it.
+
+  Processes could be modified to account for these exceptions, but that
+  approach is more complex than ensuring that the record persists long enough
+  for its expiration period to be extended.
+
+  The grace period chosen is considered long enough to ensure an expectation
+  that there will be no processes that experience these exceptions. */
+  /**
+   * Opens the collection and creates its indexes; called once the database
+   * is ready.
+   *
+   * @param {object} options - Options to use.
+   * @param {boolean} options.autoRemoveExpiredRecords - Whether to create a
+   *   TTL index that automatically removes expired records.
+   *
+   * @returns {Promise} Resolves once the storage is ready.
+   */
+  async init({autoRemoveExpiredRecords} = {}) {
+    const {collectionName} = this;
+    await database.openCollections([collectionName]);
+
+    const indexes = [{
+      // `tokenizedId` should be a shard key
+      collection: collectionName,
+      fields: {'entry.tokenizedId': 1},
+      options: {unique: true}
+    }];
+
+    // only create TTL expiration records if configured to do so
+    if(autoRemoveExpiredRecords) {
+      indexes.push({
+        // automatically expire entries using `expires` date field
+        collection: collectionName,
+        fields: {'entry.expires': 1},
+        options: {
+          unique: false,
+          // grace period of 24 hours
+          expireAfterSeconds: 60 * 60 * 24
+        }
+      });
+    } else {
+      indexes.push({
+        // used to find expired entries when sweeping
+        collection: collectionName,
+        fields: {'entry.expires': 1},
+        options: {unique: false}
+      });
+    }
+
+    indexes.push({
+      // used to find tagged entries when invalidating by tag
+      collection: collectionName,
+      fields: {'entry.tags': 1},
+      options: {unique: false, sparse: true}
+    });
+
+    // the GridFS bucket is always opened so that any values stored in it can
+    // still be read if `overflow` is later disabled; it creates its own
+    // indexes
+    const {bucketName} = this;
+    await database.openCollections(
+      [`${bucketName}.files`, `${bucketName}.chunks`]);
+    this.bucket = database.createGridFSBucket({bucketName});
+    indexes.push({
+      // used to find files that are not referenced by any entry
+      collection: collectionName,
+      fields: {'entry.overflow.fileId': 1},
+      options: {unique: false, sparse: true}
+    });
+
+    await database.createIndexes(indexes);
+  }
+
+  /**
+   * Stops any background work; called on `bedrock.stop`.
+   *
+   * @returns {Promise} Resolves once stopped.
+   */
+  async stop() {}
+
+  /**
+   * Finds a single record.
+   *
+   * @param {object} options - Options to use.
+   * @param {Buffer} options.tokenizedId - The tokenized ID of the entry.
+   * @param {boolean} [options.overflow=true] - Set to false to return any
+   *   `entry.overflow` reference instead of the value it references.
+   * @param {boolean} [options.explain=false] - Set to true to return database
+   *   query explain information instead of executing database queries.
+   *
+   * @returns {Promise<object | ExplainObject>} Resolves to the record, `null`
+   *   if not found, or an ExplainObject if `explain=true`.
+   */
+  async findOne({tokenizedId, overflow = true, explain = false} = {}) {
+    const query = {'entry.tokenizedId': tokenizedId};
+    const projection = {_id: 0};
+
+    if(explain) {
+      // 'find().limit(1)' is used here because 'findOne()' doesn't return a
+      // cursor which allows the use of the explain function.
+      const cursor = await this.collection.find(query, {projection}).limit(1);
+      return cursor.explain('executionStats');
+    }
+
+    const record = await this.collection.findOne(query, {projection});
+    return overflow ? this._loadOverflow({record}) : record;
+  }
+
+  /**
+   * Finds many records at once.
+   *
+   * @param {object} options - Options to use.
+   * @param {Array<Buffer>} options.tokenizedIds - The tokenized IDs of the
+   *   entries.
+   * @param {boolean} [options.values=true] - Set to false to omit the value
+   *   (`value`, `encrypted`, or `compressed`) from the records.
+   * @param {boolean} [options.explain=false] - Set to true to return database
+   *   query explain information instead of executing database queries.
+   *
+   * @returns {Promise<Array<object> | ExplainObject>} Resolves to the records
+   *   that were found (in no particular order) or an ExplainObject if
+   *   `explain=true`.
+   */
+  async find({tokenizedIds, values = true, explain = false} = {}) {
+    const query = {'entry.tokenizedId': {$in: tokenizedIds}};
+    const projection = _getProjection({values});
+    const cursor = this.collection.find(query, {projection});
+    if(explain) {
+      return cursor.explain('executionStats');
+    }
+    return this._loadOverflows({records: await cursor.toArray()});
+  }
+
+  /**
+   * Lists records in `tokenizedId` order.
+   *
+   * @param {object} options - Options to use.
+   * @param {Buffer} [options.after] - If given, only records with a
+   *   `tokenizedId` after this one are listed.
+   * @param {number} options.limit - The maximum number of records to list.
+   * @param {boolean} [options.includeExpired=false] - Set to true to include
+   *   expired records.
+   * @param {Date} [options.expiresBefore] - If given, only records that
+   *   expire before this date are listed.
+   * @param {boolean} [options.values=true] - Set to false to omit the value
+   *   (`value`, `encrypted`, or `compressed`) from the records.
+   * @param {number} options.now - The current time in milliseconds.
+   * @param {boolean} [options.explain=false] - Set to true to return database
+   *   query explain information instead of executing database queries.
+   *
+   * @returns {Promise<Array<object> | ExplainObject>} Resolves to the records
+   *   or an ExplainObject if `explain=true`.
+   */
+  async list({
+    after, limit, includeExpired = false, expiresBefore, values = true, now,
+    explain = false
+  } = {}) {
+    const query = {};
+    if(after !== undefined) {
+      query['entry.tokenizedId'] = {$gt: after};
+    }
+    const expires = {};
+    if(!includeExpired) {
+      // also matches entries that never expire
+      expires.$not = {$lt: new Date(now)};
+    }
+    if(expiresBefore !== undefined) {
+      expires.$lt = expiresBefore;
+    }
+    if(Object.keys(expires).length > 0) {
+      query['entry.expires'] = expires;
+    }
+    const projection = _getProjection({values});
+    // always page through the unique `tokenizedId` index
+    const cursor = this.collection.find(query, {projection})
+      .sort({'entry.tokenizedId': 1})
+      .hint({'entry.tokenizedId': 1})
+      .limit(limit);
+    if(explain) {
+      return cursor.explain('executionStats');
+    }
+    return this._loadOverflows({records: await cursor.toArray()});
+  }
+
+  /**
+   * Counts records.
+   *
+   * @param {object} options - Options to use.
+   * @param {number} options.now - The current time in milliseconds.
+   *
+   * @returns {Promise<object>} Resolves to an object with the `total` number
+   *   of records and the number that have `expired` and are `unexpired`.
+   */
+  async count({now} = {}) {
+    const {collection} = this;
+    const [total, unexpired] = await Promise.all([
+      collection.countDocuments({}),
+      collection.countDocuments(
+        {'entry.expires': {$not: {$lt: new Date(now)}}})
+    ]);
+    // `expired` is never negative even if records were concurrently added
+    return {total, expired: Math.max(total - unexpired, 0), unexpired};
+  }
+
+  /**
+   * Inserts a record unless a record with the same `tokenizedId` exists. The
+   * record's value (`value`, `encrypted`, or `compressed`) is stored in the
+   * GridFS bucket instead if it is too large.
+   *
+   * @param {object} options - Options to use.
+   * @param {object} options.record - The record to insert.
+   *
+   * @returns {Promise<boolean>} Resolves to `true` if inserted or `false` if
+   *   a record with the same `tokenizedId` exists.
+   */
+  async insert({record} = {}) {
+    const {value, encrypted, compressed, ...entry} = record.entry;
+    const fields = await this._getValueFields(
+      {tokenizedId: entry.tokenizedId, value, encrypted, compressed});
+    const inserted = await this._insert(
+      {record: {...record, entry: {...entry, ...fields}}});
+    if(!inserted) {
+      await this._removeOverflow({fields});
+    }
+    return inserted;
+  }
+
+  /**
+   * Writes a new entry only if no entry exists or the existing entry has
+   * expired.
+   *
+   * @param {object} options - Options to use.
+   * @param {Buffer} options.tokenizedId - The tokenized ID of the entry.
+   * @param {string} [options.tokenizerId] - The ID of the tokenizer that
+   *   produced `tokenizedId`, if known.
+   * @param {Date} options.expires - When the entry expires; `null` if it
+   *   never expires.
+   * @param {*} [options.value] - The value to store.
+   * @param {object} [options.encrypted] - The encrypted value to store
+   *   instead of `value`.
+   * @param {object} [options.compressed] - The compressed value to store
+   *   instead of `value`.
+   * @param {Array<Buffer>} [options.tags] - The tokenized tags to store.
+   * @param {number} options.now - The current time in milliseconds.
+   * @param {boolean} [options.explain=false] - Set to true to return database
+   *   query explain information instead of executing database queries.
+   *
+   * @returns {Promise<object | ExplainObject>} Resolves to the new record,
+   *   `null` if an unexpired entry exists, or an ExplainObject if
+   *   `explain=true`.
+   */
+  async create({
+    tokenizedId, tokenizerId, expires, value, encrypted, compressed, tags,
+    now, explain = false
+  } = {}) {
+    const {collection} = this;
+    const query = {'entry.tokenizedId': tokenizedId};
+
+    if(explain) {
+      // 'find().limit(1)' is used here because 'insertOne()' doesn't return a
+      // cursor which allows the use of the explain function.
+      const cursor = await collection.find(query).limit(1);
+      return cursor.explain('executionStats');
+    }
+
+    const fields = await this._getValueFields(
+      {tokenizedId, value, encrypted, compressed});
+    const entry = {tokenizedId, sequence: 0};
+    // an entry that never expires has no `expires` field
+    if(expires !== null) {
+      entry.expires = expires;
+    }
+    if(tokenizerId !== undefined) {
+      entry.tokenizerId = tokenizerId;
+    }
+    Object.assign(entry, fields);
+    if(tags !== undefined) {
+      entry.tags = tags;
+    }
+    const record = {entry, meta: {created: now, updated: now}};
+    if(await this._insert({record})) {
+      return record;
+    }
+
+    // an existing entry may only be replaced if it has expired; it is
+    // replaced as a whole such that `sequence` and `meta.created` are those
+    // of a new entry
+    const replaced = await collection.findOneAndReplace(
+      {...query, 'entry.expires': {$lt: new Date(now)}}, record, {
+        returnDocument: 'before',
+        projection: {_id: 0, 'entry.overflow.fileId': 1}
+      });
+    if(!replaced) {
+      await this._removeOverflow({fields});
+      return null;
+    }
+    // remove any file that stored the value of the replaced entry
+    await this._removeFiles(
+      {fileIds: _getOverflowFileIds({records: [replaced]})});
+    return record;
+  }
+
+  /**
+   * Updates an existing, unexpired entry only if its current `sequence`
+   * matches `expectedSequence`, incrementing its `sequence` by one.
+   *
+   * @param {object} options - Options to use.
+   * @param {Buffer} options.tokenizedId - The tokenized ID of the entry.
+   * @param {number} options.expectedSequence - The expected `sequence`.
+   * @param {*} [options.value] - The new value.
+   * @param {object} [options.encrypted] - The new encrypted value to store
+   *   instead of `value`.
+   * @param {object} [options.compressed] - The new compressed value to store
+   *   instead of `value`.
+   * @param {Date} [options.expires] - The new expiration (`null` if the entry
+   *   never expires); if not given, the current expiration is preserved.
+   * @param {number} options.now - The current time in milliseconds.
+   * @param {boolean} [options.explain=false] - Set to true to return database
+   *   query explain information instead of executing database queries.
+   *
+   * @returns {Promise<object | ExplainObject>} Resolves to the updated
+   *   record, `null` if no entry matched, or an ExplainObject if
+   *   `explain=true`.
+   */
+  async update({
+    tokenizedId, expectedSequence, value, encrypted, compressed, expires, now,
+    explain = false
+  } = {}) {
+    const {collection} = this;
+    const query = {
+      'entry.tokenizedId': tokenizedId,
+      // entries written without a `sequence` are considered to be at `0`
+      'entry.sequence': expectedSequence === 0 ?
+        {$in: [0, null]} : expectedSequence,
+      'entry.expires': {$not: {$lt: new Date(now)}},
+      'entry.pending': {$exists: false}
+    };
+
+    if(explain) {
+      // 'find().limit(1)' is used here because 'findOneAndUpdate()' doesn't
+      // return a cursor which allows the use of the explain function.
+      const cursor = await collection.find(query).limit(1);
+      return cursor.explain('executionStats');
+    }
+
+    const fields = await this._getValueFields(
+      {tokenizedId, value, encrypted, compressed});
+    const $set = {'meta.updated': now};
+    const $unset = {};
+    for(const name of VALUE_FIELDS) {
+      if(Object.hasOwn(fields, name)) {
+        $set[`entry.${name}`] = fields[name];
+      } else {
+        $unset[`entry.${name}`] = '';
+      }
+    }
+    if(expires === null) {
+      $unset['entry.expires'] = '';
+    } else if(expires !== undefined) {
+      $set['entry.expires'] = expires;
+    }
+    const $inc = {'entry.sequence': 1};
+
+    const record = await collection.findOneAndUpdate(
+      query, {$set, $unset, $inc},
+      {returnDocument: 'after', projection: {_id: 0}});
+    if(!record) {
+      await this._removeOverflow({fields});
+    }
+    return record;
+  }
+
+  /**
+   * Writes an entry, overwriting any existing entry.
+   *
+   * @param {object} options - Options to use.
+   * @param {Buffer} options.tokenizedId - The tokenized ID of the entry.
+   * @param {string} [options.tokenizerId] - The ID of the tokenizer that
+   *   produced `tokenizedId`, if known.
+   * @param {Date} options.expires - When the entry expires; `null` if it
+   *   never expires.
+   * @param {*} [options.value] - The value to store.
+   * @param {object} [options.encrypted] - The encrypted value to store
+   *   instead of `value`.
+   * @param {object} [options.compressed] - The compressed value to store
+   *   instead of `value`.
+   * @param {Array<Buffer>} [options.tags] - The tokenized tags to store.
+   * @param {number} options.now - The current time in milliseconds.
+   * @param {boolean} [options.explain=false] - Set to true to return database
+   *   query explain information instead of executing database queries.
+   *
+   * @returns {Promise<object | ExplainObject>} Resolves to the written record
+   *   or an ExplainObject if `explain=true`.
+   */
+  async upsert({
+    tokenizedId, tokenizerId, expires, value, encrypted, compressed, tags,
+    now, explain = false
+  } = {}) {
+    const {collection} = this;
+
+    if(explain) {
+      // 'find().limit(1)' is used here because 'findOneAndUpdate()' doesn't
+      // return a cursor which allows the use of the explain function.
+      const query = {'entry.tokenizedId': tokenizedId};
+      const cursor = await collection.find(query).limit(1);
+      return cursor.explain('executionStats');
+    }
+
+    const fields = await this._getValueFields(
+      {tokenizedId, value, encrypted, compressed});
+    const {query, update} = _createUpsert(
+      {tokenizedId, tokenizerId, expires, fields, tags, now});
+
+    // this upsert cannot trigger duplicate error; no try/catch needed
+    return collection.findOneAndUpdate(query, update, {
+      upsert: true,
+      returnDocument: 'after',
+      projection: {_id: 0}
+    });
+  }
+
+  /**
+   * Writes many entries at once, overwriting any existing entries.
+   *
+   * @param {object} options - Options to use.
+   * @param {Array<object>} options.entries - The entries to write, each with
+   *   the same `tokenizedId`, `tokenizerId`, `expires`, `value`,
+   *   `encrypted`, `compressed`, and `tags` options that are accepted by
+   *   `upsert()`.
+   * @param {number} options.now - The current time in milliseconds.
+   * @param {boolean} [options.explain=false] - Set to true to return database
+   *   query explain information instead of executing database queries.
+   *
+   * @returns {Promise<Array<Error> | ExplainObject>} Resolves to an array with
+   *   the error for each entry that could not be written (at the same index
+   *   as the entry) or an ExplainObject if `explain=true`; rejects if no
+   *   entries could be written.
+   */
+  async upsertMany({entries, now, explain = false} = {}) {
+    const {collection} = this;
+
+    if(explain) {
+      // 'find()' is used here because 'bulkWrite()' doesn't return a cursor
+      // which allows the use of the explain function.
+      const query = {'entry.tokenizedId': {
+        $in: entries.map(({tokenizedId}) => tokenizedId)
+      }};
+      const cursor = await collection.find(query);
+      return cursor.explain('executionStats');
+    }
+
+    const operations = await Promise.all(entries.map(async entry => {
+      const fields = await this._getValueFields(entry);
+      const {query, update} = _createUpsert({...entry, fields, now});
+      return {updateOne: {filter: query, update, upsert: true}};
+    }));
+
+    // these upserts cannot trigger duplicate errors; any other write errors
+    // are reported for the specific entries that could not be written
+    const errors = [];
+    try {
+      await collection.bulkWrite(operations, {ordered: false});
+    } catch(error) {
+      const {writeErrors} = error;
+      if(!writeErrors) {
+        throw error;
+      }
+      for(const writeError of [].concat(writeErrors)) {
+        errors[writeError.index] = writeError;
+      }
+    }
+    return errors;
+  }
+
+  /**
+   * Writes many records at once (e.g., from an export), resolving any
+   * conflicts with existing unexpired entries according to `onConflict`.
+   *
+   * @param {object} options - Options to use.
+   * @param {Array<object>} options.records - The complete records to write.
+   * @param {string} options.onConflict - `skip` to keep any existing
+   *   unexpired entry, `overwrite` to replace it, or `keepNewer` to replace it
+   *   only if its `meta.updated` is older than that of the record.
+   * @param {number} options.now - The current time in milliseconds.
+   *
+   * @returns {Promise<Array<boolean>>} Resolves to whether each record (in
+   *   the order given) was skipped because of a conflict.
+   */
+  async importMany({records, onConflict, now} = {}) {
+    const operations = await Promise.all(records.map(async record => {
+      const {value, encrypted, compressed, ...entry} = record.entry;
+      const fields = await this._getValueFields(
+        {tokenizedId: entry.tokenizedId, value, encrypted, compressed});
+      const replacement = {...record, entry: {...entry, ...fields}};
+      const filter = {'entry.tokenizedId': record.entry.tokenizedId};
+      if(onConflict === 'skip') {
+        filter['entry.expires'] = {$lt: new Date(now)};
+      } else if(onConflict === 'keepNewer') {
+        filter.$or = [
+          {'entry.expires': {$lt: new Date(now)}},
+          {'meta.updated': {$lt: record.meta.updated}}
+        ];
+      }
+      return {replaceOne: {filter, replacement, upsert: true}};
+    }));
+
+    // an upsert that does not match an existing entry because of a conflict
+    // triggers a duplicate error; the record is then skipped
+    const skipped = records.map(() => false);
+    try {
+      await this.collection.bulkWrite(operations, {ordered: false});
+    } catch(error) {
+      const {writeErrors} = error;
+      if(!writeErrors) {
+        throw error;
+      }
+      for(const writeError of [].concat(writeErrors)) {
+        if(!database.isDuplicateError(writeError)) {
+          throw error;
+        }
+        skipped[writeError.index] = true;
+      }
+    }
+    return skipped;
+  }
+
+  /**
+   * Iterates over all unexpired records whose values are not pending
+   * computation.
+   *
+   * @param {object} options - Options to use.
+   * @param {number} options.now - The current time in milliseconds.
+   *
+   * @yields {object} Each record.
+   */
+  async* iterate({now} = {}) {
+    const query = {
+      'entry.expires': {$not: {$lt: new Date(now)}},
+      'entry.pending': {$exists: false}
+    };
+    const cursor = this.collection.find(query, {projection: {_id: 0}});
+    for await (const record of cursor) {
+      yield this._loadOverflow({record});
+    }
+  }
+
+  /**
+   * Atomically increments a numeric field of an entry's value. If the entry
+   * does not exist or has expired, it is (re)created with a value that only
+   * has the field, set to `by`.
+   *
+   * @param {object} options - Options to use.
+   * @param {Buffer} options.tokenizedId - The tokenized ID of the entry.
+   * @param {string} [options.tokenizerId] - The ID of the tokenizer that
+   *   produced `tokenizedId`, if known.
+   * @param {string} options.field - The name of the field to increment.
+   * @param {number} options.by - The amount to increment the field by.
+   * @param {number} [options.max] - If given, the field of an unexpired entry
+   *   is only incremented if its new value would not exceed `max`; the caller
+   *   must check `by` against `max` for entries that are (re)created.
+   * @param {Date} options.expires - When the entry expires if it is
+   *   (re)created.
+   * @param {number} options.now - The current time in milliseconds.
+   * @param {boolean} [options.explain=false] - Set to true to return database
+   *   query explain information instead of executing database queries.
+   *
+   * @returns {Promise<object | ExplainObject>} Resolves to the updated record,
+   *   `null` if an unexpired entry exists that could not be incremented
+   *   (because it would exceed `max`, it is pending computation, or its value
+   *   is encrypted, compressed, or stored in the GridFS bucket), or an
+   *   ExplainObject if `explain=true`.
+   */
+  async increment({
+    tokenizedId, tokenizerId, field, by, max, expires, now, explain = false
+  } = {}) {
+    const {collection} = this;
+    const fieldPath = `$entry.value.${field}`;
+    const current = {$ifNull: [fieldPath, 0]};
+    const unexpired = {
+      'entry.expires': {$not: {$lt: new Date(now)}},
+      'entry.pending': {$exists: false},
+      'entry.encrypted': {$exists: false},
+      'entry.compressed': {$exists: false},
+      'entry.overflow': {$exists: false}
+    };
+    if(max !== undefined) {
+      unexpired.$expr = {$lte: [{$add: [current, by]}, max]};
+    }
+    const query = {
+      'entry.tokenizedId': tokenizedId,
+      // an expired entry (including one with an abandoned pending lease) is
+      // replaced
+      $or: [{'entry.expires': {$lt: new Date(now)}}, unexpired]
+    };
+
+    if(explain) {
+      // 'find().limit(1)' is used here because 'findOneAndUpdate()' doesn't
+      // return a cursor which allows the use of the explain function.
+      const cursor = await collection.find(query).limit(1);
+      return cursor.explain('executionStats');
+    }
+
+    // an aggregation pipeline is used to replace an expired (or missing)
+    // entry and to otherwise increment the field; a missing `meta.created`
+    // means the entry is being inserted (whereas a missing `expires` means
+    // the entry never expires)
+    const expired = {$or: [
+      {$eq: [{$type: '$meta.created'}, 'missing']},
+      {$and: [
+        {$eq: [{$type: '$entry.expires'}, 'date']},
+        {$lt: ['$entry.expires', new Date(now)]}
+      ]}
+    ]};
+    const $set = {
+      'entry.value': {$cond: [
+        expired,
+        {$literal: {[field]: by}},
+        {$mergeObjects: [
+          '$entry.value', {[field]: {$add: [current, {$literal: by}]}}
+        ]}
+      ]},
+      'entry.expires': {
+        $cond: [expired, {$literal: expires}, '$entry.expires']
+      },
+      'entry.sequence': {$add: [{$ifNull: ['$entry.sequence', -1]}, 1]},
+      'entry.tags': {$cond: [expired, '$$REMOVE', '$entry.tags']},
+      'entry.tokenizerId': {$cond: [
+        expired,
+        tokenizerId === undefined ? '$$REMOVE' : {$literal: tokenizerId},
+        '$entry.tokenizerId'
+      ]},
+      'meta.created': {$ifNull: ['$meta.created', now]},
+      'meta.updated': {$literal: now}
+    };
+    const $unset = [
+      'entry.pending', 'entry.encrypted', 'entry.compressed', 'entry.overflow'
+    ];
+    try {
+      return await collection.findOneAndUpdate(query, [{$set}, {$unset}], {
+        upsert: true,
+        returnDocument: 'after',
+        projection: {_id: 0}
+      });
+    } catch(e) {
+      // an unexpired entry exists that could not be incremented
+      if(database.isDuplicateError(e)) {
+        return null;
+      }
+      throw e;
+    }
+  }
+
+  /**
+   * Extends the expiration of an existing entry that is not pending
+   * computation; the expiration is only ever moved forward.
+   *
+   * @param {object} options - Options to use.
+   * @param {Buffer} options.tokenizedId - The tokenized ID of the entry.
+   * @param {Date} options.expires - The minimum new expiration.
+   * @param {number} options.now - The current time in milliseconds.
+   * @param {boolean} [options.explain=false] - Set to true to return database
+   *   query explain information instead of executing database queries.
+   *
+   * @returns {Promise<object | ExplainObject>} Resolves to an object with
+   *   the entry's `expires` (`undefined` if the entry never expires), `null`
+   *   if no entry matched, or an ExplainObject if `explain=true`.
+   */
+  async extendExpires({tokenizedId, expires, now, explain = false} = {}) {
+    // an entry with a value that is still pending computation cannot be
+    // extended as its `expires` field is the expiration of its pending lease
+    const query = {
+      'entry.tokenizedId': tokenizedId,
+      'entry.pending': {$exists: false}
+    };
+    const {collection} = this;
+
+    if(explain) {
+      // 'find().limit(1)' is used here because 'findOneAndUpdate()' doesn't
+      // return a cursor which allows the use of the explain function.
+      const cursor = await collection.find(query).limit(1);
+      return cursor.explain('executionStats');
+    }
+
+    // an aggregation pipeline is used to leave an entry that never expires
+    // (has no `expires` date) unchanged
+    const $set = {
+      'entry.expires': {$cond: [
+        {$eq: [{$type: '$entry.expires'}, 'date']},
+        {$max: ['$entry.expires', {$literal: expires}]},
+        '$$REMOVE'
+      ]},
+      'meta.updated': {$literal: now}
+    };
+    const record = await collection.findOneAndUpdate(query, [{$set}], {
+      returnDocument: 'after',
+      projection: {_id: 0, 'entry.expires': 1}
+    });
+    return record ? {expires: record.entry?.expires} : null;
+  }
+
+  /**
+   * Deletes entries.
+   *
+   * @param {object} options - Options to use.
+   * @param {Array<Buffer>} options.tokenizedIds - The tokenized IDs of the
+   *   entries.
+   * @param {boolean} [options.explain=false] - Set to true to return database
+   *   query explain information instead of executing database queries.
+   *
+   * @returns {Promise<number | ExplainObject>} Resolves to the number of
+   *   entries deleted or an ExplainObject if `explain=true`.
+   */
+  async delete({tokenizedIds, explain = false} = {}) {
+    const {collection} = this;
+    const query = tokenizedIds.length === 1 ?
+      {'entry.tokenizedId': tokenizedIds[0]} :
+      {'entry.tokenizedId': {$in: tokenizedIds}};
+
+    if(explain) {
+      // 'find()' is used here because 'deleteMany()' doesn't return a cursor
+      // which allows the use of the explain function.
+      const cursor = await collection.find(query);
+      return cursor.explain('executionStats');
+    }
+
+    const fileIds = await this._findOverflowFileIds({query});
+    const result = await collection.deleteMany(query);
+    await this._removeFiles({fileIds});
+    return result.deletedCount;
+  }
+
+  /**
+   * Deletes all entries that have any of the given tags.
+   *
+   * @param {object} options - Options to use.
+   * @param {Array<Buffer>} options.tokenizedTags - The tokenized tags.
+   * @param {boolean} [options.explain=false] - Set to true to return database
+   *   query explain information instead of executing database queries.
+   *
+   * @returns {Promise<object | ExplainObject>} Resolves to `{count,
+   *   tokenizedIds}` where `count` is the number of entries deleted and
+   *   `tokenizedIds` are the tokenized IDs of the entries that were found to
+   *   have the tags, or an ExplainObject if `explain=true`.
+   */
+  async deleteByTags({tokenizedTags, explain = false} = {}) {
+    const {collection} = this;
+    const query = {'entry.tags': {$in: tokenizedTags}};
+
+    if(explain) {
+      // 'find()' is used here because 'deleteMany()' doesn't return a cursor
+      // which allows the use of the explain function.
+      const cursor = await collection.find(query);
+      return cursor.explain('executionStats');
+    }
+
+    const found = await collection.find(query, {
+      projection: {_id: 0, 'entry.tokenizedId': 1, 'entry.overflow.fileId': 1}
+    }).toArray();
+    const tokenizedIds = found.map(({entry}) => entry.tokenizedId);
+    if(tokenizedIds.length === 0) {
+      return {count: 0, tokenizedIds};
+    }
+    // include `query` to avoid removing any entry that was written again
+    // without the tags since it was found
+    const result = await collection.deleteMany(
+      {...query, 'entry.tokenizedId': {$in: tokenizedIds}});
+    await this._removeFiles({fileIds: _getOverflowFileIds({records: found})});
+    return {count: result.deletedCount, tokenizedIds};
+  }
+
+  /**
+   * Deletes all entries (and all files that store their values), e.g., to
+   * reset the cache between tests.
+   *
+   * @returns {Promise<number>} Resolves to the number of entries deleted.
+   */
+  async clear() {
+    const result = await this.collection.deleteMany({});
+    await this.filesCollection.deleteMany({});
+    await this.chunksCollection.deleteMany({});
+    return result.deletedCount;
+  }
+
+  /**
+   * Replaces an expired (or missing) entry with a pending lease that
+   * indicates its value is being computed.
+   *
+   * @param {object} options - Options to use.
+   * @param {Buffer} options.tokenizedId - The tokenized ID of the entry.
+   * @param {object} options.lease - The lease, with `id` and `expires`.
+   * @param {number} options.now - The current time in milliseconds.
+   *
+   * @returns {Promise<boolean>} Resolves to `true` if the lease was acquired
+   *   or `false` if an unexpired entry or lease exists.
+   */
+  async acquirePendingLease({tokenizedId, lease, now} = {}) {
+    // only an expired entry (or an entry with an abandoned lease, which expires
+    // with its lease) may be replaced with a pending lease
+    const query = {
+      'entry.tokenizedId': tokenizedId,
+      'entry.expires': {$lt: new Date(now)}
+    };
+    const $set = {
+      'entry.expires': lease.expires,
+      'entry.pending': lease,
+      'meta.created': now,
+      'meta.updated': now
+    };
+    // a pending entry has no value (nor tags) until its value is written
+    const $unset = {'entry.tags': ''};
+    for(const name of VALUE_FIELDS) {
+      $unset[`entry.${name}`] = '';
+    }
+    const $setOnInsert = {
+      'entry.tokenizedId': tokenizedId
+    };
+    let replaced;
+    try {
+      replaced = await this.collection.findOneAndUpdate(
+        query, {$set, $unset, $setOnInsert}, {
+          upsert: true,
+          returnDocument: 'before',
+          projection: {_id: 0, 'entry.overflow.fileId': 1}
+        });
+    } catch(e) {
+      // an unexpired entry or lease already exists
+      if(database.isDuplicateError(e)) {
+        return false;
+      }
+      throw e;
+    }
+    // remove any file that stored the value of the replaced entry
+    if(replaced) {
+      await this._removeFiles(
+        {fileIds: _getOverflowFileIds({records: [replaced]})});
+    }
+    return true;
+  }
+
+  /**
+   * Deletes an entry that is pending computation if it still holds the given
+   * pending lease.
+   *
+   * @param {object} options - Options to use.
+   * @param {Buffer} options.tokenizedId - The tokenized ID of the entry.
+   * @param {string} options.leaseId - The ID of the pending lease.
+   *
+   * @returns {Promise} Resolves once released.
+   */
+  async releasePendingLease({tokenizedId, leaseId} = {}) {
+    await this.collection.deleteOne({
+      'entry.tokenizedId': tokenizedId,
+      'entry.pending.id': leaseId
+    });
+  }
+
+  /**
+   * Deletes a single batch of expired records.
+   *
+   * @param {object} options - Options to use.
+   * @param {Date} options.expiredBefore - Only records that expired before
+   *   this time are deleted.
+   * @param {number} options.batchSize - The maximum number of records to
+   *   delete.
+   *
+   * @returns {Promise<number>} Resolves to the number of records deleted.
+   */
+  async sweep({expiredBefore, batchSize} = {}) {
+    const {collection} = this;
+    const query = {'entry.expires': {$lt: expiredBefore}};
+    const batch = await collection.find(
+      query, {projection: {_id: 1, 'entry.overflow.fileId': 1}})
+      .limit(batchSize).toArray();
+    if(batch.length === 0) {
+      return 0;
+    }
+    // include `query` to avoid removing any record that was written again
+    // since the batch was found
+    const result = await collection.deleteMany({
+      ...query,
+      _id: {$in: batch.map(({_id}) => _id)}
+    });
+    await this._removeFiles({fileIds: _getOverflowFileIds({records: batch})});
+    return result.deletedCount;
+  }
+
+  /**
+   * Deletes a single batch of files from the GridFS bucket that are not
+   * referenced by any entry, e.g., because their entries have been removed
+   * by a TTL index or replaced.
+   *
+   * @param {object} options - Options to use.
+   * @param {Date} options.uploadedBefore - Only files that were uploaded
+   *   before this time are deleted; this must be long enough ago that no
+   *   write of an entry that references a file uploaded since is in progress.
+   * @param {number} options.batchSize - The maximum number of files to
+   *   delete.
+   *
+   * @returns {Promise<number>} Resolves to the number of files deleted.
+   */
+  async sweepFiles({uploadedBefore, batchSize} = {}) {
+    const batch = await this.filesCollection.aggregate([
+      {$match: {uploadDate: {$lt: uploadedBefore}}},
+      {$lookup: {
+        from: this.collectionName,
+        localField: '_id',
+        foreignField: 'entry.overflow.fileId',
+        as: 'entries'
+      }},
+      {$match: {entries: {$size: 0}}},
+      {$limit: batchSize},
+      {$project: {_id: 1}}
+    ]).toArray();
+    return this._removeFiles({fileIds: batch.map(({_id}) => _id)});
+  }
+
+  /**
+   * Acquires (or renews) a lease that is shared by all app instances.
+   *
+   * @param {object} options - Options to use.
+   * @param {string} options.id - The ID of the lease.
+   * @param {string} options.holder - Identifies the app instance.
+   * @param {number} options.duration - The duration of the lease in
+   *   milliseconds.
+   *
+   * @returns {Promise<boolean>} Resolves to `true` if acquired or `false` if
+   *   another app instance holds the lease.
+   */
+  async acquireLease({id, holder, duration} = {}) {
+    const now = Date.now();
+    const query = {
+      'lease.id': id,
+      $or: [
+        {'lease.expires': {$lt: new Date(now)}},
+        {'lease.holder': holder}
+      ]
+    };
+    const $set = {
+      'lease.holder': holder,
+      'lease.expires': new Date(now + duration),
+      'meta.updated': now
+    };
+    const $setOnInsert = {
+      'lease.id': id,
+      'meta.created': now
+    };
+    const collection = database.collections[LEASE_COLLECTION_NAME];
+    try {
+      await collection.updateOne(query, {$set, $setOnInsert}, {upsert: true});
+    } catch(e) {
+      // another app instance holds the lease
+      if(database.isDuplicateError(e)) {
+        return false;
+      }
+      throw e;
+    }
+    return true;
+  }
+
+  async _findOverflowFileIds({query} = {}) {
+    const records = await this.collection.find(
+      {...query, 'entry.overflow': {$exists: true}},
+      {projection: {_id: 0, 'entry.overflow.fileId': 1}}).toArray();
+    return _getOverflowFileIds({records});
+  }
+
+  // inserts a record whose value fields are ready to be stored; resolves to
+  // `false` if a record with the same `tokenizedId` exists
+  async _insert({record} = {}) {
+    try {
+      await this.collection.insertOne({...record});
+    } catch(e) {
+      if(!database.isDuplicateError(e)) {
+        throw e;
+      }
+      return false;
+    }
+    return true;
+  }
+
+  // gets the fields that store a value in an entry; a value that is too large
+  // is uploaded to the GridFS bucket and referenced via `overflow` instead
+  async _getValueFields({tokenizedId, value, encrypted, compressed} = {}) {
+    let fields;
+    if(encrypted !== undefined) {
+      fields = {encrypted};
+    } else if(compressed !== undefined) {
+      fields = {compressed};
+    } else {
+      fields = {value};
+    }
+
+    const {threshold} = this.overflow;
+    if(threshold === null || BSON.calculateObjectSize(fields) <= threshold) {
+      return fields;
+    }
+    const data = serializeBson(fields);
+    const stream = this.bucket.openUploadStream(
+      tokenizedId.toString('base64url'), {metadata: {tokenizedId}});
+    stream.end(data);
+    await finished(stream);
+    return {overflow: {fileId: stream.id, size: data.length}};
+  }
+
+  // replaces any `overflow` reference in a record with the value it references
+  async _loadOverflow({record} = {}) {
+    if(!record?.entry.overflow) {
+      return record;
+    }
+    const {overflow: {fileId}, ...entry} = record.entry;
+    const chunks = [];
+    for await (const chunk of this.bucket.openDownloadStream(fileId)) {
+      chunks.push(chunk);
+    }
+    const fields = BSON.deserialize(
+      Buffer.concat(chunks), {promoteBuffers: true});
+    return {...record, entry: {...entry, ...fields}};
+  }
+
+  async _loadOverflows({records} = {}) {
+    return Promise.all(records.map(record => this._loadOverflow({record})));
+  }
+
+  // removes an uploaded file that was not written to any entry
+  async _removeOverflow({fields} = {}) {
+    if(fields.overflow) {
+      await this._removeFiles({fileIds: [fields.overflow.fileId]});
+    }
+  }
+
+  // removes files from the GridFS bucket that are not referenced by any entry
+  async _removeFiles({fileIds} = {}) {
+    if(fileIds.length === 0) {
+      return 0;
+    }
+    const referenced = new Set();
+    const records = await this.collection.find(
+      {'entry.overflow.fileId': {$in: fileIds}},
+      {projection: {_id: 0, 'entry.overflow.fileId': 1}}).toArray();
+    for(const fileId of _getOverflowFileIds({records})) {
+      referenced.add(fileId.toHexString());
+    }
+    const unreferenced = fileIds.filter(
+      fileId => !referenced.has(fileId.toHexString()));
+    if(unreferenced.length === 0) {
+      return 0;
+    }
+    // remove file records before chunks so that a partially removed file is
+    // never found
+    const result = await this.filesCollection.deleteMany(
+      {_id: {$in: unreferenced}});
+    await this.chunksCollection.deleteMany({files_id: {$in: unreferenced}});
+    return result.deletedCount;
+  }
+}
+
+function _createUpsert({
+  tokenizedId, tokenizerId, expires, fields, tags, now
+} = {}) {
+  const query = {'entry.tokenizedId': tokenizedId};
+
+  // an aggregation pipeline is used to initialize `sequence` and
+  // `meta.created` on insert (or when replacing an expired entry, which is
+  // then a new entry) and to otherwise increment or preserve them; all other
+  // fields are overwritten on update (`tokenizedId` is included on insert via
+  // `query`); `$literal` ensures values are never interpreted as aggregation
+  // expressions
+  const expired = {$and: [
+    {$ne: [{$type: '$entry.expires'}, 'missing']},
+    {$lt: ['$entry.expires', {$literal: new Date(now)}]}
+  ]};
+  const $set = {
+    'entry.sequence': {$cond: [
+      expired, 0, {$add: [{$ifNull: ['$entry.sequence', -1]}, 1]}
+    ]},
+    'meta.created': {$cond: [
+      expired, {$literal: now}, {$ifNull: ['$meta.created', now]}
+    ]},
+    'meta.updated': {$literal: now}
+  };
+  // clear any pending lease from `getOrCreate()`
+  const $unset = ['entry.pending'];
+  // an entry that never expires has no `expires` field
+  if(expires === null) {
+    $unset.push('entry.expires');
+  } else {
+    $set['entry.expires'] = {$literal: expires};
+  }
+  // record which tokenizer produced `tokenizedId`, if known
+  if(tokenizerId === undefined) {
+    $unset.push('entry.tokenizerId');
+  } else {
+    $set['entry.tokenizerId'] = {$literal: tokenizerId};
+  }
+  // store the value in only one field (see `_getValueFields()`)
+  for(const name of VALUE_FIELDS) {
+    if(Object.hasOwn(fields, name)) {
+      $set[`entry.${name}`] = {$literal: fields[name]};
+    } else {
+      $unset.push(`entry.${name}`);
+    }
+  }
+  if(tags === undefined) {
+    $unset.push('entry.tags');
+  } else {
+    $set['entry.tags'] = {$literal: tags};
+  }
+  const update = [{$set}, {$unset}];
+  return {query, update};
+}
+
+function _getOverflowFileIds({records} = {}) {
+  return records.filter(({entry}) => entry?.overflow)
+    .map(({entry}) => entry.overflow.fileId);
+}
+
+function _getProjection({values} = {}) {
+  if(values) {
+    return {_id: 0};
+  }
+  const projection = {_id: 0};
+  for(const name of VALUE_FIELDS) {
+    projection[`entry.${name}`] = 0;
+  }
+  return projection;
+}
+
+/**
+ * An object containing information on the query plan.
+ *
+ * @typedef {object} ExplainObject
+ */
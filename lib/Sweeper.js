@@ -0,0 +1,200 @@
+/*!
+ * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+import * as clock from './clock.js';
+import crypto from 'node:crypto';
+import {logger} from './logger.js';
+
+/**
+ * Periodically removes expired records from the storage of a cache in bounded
+ * batches. This is used when `autoRemoveExpiredRecords` is
+ * `false` and no TTL index removes expired records. Files that store large
+ * values (see the `overflow` config) and that are no longer referenced by any
+ * record are also periodically removed, if supported by the storage.
+ */
+export class Sweeper {
+  /**
+   * Creates a new Sweeper.
+   *
+   * @param {object} options - Options to use.
+   * @param {object} options.cache - The TokenizedCache to sweep.
+   */
+  constructor({cache} = {}) {
+    this.cache = cache;
+    // identifies this app instance as a lease holder
+    this.holder = crypto.randomUUID();
+    this.sweeping = null;
+    this.sweepingFiles = null;
+    this.timer = null;
+  }
+
+  /**
+   * Starts sweeping periodically.
+   */
+  start() {
+    const {interval} = this.cache.config.sweeper;
+    if(this.timer || !(interval > 0) ||
+      !(this._sweepsRecords() || this._sweepsFiles())) {
+      return;
+    }
+    this.timer = setInterval(() => this._sweepPeriodically(), interval);
+    // do not keep the process alive just to sweep
+    this.timer.unref();
+  }
+
+  /**
+   * Stops sweeping periodically.
+   *
+   * @returns {Promise} Resolves once any sweep in progress has finished.
+   */
+  async stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    await Promise.all([this.sweeping, this.sweepingFiles]);
+  }
+
+  /**
+   * Removes expired records (that have been expired for longer than the
+   * configured grace period) in batches, provided that no other app instance
+   * is currently sweeping the same cache.
+   *
+   * @returns {Promise<object>} Resolves to `{removed, swept}` where `removed`
+   *   is the number of records removed and `swept` is `false` if another app
+   *   instance holds the sweep lease.
+   */
+  async sweep() {
+    if(this.sweeping) {
+      return this.sweeping;
+    }
+    this.sweeping = this._sweep();
+    try {
+      return await this.sweeping;
+    } finally {
+      this.sweeping = null;
+    }
+  }
+
+  /**
+   * Removes files that store large values and that are not referenced by any
+   * record (and were uploaded longer than `overflow.orphanAge` ago) in
+   * batches, provided that no other app instance is currently sweeping the
+   * same cache's files.
+   *
+   * @returns {Promise<object>} Resolves to `{removed, swept}` where `removed`
+   *   is the number of files removed and `swept` is `false` if another app
+   *   instance holds the lease for sweeping files.
+   */
+  async sweepFiles() {
+    if(this.sweepingFiles) {
+      return this.sweepingFiles;
+    }
+    const {orphanAge} = this.cache.config.overflow;
+    // files are dated by the database using the system clock
+    const uploadedBefore = new Date(Date.now() - orphanAge);
+    const {storage} = this.cache;
+    this.sweepingFiles = this._sweepBatches({
+      leaseId: `sweep-files:${this.cache.collectionName}`,
+      sweepBatch: ({batchSize}) => storage.sweepFiles(
+        {uploadedBefore, batchSize})
+    });
+    try {
+      return await this.sweepingFiles;
+    } finally {
+      this.sweepingFiles = null;
+    }
+  }
+
+  // acquires (or renews) a lease for sweeping the cache
+  async _acquireLease({id} = {}) {
+    const {leaseDuration} = this.cache.config.sweeper;
+    return this.cache.storage.acquireLease({
+      id,
+      holder: this.holder,
+      duration: leaseDuration
+    });
+  }
+
+  async _sweep() {
+    const {gracePeriod} = this.cache.config.sweeper;
+    const {storage} = this.cache;
+    const expiredBefore = new Date(clock.now() - gracePeriod);
+    return this._sweepBatches({
+      leaseId: `sweep:${this.cache.collectionName}`,
+      sweepBatch: ({batchSize}) => storage.sweep({expiredBefore, batchSize})
+    });
+  }
+
+  async _sweepBatches({leaseId, sweepBatch} = {}) {
+    const {batchSize} = this.cache.config.sweeper;
+    let removed = 0;
+    let swept = false;
+    while(true) {
+      // renew the lease before each batch, stopping if it has been lost
+      if(!await this._acquireLease({id: leaseId})) {
+        break;
+      }
+      swept = true;
+
+      const count = await sweepBatch({batchSize});
+      removed += count;
+      if(count < batchSize) {
+        break;
+      }
+    }
+    return {removed, swept};
+  }
+
+  async _sweepPeriodically() {
+    if(this._sweepsRecords()) {
+      await this._sweepRecordsPeriodically();
+    }
+    if(this._sweepsFiles()) {
+      await this._sweepFilesPeriodically();
+    }
+  }
+
+  async _sweepFilesPeriodically() {
+    try {
+      const {removed, swept} = await this.sweepFiles();
+      if(swept && removed > 0) {
+        logger.info(
+          `Removed ${removed} unreferenced overflow file(s) from cache ` +
+          `"${this.cache.name}".`);
+      }
+    } catch(error) {
+      logger.error(
+        'Error removing unreferenced overflow files from cache ' +
+        `"${this.cache.name}".`, {error});
+    }
+  }
+
+  async _sweepRecordsPeriodically() {
+    try {
+      const {removed, swept} = await this.sweep();
+      if(!swept) {
+        return;
+      }
+      logger.info(
+        `Removed ${removed} expired record(s) from cache ` +
+        `"${this.cache.name}".`);
+      await bedrock.events.emit(
+        'bedrock-tokenized-cache.swept', {cache: this.cache.name, removed});
+    } catch(error) {
+      logger.error(
+        `Error removing expired records from cache "${this.cache.name}".`,
+        {error});
+    }
+  }
+
+  // whether expired records must be removed by sweeping
+  _sweepsRecords() {
+    return !this.cache.config.autoRemoveExpiredRecords;
+  }
+
+  // whether the storage stores large values in files that must be swept
+  // (even if `overflow` has since been disabled)
+  _sweepsFiles() {
+    return typeof this.cache.storage.sweepFiles === 'function';
+  }
+}
@@ -0,0 +1,2230 @@
+/*!
+ * Copyright (c) 2020-2025 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+import * as clock from './clock.js';
+import {BSON, EJSON} from 'bson';
+import {compressValue, decompressValue} from './compression.js';
+import {decryptValue, encryptValue} from './encryption.js';
+import {
+  getCurrentTokenizer, getTokenizer, mergeConfig, resolveTokenizedId,
+  resolveTokenizedIds, tokenizeId, tokenizeTag
+} from './helpers.js';
+import assert from 'assert-plus';
+import {CacheStats} from './CacheStats.js';
+import {ChangeStreamWatcher} from './ChangeStreamWatcher.js';
+import crypto from 'node:crypto';
+import {logger} from './logger.js';
+import {LruCache} from '@digitalbazaar/lru-memoize';
+import {MemoryStorage} from './MemoryStorage.js';
+import {MongoStorage} from './MongoStorage.js';
+import {Readable} from 'node:stream';
+import readline from 'node:readline';
+import {setTimeout} from 'node:timers/promises';
+import {Sweeper} from './Sweeper.js';
+
+const {util: {BedrockError}} = bedrock;
+
+// the format and version of the header line of exports
+const EXPORT_FORMAT = 'tokenized-cache-export';
+const EXPORT_VERSION = 1;
+const IMPORT_CONFLICT_POLICIES = ['skip', 'overwrite', 'keepNewer'];
+
+/**
+ * A cache of entries identified by tokenized IDs. Each cache has its own
+ * name, storage (a database collection by default), in-memory cache, and
+ * configuration. Instances should be created via `createCache()`.
+ *
+ * Changes to entries emit bedrock events with the `cache` name, the
+ * `operation` that caused the event, and the entry's `tokenizedId` and
+ * metadata; they never include an entry's raw ID:
+ *
+ * - `bedrock-tokenized-cache.entry.upserting` is emitted with the `entry` to
+ *   be written and its `value` before `upsert()`, `create()`, `update()`,
+ *   `upsertMany()` (for each entry), `getOrCreate()`, `increment()`,
+ *   `importEntries()` (for each entry), or the revalidation of a stale entry
+ *   (see `get()`) writes an entry. Any listener may veto the write by
+ *   returning `false`, in which case a `NotAllowedError` is thrown (an
+ *   imported entry is skipped instead), or by throwing an error of its own.
+ *   As the value of an entry that is incremented is computed by the
+ *   database, its `entry` only has its `tokenizedId` and `tokenizerId` and
+ *   there is no `value`.
+ * - `bedrock-tokenized-cache.entry.upserted` is emitted with the written
+ *   `entry` (without its value) and its `meta` after any of the above writes.
+ * - `bedrock-tokenized-cache.entry.removed` is emitted with the `entry`
+ *   (`{tokenizedId}`) after `remove()` or `invalidateByTag()` removes it,
+ *   once for each `tokenizedId` removed (an entry may also have been stored
+ *   using a previous tokenizer).
+ * - `bedrock-tokenized-cache.entry.expired` is emitted with the `entry` and
+ *   its `meta` when `get()` or `getMany()` reads an entry from storage that
+ *   has expired but not yet been removed. It may be emitted more than once
+ *   for the same entry and not at all for an entry that is removed (e.g., by
+ *   the TTL index) before it is read.
+ *
+ * Errors thrown by listeners of events other than `entry.upserting` are
+ * logged. Touches and sweeps do not emit these events.
+ */
+export class TokenizedCache {
+  /**
+   * Creates a new TokenizedCache.
+   *
+   * @param {object} options - Options to use.
+   * @param {string} options.name - The name of the cache.
+   * @param {string} options.collectionName - The name of the database
+   *   collection that stores the cache's entries.
+   * @param {object} [options.defaults={}] - Default configuration for the
+   *   cache; any values set in the `namespaces` config for the cache will
+   *   take precedence.
+   */
+  constructor({name, collectionName, defaults = {}} = {}) {
+    this.name = name;
+    this.collectionName = collectionName;
+    this.defaults = defaults;
+    // set on `bedrock.init`
+    this.config = null;
+    this.storage = null;
+    this.entryCache = null;
+    // the value size (if measured), expiration, and time until which it may
+    // be kept in memory of each in-memory record by the promise that resolves
+    // to it
+    this.entryInfo = new WeakMap();
+    // `null` if caching not found results is disabled
+    this.notFoundCache = null;
+    // incremented whenever any entry is written or removed
+    this.invalidations = 0;
+    // set once the database is ready if `changeStreams` are enabled
+    this.watcher = null;
+    this.stats = new CacheStats();
+    this.statsTimer = null;
+    // background revalidations of stale entries by key
+    this.revalidations = new Map();
+    // only sweeps records periodically if `autoRemoveExpiredRecords` is
+    // `false` and files if the storage stores large values in files
+    this.sweeper = new Sweeper({cache: this});
+  }
+
+  // `undefined` unless entries are stored in a database collection
+  get collection() {
+    return this.storage?.collection;
+  }
+
+  /**
+   * Retrieves a cache entry record (if it exists).
+   *
+   * If the entry is not found using the current tokenizer and an `id` was
+   * given, then any previous tokenizers configured via
+   * `tokenizerRotation.previousTokenizerIds` will be tried (in order). If the
+   * entry is found using a previous tokenizer, it will be moved to the current
+   * tokenizer's `tokenizedId` if `tokenizerRotation.rekey` is set.
+   *
+   * @param {object} options - Options to use.
+   * @param {string} [options.id] - The ID of the entry to retrieve.
+   * @param {Buffer} [options.tokenizedId] - The already tokenized ID, if
+   *   `id` has been externally tokenized.
+   * @param {object} [options.tokenizer] - Optional tokenizer to use.
+   * @param {number} [options.slidingTtl] - If given, the entry's expiration
+   *   will be extended (never shortened) to `slidingTtl` milliseconds from
+   *   now each time it is read (sliding expiration).
+   * @param {object} [options.allowStale] - If given, an entry that expired no
+   *   more than `allowStale.maxStaleness` milliseconds ago but that has not
+   *   yet been removed from the database (see the note on TTL index grace
+   *   periods in `MongoStorage.js`) is returned with `stale: true` instead of
+   *   throwing a `NotFoundError`. Stale entries are not cached in memory. If
+   *   the function `allowStale.revalidate` is given, it is called in the
+   *   background (at most once per entry at a time in this process) with the
+   *   stale `record`; the value it resolves to is written to the entry (with
+   *   the entry's existing tags) using `allowStale.ttl` (defaults to
+   *   `defaults.ttl`) unless the entry has been written since it expired.
+   * @param {boolean} [options.explain=false] - Set to true to return database
+   *   query explain information instead of executing database queries.
+   *
+   * @returns {Promise<object | ExplainObject>} Resolves with the cache entry
+   *   database record or an ExplainObject if `explain=true`.
+   */
+  async get({
+    id, tokenizedId, tokenizer, slidingTtl, allowStale, explain = false
+  } = {}) {
+    assert.optionalString(id, 'id');
+    assert.optionalBuffer(tokenizedId, 'tokenizedId');
+    assert.optionalObject(tokenizer, 'tokenizer');
+    assert.optionalNumber(slidingTtl, 'slidingTtl');
+    assert.optionalObject(allowStale, 'allowStale');
+    if(allowStale) {
+      assert.number(allowStale.maxStaleness, 'allowStale.maxStaleness');
+      assert.optionalFunc(allowStale.revalidate, 'allowStale.revalidate');
+      assert.optionalNumber(allowStale.ttl, 'allowStale.ttl');
+    }
+
+    ({tokenizedId, tokenizer} = await this._resolveTokenizedId(
+      {id, tokenizedId, tokenizer}));
+
+    // do not use in-memory cache when explaining database query
+    if(explain) {
+      return this._getUncachedEntry({tokenizedId, explain});
+    }
+
+    try {
+      return await this._getEntry({id, tokenizedId, tokenizer, slidingTtl});
+    } catch(e) {
+      if(!allowStale || e.name !== 'NotFoundError') {
+        throw e;
+      }
+      return this._getStaleEntry({tokenizedId, allowStale, error: e});
+    }
+  }
+
+  /**
+   * Retrieves many cache entry records at once. The IDs are tokenized in
+   * parallel, any entries found in the in-memory cache are used, and all
+   * remaining entries are fetched from the database using a single query.
+   *
+   * Rather than throwing a `NotFoundError` for any missing entry, a result is
+   * returned for every given ID (in the same order as the IDs were given) with
+   * a `status` of `found`, `notFound`, or `error`.
+   *
+   * @param {object} options - Options to use.
+   * @param {Array<string>} [options.ids] - The IDs of the entries to retrieve.
+   * @param {Array<Buffer>} [options.tokenizedIds] - The already tokenized IDs,
+   *   if `ids` have been externally tokenized.
+   * @param {object} [options.tokenizer] - Optional tokenizer to use.
+   * @param {boolean} [options.explain=false] - Set to true to return database
+   *   query explain information instead of executing database queries.
+   *
+   * @returns {Promise<Array<GetManyResult> | ExplainObject>} Resolves with the
+   *   results or an ExplainObject if `explain=true`.
+   */
+  async getMany({
+    ids, tokenizedIds, tokenizer, explain = false
+  } = {}) {
+    assert.optionalArrayOfString(ids, 'ids');
+    assert.optionalArrayOfBuffer(tokenizedIds, 'tokenizedIds');
+    assert.optionalObject(tokenizer, 'tokenizer');
+
+    const results = await this._resolveTokenizedIds(
+      {ids, tokenizedIds, tokenizer});
+
+    // do not use in-memory cache when explaining database query
+    if(explain) {
+      return this.storage.find({
+        tokenizedIds: results.filter(r => r.tokenizedId)
+          .map(r => r.tokenizedId),
+        explain
+      });
+    }
+
+    // use any records found in the in-memory cache
+    const misses = new Map();
+    await Promise.all(results.map(async result => {
+      if(result.status === 'error') {
+        return;
+      }
+      const key = result.tokenizedId.toString('base64url');
+      if(this._isNotFound({key})) {
+        this.stats.increment('notFoundHits');
+        this.stats.increment('misses');
+        result.status = 'notFound';
+        return;
+      }
+      const record = await this._getInMemoryRecord({key});
+      if(record) {
+        this.stats.increment('memoryHits');
+        result.status = 'found';
+        result.record = record;
+        return;
+      }
+      const pending = misses.get(key);
+      if(pending) {
+        pending.push(result);
+      } else {
+        misses.set(key, [result]);
+      }
+    }));
+
+    if(misses.size === 0) {
+      return results;
+    }
+
+    // fetch all remaining records at once
+    const {invalidations} = this;
+    let records;
+    try {
+      records = await this._getUncachedEntries({
+        tokenizedIds: [...misses.values()].map(([r]) => r.tokenizedId)
+      });
+    } catch(error) {
+      for(const pending of misses.values()) {
+        for(const result of pending) {
+          result.status = 'error';
+          result.error = error;
+        }
+      }
+      return results;
+    }
+
+    await Promise.all([...misses].map(async ([key, pending]) => {
+      let record = records.get(key);
+      let error;
+      if(record) {
+        try {
+          record = await this._decodeRecord({record});
+          // populate in-memory cache (unless already repopulated
+          // concurrently)
+          this._setInMemoryRecord(
+            {key, promise: Promise.resolve(record), record});
+        } catch(e) {
+          error = e;
+        }
+      }
+      for(const result of pending) {
+        if(error) {
+          result.status = 'error';
+          result.error = error;
+        } else if(record) {
+          this.stats.increment('databaseHits');
+          result.status = 'found';
+          result.record = record;
+        } else {
+          this.stats.increment('misses');
+          result.status = 'notFound';
+        }
+      }
+      // cache not found result unless any entry was written concurrently
+      if(!record && invalidations === this.invalidations) {
+        this._setNotFound({key});
+      }
+    }));
+
+    return results;
+  }
+
+  /**
+   * Retrieves a cache entry record, creating it if it does not exist by calling
+   * the given `compute` function to produce its value.
+   *
+   * Concurrent calls for the same entry are deduplicated such that `compute` is
+   * only called once. Within a process, the in-memory cache is used to share a
+   * single pending computation. Across processes, a short-lived "pending" lease
+   * is stored in the database record for the entry; only the process that
+   * holds the lease calls `compute` while any others wait for the entry to be
+   * written (or for the lease to expire, at which point they may try to
+   * acquire it). If `compute` throws, the lease is released and the error is
+   * rethrown.
+   *
+   * @param {object} options - Options to use.
+   * @param {string} [options.id] - The ID of the entry to retrieve or create.
+   * @param {Buffer} [options.tokenizedId] - The already tokenized ID, if
+   *   `id` has been externally tokenized.
+   * @param {object} [options.tokenizer] - Optional tokenizer to use.
+   * @param {Function} options.compute - A function that returns (or resolves
+   *   to) the value to cache if the entry does not exist.
+   * @param {number} [options.ttl] - The number of milliseconds until a
+   *   created cache entry should expire (defaults to `defaults.ttl`).
+   *
+   * @returns {Promise<object>} Resolves with the cache entry database record.
+   */
+  async getOrCreate({
+    id, tokenizedId, tokenizer, ttl, compute
+  } = {}) {
+    assert.optionalString(id, 'id');
+    assert.optionalBuffer(tokenizedId, 'tokenizedId');
+    assert.optionalObject(tokenizer, 'tokenizer');
+    assert.optionalNumber(ttl, 'ttl');
+    assert.func(compute, 'compute');
+    // fail fast if `ttl` violates the expiration policy
+    this._getExpires({ttl, now: clock.now()});
+
+    ({tokenizedId, tokenizer} = await this._resolveTokenizedId(
+      {id, tokenizedId, tokenizer}));
+
+    // reuse any in-memory record or pending computation
+    const key = tokenizedId.toString('base64url');
+    const record = await this._getInMemoryRecord({key});
+    if(record) {
+      this.stats.increment('memoryHits');
+      return record;
+    }
+
+    let computing = false;
+    let promise;
+    const fn = () => {
+      computing = true;
+      promise = this._getOrCreateUncachedEntry(
+        {tokenizedId, tokenizerId: tokenizer?.id, ttl, compute});
+      return promise;
+    };
+    try {
+      const record = await this.entryCache.memoize({key, fn});
+      if(computing) {
+        this._setInMemoryRecord({key, promise, record, previous: promise});
+      }
+      return record;
+    } catch(e) {
+      // a concurrent `get()` was memoized before `fn` and found no entry; try
+      // again to get or create the entry
+      if(!computing && e.name === 'NotFoundError') {
+        return this.getOrCreate({tokenizedId, tokenizer, ttl, compute});
+      }
+      throw e;
+    }
+  }
+
+  /**
+   * Adds an entry to the cache only if it does not already exist (or has
+   * expired). The new entry's `sequence` will be `0`.
+   *
+   * @param {object} options - Options to use.
+   * @param {string} [options.id] - The ID of the entry to cache.
+   * @param {Buffer} [options.tokenizedId] - The already tokenized ID, if
+   *   `id` has been externally tokenized.
+   * @param {object} [options.tokenizer] - Optional tokenizer to use.
+   * @param {*} [options.value] - The value to cache.
+   * @param {number} [options.ttl] - The number of milliseconds until the
+   *   cache entry should expire; see `upsert()`.
+   * @param {Date} [options.expires] - When the cache entry should expire
+   *   instead of `ttl`; see `upsert()`.
+   * @param {Array<string>} [options.tags] - Tags for the entry; see
+   *   `upsert()`.
+   * @param {boolean} [options.explain=false] - Set to true to return database
+   *   query explain information instead of executing database queries.
+   *
+   * @returns {Promise<object | ExplainObject>} Resolves with the cache entry
+   *   record or an ExplainObject if `explain=true`; rejects with a
+   *   `DuplicateError` if the entry already exists.
+   */
+  async create({
+    id, tokenizedId, tokenizer, ttl, expires, value, tags, explain = false
+  } = {}) {
+    assert.optionalString(id, 'id');
+    assert.optionalBuffer(tokenizedId, 'tokenizedId');
+    assert.optionalObject(tokenizer, 'tokenizer');
+    assert.optionalNumber(ttl, 'ttl');
+    assert.optionalArrayOfString(tags, 'tags');
+
+    ({tokenizedId, tokenizer} = await this._resolveTokenizedId(
+      {id, tokenizedId, tokenizer}));
+
+    if(explain) {
+      return this.storage.create({tokenizedId, explain});
+    }
+
+    const now = clock.now();
+    expires = this._getExpires({ttl, expires, now});
+    const tokenizedTags = await this._tokenizeTags({tags, tokenizer});
+    await this._emitUpserting({
+      operation: 'create',
+      entry: {
+        tokenizedId, tokenizerId: tokenizer?.id, expires, tags: tokenizedTags
+      },
+      value
+    });
+    const encoded = await this._encodeValue({value});
+    const key = tokenizedId.toString('base64url');
+    let record;
+    try {
+      record = await this._timeDatabase(() => this.storage.create({
+        tokenizedId, tokenizerId: tokenizer?.id, expires, ...encoded,
+        tags: tokenizedTags, now
+      }));
+    } finally {
+      // clear any in-memory cache entry
+      this._invalidate({key});
+    }
+    if(!record) {
+      throw new BedrockError(
+        'Duplicate entry.',
+        'DuplicateError', {httpStatusCode: 409, public: true});
+    }
+
+    this.stats.increment('upserts');
+    await this._emitEntryEvent(
+      {event: 'upserted', operation: 'create', record});
+    return _withValue({record, value});
+  }
+
+  /**
+   * Updates an existing entry in the cache only if its current `sequence`
+   * matches `expectedSequence`, incrementing its `sequence` by one. This
+   * enables concurrent read-modify-write operations on the same entry without
+   * losing updates.
+   *
+   * @param {object} options - Options to use.
+   * @param {string} [options.id] - The ID of the entry to update.
+   * @param {Buffer} [options.tokenizedId] - The already tokenized ID, if
+   *   `id` has been externally tokenized.
+   * @param {object} [options.tokenizer] - Optional tokenizer to use.
+   * @param {*} [options.value] - The new value for the entry.
+   * @param {number} options.expectedSequence - The `sequence` the entry must
+   *   currently have for the update to be applied.
+   * @param {number} [options.ttl] - The number of milliseconds until the
+   *   cache entry should expire; if neither `ttl` nor `expires` is given,
+   *   the entry's current expiration is preserved.
+   * @param {Date} [options.expires] - When the cache entry should expire
+   *   instead of `ttl`; see `upsert()`.
+   * @param {boolean} [options.explain=false] - Set to true to return database
+   *   query explain information instead of executing database queries.
+   *
+   * @returns {Promise<object | ExplainObject>} Resolves with the updated cache
+   *   entry record or an ExplainObject if `explain=true`; rejects with a
+   *   `NotFoundError` if the entry does not exist or an `InvalidStateError`
+   *   if its `sequence` does not match `expectedSequence`.
+   */
+  async update({
+    id, tokenizedId, tokenizer, value, expectedSequence, ttl, expires,
+    explain = false
+  } = {}) {
+    assert.optionalString(id, 'id');
+    assert.optionalBuffer(tokenizedId, 'tokenizedId');
+    assert.optionalObject(tokenizer, 'tokenizer');
+    assert.number(expectedSequence, 'expectedSequence');
+    assert.optionalNumber(ttl, 'ttl');
+
+    ({tokenizedId, tokenizer} = await this._resolveTokenizedId(
+      {id, tokenizedId, tokenizer}));
+
+    const now = clock.now();
+    if(explain) {
+      return this.storage.update(
+        {tokenizedId, expectedSequence, now, explain});
+    }
+
+    if(ttl !== undefined || expires !== undefined) {
+      expires = this._getExpires({ttl, expires, now});
+    }
+    // `expires` is `undefined` if the entry's current expiration is preserved
+    await this._emitUpserting({
+      operation: 'update',
+      entry: {tokenizedId, tokenizerId: tokenizer?.id, expires},
+      value
+    });
+    const encoded = await this._encodeValue({value});
+    const record = await this._timeDatabase(() => this.storage.update({
+      tokenizedId, expectedSequence, ...encoded, expires, now
+    }));
+
+    // clear any in-memory cache entry
+    const key = tokenizedId.toString('base64url');
+    this._invalidate({key});
+
+    if(!record) {
+      // throws `NotFoundError` if the entry does not exist
+      await this._getUncachedEntry({tokenizedId});
+      throw new BedrockError(
+        'Could not update entry; unexpected sequence.',
+        'InvalidStateError', {
+          httpStatusCode: 409,
+          public: true,
+          expectedSequence
+        });
+    }
+
+    this.stats.increment('upserts');
+    await this._emitEntryEvent(
+      {event: 'upserted', operation: 'update', record});
+    return _withValue({record, value});
+  }
+
+  /**
+   * Extends the expiration of an existing entry in the cache without
+   * rewriting its value, `sequence`, or `meta.created`. The expiration is only
+   * ever moved forward: if the entry already expires later than `ttl`
+   * milliseconds from now, it is left unchanged.
+   *
+   * An entry that has expired but that has not yet been removed from the
+   * database (see the note on TTL index grace periods in `MongoStorage.js`)
+   * can also be extended; this enables processes to retrieve an entry, make a
+   * decision based on it, and then extend its expiration even if it expired
+   * in the meantime.
+   *
+   * @param {object} options - Options to use.
+   * @param {string} [options.id] - The ID of the entry to extend.
+   * @param {Buffer} [options.tokenizedId] - The already tokenized ID, if
+   *   `id` has been externally tokenized.
+   * @param {object} [options.tokenizer] - Optional tokenizer to use.
+   * @param {number} options.ttl - The minimum number of milliseconds from now
+   *   until the cache entry should expire.
+   * @param {boolean} [options.explain=false] - Set to true to return database
+   *   query explain information instead of executing database queries.
+   *
+   * @returns {Promise<boolean | ExplainObject>} Resolves to `true` if an entry
+   *   was found, `false` if not, or an ExplainObject if `explain=true`.
+   */
+  async touch({id, tokenizedId, tokenizer, ttl, explain = false} = {}) {
+    assert.optionalString(id, 'id');
+    assert.optionalBuffer(tokenizedId, 'tokenizedId');
+    assert.optionalObject(tokenizer, 'tokenizer');
+    assert.number(ttl, 'ttl');
+
+    ({tokenizedId, tokenizer} = await this._resolveTokenizedId(
+      {id, tokenizedId, tokenizer}));
+
+    if(explain) {
+      return this._extendExpires({tokenizedId, ttl, explain});
+    }
+
+    const result = await this._extendExpires({tokenizedId, ttl});
+
+    // clear any in-memory cache entry
+    const key = tokenizedId.toString('base64url');
+    this._invalidate({key});
+
+    // return `true` if an entry was found
+    return !!result;
+  }
+
+  /**
+   * Atomically increments a numeric field of an entry's value, e.g., to count
+   * requests for rate limiting. If the entry does not exist (or has
+   * expired), it is created with a value of `{[field]: by}` that expires in
+   * `ttl` milliseconds; incrementing an existing entry does not change its
+   * expiration. The increment is a single database operation, so concurrent
+   * increments of the same entry (from any app instance) are never lost.
+   *
+   * If `max` is given, the field is only incremented if its new value would
+   * not exceed `max`; a `QuotaExceededError` is thrown otherwise.
+   *
+   * The value of an entry that is incremented is stored unencrypted and
+   * uncompressed (even if `encryption` or `compression` is enabled) as it
+   * must be incremented by the database; an existing entry with an encrypted
+   * or compressed value (or a value too large to be stored in its database
+   * record) cannot be incremented.
+   *
+   * @param {object} options - Options to use.
+   * @param {string} [options.id] - The ID of the entry to increment.
+   * @param {Buffer} [options.tokenizedId] - The already tokenized ID, if
+   *   `id` has been externally tokenized.
+   * @param {object} [options.tokenizer] - Optional tokenizer to use.
+   * @param {string} options.field - The name of the field to increment.
+   * @param {number} [options.by=1] - The amount to increment the field by.
+   * @param {number} [options.ttl] - The number of milliseconds until the
+   *   cache entry should expire if it is created (defaults to
+   *   `defaults.ttl`).
+   * @param {number} [options.max] - The maximum value for the field.
+   * @param {boolean} [options.explain=false] - Set to true to return database
+   *   query explain information instead of executing database queries.
+   *
+   * @returns {Promise<number | ExplainObject>} Resolves with the new value of
+   *   the field or an ExplainObject if `explain=true`; rejects with a
+   *   `QuotaExceededError` if the new value would exceed `max`.
+   */
+  async increment({
+    id, tokenizedId, tokenizer, field, by = 1, ttl, max, explain = false
+  } = {}) {
+    assert.optionalString(id, 'id');
+    assert.optionalBuffer(tokenizedId, 'tokenizedId');
+    assert.optionalObject(tokenizer, 'tokenizer');
+    assert.string(field, 'field');
+    assert.number(by, 'by');
+    assert.optionalNumber(ttl, 'ttl');
+    assert.optionalNumber(max, 'max');
+    if(field === '' || field.includes('.') || field.startsWith('$')) {
+      throw new Error(
+        '"field" must be non-empty and must not contain "." or start ' +
+        'with "$".');
+    }
+
+    ({tokenizedId, tokenizer} = await this._resolveTokenizedId(
+      {id, tokenizedId, tokenizer}));
+
+    if(explain) {
+      return this.storage.increment(
+        {tokenizedId, field, by, max, now: clock.now(), explain});
+    }
+
+    // a new entry's field starts at `by`
+    if(max !== undefined && by > max) {
+      throw _createQuotaExceededError({field, max});
+    }
+    // fail fast if `ttl` violates the expiration policy
+    this._getExpires({ttl, now: clock.now()});
+    await this._emitUpserting({
+      operation: 'increment',
+      entry: {tokenizedId, tokenizerId: tokenizer?.id}
+    });
+    const key = tokenizedId.toString('base64url');
+    let record;
+    try {
+      while(true) {
+        const now = clock.now();
+        record = await this._timeDatabase(() => this.storage.increment({
+          tokenizedId, tokenizerId: tokenizer?.id, field, by, max,
+          expires: this._getExpires({ttl, now}), now
+        }));
+        if(record) {
+          break;
+        }
+        // determine why the existing entry could not be incremented
+        const existing = await this._timeDatabase(
+          () => this.storage.findOne({tokenizedId, overflow: false}));
+        if(!existing || existing.entry.expires < new Date(now)) {
+          // entry was removed or has expired since; try again
+          continue;
+        }
+        if(existing.entry.pending) {
+          throw new BedrockError(
+            'Could not increment entry; its value is pending computation.',
+            'InvalidStateError', {httpStatusCode: 409, public: true});
+        }
+        if(existing.entry.encrypted) {
+          throw new BedrockError(
+            'Could not increment entry; its value is encrypted.',
+            'NotSupportedError', {httpStatusCode: 400, public: true});
+        }
+        if(existing.entry.compressed || existing.entry.overflow) {
+          throw new BedrockError(
+            'Could not increment entry; its value is compressed or too large.',
+            'NotSupportedError', {httpStatusCode: 400, public: true});
+        }
+        const current = existing.entry.value?.[field] ?? 0;
+        if(max !== undefined && current + by > max) {
+          throw _createQuotaExceededError({field, max});
+        }
+        // a concurrent increment created the entry; try again
+      }
+    } finally {
+      // clear any in-memory cache entry
+      this._invalidate({key});
+    }
+
+    this.stats.increment('upserts');
+    await this._emitEntryEvent(
+      {event: 'upserted', operation: 'increment', record});
+    return record.entry.value[field];
+  }
+
+  /**
+   * Adds an entry to the cache, overwriting any existing entry.
+   *
+   * A `tokenizedId` will be generated by tokenizing the given `id` (unless
+   * `tokenizedId` is passed directly). This `tokenizedId` will be the result of
+   * an HMAC operation that should use key material that resides in an external
+   * system. This approach ensures that a stolen database on its own will not
+   * reveal the correlation between a particular `id` and `tokenizedId`.
+   *
+   * Any `tags` are tokenized in the same way (such that a tag never tokenizes
+   * to the same value as an equal ID) and stored with the entry, such that
+   * all entries with the same tag can be removed at once via
+   * `invalidateByTag()`. Overwriting an entry also overwrites its tags.
+   *
+   * A `value` may be any value that can be stored in the database, including
+   * binary data as a `Buffer` or `Uint8Array` (which is retrieved as a
+   * `Buffer`). Values may be compressed before they are stored (see the
+   * `compression` config) and values that are too large to be stored in a
+   * database record are stored in a GridFS bucket instead (see the `overflow`
+   * config); either way, the original value is retrieved.
+   *
+   * @param {object} options - Options to use.
+   * @param {string} [options.id] - The ID of the entry to cache.
+   * @param {Buffer} [options.tokenizedId] - The already tokenized ID, if
+   *   `id` has been externally tokenized.
+   * @param {object} [options.tokenizer] - Optional tokenizer to use.
+   * @param {*} [options.value] - The value to cache.
+   * @param {number} [options.ttl] - The number of milliseconds until the
+   *   cache entry should expire (defaults to `defaults.ttl`).
+   * @param {Date} [options.expires] - When the cache entry should expire,
+   *   instead of `ttl`; `null` for an entry that never expires, which is only
+   *   allowed if there is no `expiration.maxTtl`. Entries that never expire
+   *   are not removed by the TTL index (nor by sweeping); they must be
+   *   removed explicitly.
+   * @param {Array<string>} [options.tags] - Tags for the entry.
+   * @param {boolean} [options.explain=false] - Set to true to return database
+   *   query explain information instead of executing database queries.
+   *
+   * @returns {Promise<object>} An object with the cache entry record.
+   */
+  async upsert({
+    id, tokenizedId, tokenizer, ttl, expires, value, tags, explain = false
+  } = {}) {
+    assert.optionalString(id, 'id');
+    assert.optionalBuffer(tokenizedId, 'tokenizedId');
+    assert.optionalObject(tokenizer, 'tokenizer');
+    assert.optionalNumber(ttl, 'ttl');
+    assert.optionalArrayOfString(tags, 'tags');
+
+    ({tokenizedId, tokenizer} = await this._resolveTokenizedId(
+      {id, tokenizedId, tokenizer}));
+
+    if(explain) {
+      return this.storage.upsert({tokenizedId, explain});
+    }
+
+    const now = clock.now();
+    expires = this._getExpires({ttl, expires, now});
+    const tokenizedTags = await this._tokenizeTags({tags, tokenizer});
+    await this._emitUpserting({
+      operation: 'upsert',
+      entry: {
+        tokenizedId, tokenizerId: tokenizer?.id, expires, tags: tokenizedTags
+      },
+      value
+    });
+    const encoded = await this._encodeValue({value});
+    const record = await this._timeDatabase(() => this.storage.upsert({
+      tokenizedId, tokenizerId: tokenizer?.id, expires, ...encoded,
+      tags: tokenizedTags, now
+    }));
+
+    // clear any in-memory cache entry
+    const key = tokenizedId.toString('base64url');
+    this._invalidate({key});
+    this.stats.increment('upserts');
+    await this._emitEntryEvent(
+      {event: 'upserted', operation: 'upsert', record});
+
+    return _withValue({record, value});
+  }
+
+  /**
+   * Adds many entries to the cache at once, overwriting any existing entries.
+   * Any IDs are tokenized in parallel and all entries are written to the
+   * database using a single bulk write.
+   *
+   * A result is returned for every given entry (in the same order as the
+   * entries were given) with a `status` of `upserted` or `error`.
+   *
+   * @param {object} options - Options to use.
+   * @param {Array<object>} options.entries - The entries to cache, each with
+   *   the same `id`, `tokenizedId`, `value`, `ttl`, `expires`, and `tags`
+   *   options that are accepted by `upsert()`.
+   * @param {object} [options.tokenizer] - Optional tokenizer to use.
+   * @param {boolean} [options.explain=false] - Set to true to return database
+   *   query explain information instead of executing database queries.
+   *
+   * @returns {Promise<Array<UpsertManyResult> | ExplainObject>} Resolves with
+   *   the results or an ExplainObject if `explain=true`.
+   */
+  async upsertMany({
+    entries, tokenizer, explain = false
+  } = {}) {
+    assert.arrayOfObject(entries, 'entries');
+    assert.optionalObject(tokenizer, 'tokenizer');
+    for(const [i, {id, tokenizedId, ttl, tags}] of entries.entries()) {
+      assert.optionalString(id, `entries[${i}].id`);
+      assert.optionalBuffer(tokenizedId, `entries[${i}].tokenizedId`);
+      assert.optionalNumber(ttl, `entries[${i}].ttl`);
+      assert.optionalArrayOfString(tags, `entries[${i}].tags`);
+    }
+
+    // any entries given by `tokenizedId` were tokenized using `tokenizer`, if
+    // given, otherwise with an unknown tokenizer
+    const tokenizerId = tokenizer?.id;
+    if(!tokenizer && entries.some(
+      ({id, tags}) => id !== undefined || tags !== undefined)) {
+      // share the current tokenizer across all IDs and tags
+      tokenizer = await getCurrentTokenizer();
+    }
+
+    const results = await this._resolveTokenizedIds({
+      ids: entries.map(({id}) => id),
+      tokenizedIds: entries.map(({tokenizedId}) => tokenizedId),
+      tokenizer
+    });
+
+    if(explain) {
+      return this.storage.upsertMany({
+        entries: results.filter(r => r.tokenizedId)
+          .map(({tokenizedId}) => ({tokenizedId})),
+        explain
+      });
+    }
+
+    // get expirations, tokenize tags, emit `entry.upserting` events, and
+    // encrypt or compress values (if configured to do so) in parallel
+    const now = clock.now();
+    const writes = new Map();
+    await Promise.all(results.map(async (result, i) => {
+      if(result.status === 'error') {
+        return;
+      }
+      const {id, ttl, value} = entries[i];
+      try {
+        const entry = {
+          tokenizedId: result.tokenizedId,
+          tokenizerId: id === undefined ? tokenizerId : tokenizer.id,
+          expires: this._getExpires({ttl, expires: entries[i].expires, now}),
+          tags: await this._tokenizeTags({tags: entries[i].tags, tokenizer})
+        };
+        await this._emitUpserting({operation: 'upsertMany', entry, value});
+        const encoded = await this._encodeValue({value});
+        writes.set(result, {...entry, ...encoded});
+      } catch(error) {
+        result.status = 'error';
+        result.error = error;
+      }
+    }));
+
+    // write entries in the order they were given
+    const written = results.filter(result => writes.has(result));
+    for(const result of written) {
+      result.status = 'upserted';
+    }
+
+    if(written.length === 0) {
+      return results;
+    }
+
+    // any write errors are reported for the specific entries that could not
+    // be written
+    try {
+      const errors = await this._timeDatabase(() => this.storage.upsertMany({
+        entries: written.map(result => writes.get(result)), now
+      }));
+      for(const [i, error] of errors.entries()) {
+        if(error) {
+          written[i].status = 'error';
+          written[i].error = error;
+        }
+      }
+    } catch(error) {
+      for(const result of written) {
+        result.status = 'error';
+        result.error = error;
+      }
+    } finally {
+      // clear any in-memory cache entries
+      for(const {tokenizedId} of written) {
+        this._invalidate({key: tokenizedId.toString('base64url')});
+      }
+    }
+
+    // read back the written records (without their values, which are known)
+    // to include their current `sequence` and `meta`
+    const upserted = new Map();
+    for(const [i, result] of results.entries()) {
+      if(result.status === 'upserted') {
+        upserted.set(result.tokenizedId.toString('base64url'), {
+          result, value: entries[i].value
+        });
+      }
+    }
+    this.stats.increment('upserts', upserted.size);
+    if(upserted.size > 0) {
+      const records = await this._timeDatabase(() => this.storage.find({
+        tokenizedIds: [...upserted.values()].map(
+          ({result}) => result.tokenizedId),
+        values: false
+      }));
+      for(const record of records) {
+        const key = record.entry.tokenizedId.toString('base64url');
+        const {result, value} = upserted.get(key);
+        result.record = _withValue({record, value});
+      }
+      await Promise.all(records.map(record => this._emitEntryEvent(
+        {event: 'upserted', operation: 'upsertMany', record})));
+    }
+
+    return results;
+  }
+
+  /**
+   * Removes an entry from the cache (if it exists). Both the database record
+   * and any in-memory copy of the entry are removed. If an `id` is given, any
+   * copy of the entry that was stored using a previous tokenizer (configured
+   * via `tokenizerRotation.previousTokenizerIds`) is also removed.
+   *
+   * @param {object} options - Options to use.
+   * @param {string} [options.id] - The ID of the entry to remove.
+   * @param {Buffer} [options.tokenizedId] - The already tokenized ID, if
+   *   `id` has been externally tokenized.
+   * @param {object} [options.tokenizer] - Optional tokenizer to use.
+   * @param {boolean} [options.explain=false] - Set to true to return database
+   *   query explain information instead of executing database queries.
+   *
+   * @returns {Promise<boolean | ExplainObject>} Resolves to `true` if an entry
+   *   was removed, `false` if not, or an ExplainObject if `explain=true`.
+   */
+  async remove({
+    id, tokenizedId, tokenizer, explain = false
+  } = {}) {
+    assert.optionalString(id, 'id');
+    assert.optionalBuffer(tokenizedId, 'tokenizedId');
+    assert.optionalObject(tokenizer, 'tokenizer');
+
+    ({tokenizedId, tokenizer} = await this._resolveTokenizedId(
+      {id, tokenizedId, tokenizer}));
+
+    const tokenizedIds = [tokenizedId];
+    if(id !== undefined) {
+      const previous = await this._tokenizeWithPreviousTokenizers(
+        {id, tokenizer});
+      tokenizedIds.push(...previous.map(p => p.tokenizedId));
+    }
+
+    if(explain) {
+      return this.storage.delete({tokenizedIds, explain});
+    }
+
+    // delete each tokenized ID separately to know which entries were removed
+    let counts;
+    try {
+      counts = await Promise.all(tokenizedIds.map(
+        tokenizedId => this._timeDatabase(
+          () => this.storage.delete({tokenizedIds: [tokenizedId]}))));
+    } finally {
+      // clear any in-memory cache entries
+      for(const tokenizedId of tokenizedIds) {
+        this._invalidate({key: tokenizedId.toString('base64url')});
+      }
+    }
+    const removed = tokenizedIds.filter((tokenizedId, i) => counts[i] > 0);
+    this.stats.increment('removals', removed.length);
+    await Promise.all(removed.map(tokenizedId => this._emitEntryEvent({
+      event: 'removed', operation: 'remove', record: {entry: {tokenizedId}}
+    })));
+    return removed.length > 0;
+  }
+
+  /**
+   * Removes all entries that have the given tag (see `upsert()`), including
+   * any entries that were tagged using a previous tokenizer (configured via
+   * `tokenizerRotation.previousTokenizerIds`). Both the database records and
+   * any in-memory copies of the entries are removed.
+   *
+   * @param {object} options - Options to use.
+   * @param {string} options.tag - The tag of the entries to remove.
+   * @param {object} [options.tokenizer] - Optional tokenizer to use.
+   * @param {boolean} [options.explain=false] - Set to true to return database
+   *   query explain information instead of executing database queries.
+   *
+   * @returns {Promise<number | ExplainObject>} Resolves to the number of
+   *   entries removed or an ExplainObject if `explain=true`.
+   */
+  async invalidateByTag({tag, tokenizer, explain = false} = {}) {
+    assert.string(tag, 'tag');
+    assert.optionalObject(tokenizer, 'tokenizer');
+
+    if(!tokenizer) {
+      tokenizer = await getCurrentTokenizer();
+    }
+    const previous = await this._getPreviousTokenizers({tokenizer});
+    const tokenizedTags = (await Promise.all([tokenizer, ...previous].map(
+      tagTokenizer => this._tokenizeTags(
+        {tags: [tag], tokenizer: tagTokenizer})))).flat();
+
+    if(explain) {
+      return this.storage.deleteByTags({tokenizedTags, explain});
+    }
+
+    const {count, tokenizedIds} = await this._timeDatabase(
+      () => this.storage.deleteByTags({tokenizedTags}));
+    this.stats.increment('removals', count);
+
+    // clear any in-memory cache entries; an entry that was found using a
+    // previous tokenizer (and not rekeyed) is kept in memory by its current
+    // tokenized ID, which cannot be determined without its raw ID, so all
+    // in-memory entries are cleared if any such entry may have been removed
+    if(previous.length > 0 && tokenizedIds.length > 0) {
+      this._invalidateAll();
+    } else {
+      for(const tokenizedId of tokenizedIds) {
+        this._invalidate({key: tokenizedId.toString('base64url')});
+      }
+    }
+
+    await Promise.all(tokenizedIds.map(tokenizedId => this._emitEntryEvent({
+      event: 'removed', operation: 'invalidateByTag',
+      record: {entry: {tokenizedId}}
+    })));
+    return count;
+  }
+
+  /**
+   * Lists entries in the order of their `tokenizedId`, one page at a time,
+   * e.g., for administration tooling. Each page includes an opaque `cursor`
+   * that can be passed as `after` to get the next page; it is `null` once
+   * there are no more entries. Entries that are pending computation are
+   * included (with `entry.pending` and without a value).
+   *
+   * @param {object} options - Options to use.
+   * @param {number} [options.limit=100] - The maximum number of entries in
+   *   the page.
+   * @param {string} [options.after] - The `cursor` of the previous page.
+   * @param {boolean} [options.includeExpired=false] - Set to true to include
+   *   entries that have expired but that have not yet been removed.
+   * @param {Date} [options.expiresBefore] - If given, only entries that
+   *   expire before this date are listed.
+   * @param {boolean} [options.values=true] - Set to false to omit entry
+   *   values (which also avoids decrypting them).
+   * @param {boolean} [options.explain=false] - Set to true to return database
+   *   query explain information instead of executing database queries.
+   *
+   * @returns {Promise<object | ExplainObject>} Resolves to an object with the
+   *   page's entry `records` and its `cursor` or an ExplainObject if
+   *   `explain=true`.
+   */
+  async listEntries({
+    limit = 100, after, includeExpired = false, expiresBefore, values = true,
+    explain = false
+  } = {}) {
+    assert.number(limit, 'limit');
+    assert.optionalString(after, 'after');
+    assert.bool(includeExpired, 'includeExpired');
+    assert.optionalDate(expiresBefore, 'expiresBefore');
+    assert.bool(values, 'values');
+    if(!(Number.isInteger(limit) && limit > 0)) {
+      throw new Error('"limit" must be a positive integer.');
+    }
+
+    const options = {
+      after: after === undefined ? undefined : _decodeCursor({cursor: after}),
+      includeExpired, expiresBefore, values, now: clock.now()
+    };
+    if(explain) {
+      return this.storage.list({...options, limit, explain});
+    }
+
+    // get one more record than requested to determine if there are more
+    const records = await this._timeDatabase(
+      () => this.storage.list({...options, limit: limit + 1}));
+    let cursor = null;
+    if(records.length > limit) {
+      records.length = limit;
+      cursor = records.at(-1).entry.tokenizedId.toString('base64url');
+    }
+    return {
+      records: values ? await Promise.all(records.map(
+        record => this._decodeRecord({record}))) : records,
+      cursor
+    };
+  }
+
+  /**
+   * Counts the entries in the cache, e.g., for capacity planning. Entries
+   * that have expired but that have not yet been removed are counted as
+   * `expired`.
+   *
+   * @returns {Promise<object>} Resolves to an object with the `total` number
+   *   of entries and the number that have `expired` and are `unexpired`.
+   */
+  async countEntries() {
+    return this._timeDatabase(() => this.storage.count({now: clock.now()}));
+  }
+
+  /**
+   * Retrieves the stored record of an entry by its raw ID for inspection,
+   * e.g., by administration tooling. Unlike `get()`, the in-memory cache is
+   * neither read nor written, entries that have expired (but that have not
+   * yet been removed) or that are pending computation are also returned,
+   * and an entry found using a previous tokenizer is never rekeyed.
+   *
+   * @param {object} options - Options to use.
+   * @param {string} options.id - The raw ID of the entry.
+   * @param {object} [options.tokenizer] - Optional tokenizer to use.
+   *
+   * @returns {Promise<object>} Resolves with the entry's record; rejects
+   *   with a `NotFoundError` if there is no record for the ID.
+   */
+  async inspectEntry({id, tokenizer} = {}) {
+    assert.string(id, 'id');
+    assert.optionalObject(tokenizer, 'tokenizer');
+
+    let tokenizedId;
+    ({tokenizedId, tokenizer} = await this._resolveTokenizedId(
+      {id, tokenizer}));
+    let record = await this._timeDatabase(
+      () => this.storage.findOne({tokenizedId}));
+    if(!record) {
+      // try each previous tokenizer in order
+      const previous = await this._tokenizeWithPreviousTokenizers(
+        {id, tokenizer});
+      for(const {tokenizedId: previousTokenizedId} of previous) {
+        record = await this._timeDatabase(
+          () => this.storage.findOne({tokenizedId: previousTokenizedId}));
+        if(record) {
+          break;
+        }
+      }
+    }
+    if(!record) {
+      throw _createNotFoundError();
+    }
+    return this._decodeRecord({record});
+  }
+
+  /**
+   * Exports all unexpired entries (including those with encrypted or
+   * compressed values, in their encrypted or compressed form) as a stream of
+   * newline-delimited JSON (NDJSON), e.g., to migrate them to another cluster
+   * via `importEntries()`.
+   *
+   * The first line is a header that identifies the export and the current
+   * tokenizer. Each following line is an entry with its `tokenizedId` (and
+   * any tags) encoded as base64url, the ID of the tokenizer that produced it
+   * (if known), its `value` (or `encrypted` or `compressed` value) as MongoDB
+   * extended JSON, `expires` (`null` if it never expires), `sequence`, and
+   * `meta`.
+   *
+   * @returns {Promise<Readable>} Resolves to a readable stream of NDJSON.
+   */
+  async exportEntries() {
+    const tokenizer = await getCurrentTokenizer();
+    const header = {
+      format: EXPORT_FORMAT,
+      version: EXPORT_VERSION,
+      cacheName: this.name,
+      tokenizerId: tokenizer.id,
+      exported: new Date(clock.now()).toISOString()
+    };
+    return Readable.from(_exportLines({storage: this.storage, header}));
+  }
+
+  /**
+   * Imports entries from a stream of newline-delimited JSON (NDJSON) as
+   * produced by `exportEntries()`, writing them in bulk. Entries that have
+   * expired are skipped.
+   *
+   * An import is refused with an `InvalidStateError` if any entry was
+   * tokenized using a tokenizer other than the current tokenizer or one of
+   * `tokenizerRotation.previousTokenizerIds`, as its `tokenizedId` would
+   * then not match the ID it was tokenized from; the header is checked
+   * before any entries are written. Unencrypted values are encrypted or
+   * compressed before they are written as configured via `encryption` and
+   * `compression`.
+   *
+   * Encrypted values are imported as is. They are only decrypted if an
+   * `entry.upserting` listener is registered (to pass it the value), which
+   * requires access to the key encryption key (KEK) that encrypted them.
+   *
+   * @param {object} options - Options to use.
+   * @param {Readable} options.stream - The stream to import from.
+   * @param {string} [options.onConflict='skip'] - What to do when an entry
+   *   conflicts with an existing unexpired entry: `skip` to keep the existing
+   *   entry, `overwrite` to replace it, or `keepNewer` to replace it only if
+   *   it was updated before the imported entry.
+   * @param {number} [options.batchSize=100] - The maximum number of entries
+   *   to write in a single database operation.
+   *
+   * @returns {Promise<object>} Resolves to an object with the number of
+   *   entries that were `imported` and `skipped`.
+   */
+  async importEntries({stream, onConflict = 'skip', batchSize = 100} = {}) {
+    assert.object(stream, 'stream');
+    assert.string(onConflict, 'onConflict');
+    assert.number(batchSize, 'batchSize');
+    if(!IMPORT_CONFLICT_POLICIES.includes(onConflict)) {
+      throw new Error(
+        `"onConflict" must be one of: ${IMPORT_CONFLICT_POLICIES.join(', ')}.`);
+    }
+
+    const tokenizer = await getCurrentTokenizer();
+    const previous = await this._getPreviousTokenizers({tokenizer});
+    const tokenizerIds = new Set([tokenizer, ...previous].map(({id}) => id));
+
+    const result = {imported: 0, skipped: 0};
+    let header;
+    let records = [];
+    const lines = readline.createInterface(
+      {input: stream, crlfDelay: Infinity});
+    for await (const line of lines) {
+      if(line.trim() === '') {
+        continue;
+      }
+      if(!header) {
+        header = _parseExportHeader({line});
+        _assertKnownTokenizer({tokenizerId: header.tokenizerId, tokenizerIds});
+        continue;
+      }
+      const record = _fromExportLine({line, header});
+      _assertKnownTokenizer(
+        {tokenizerId: record.entry.tokenizerId, tokenizerIds});
+      if(record.entry.expires < new Date(clock.now())) {
+        result.skipped++;
+        continue;
+      }
+      // only decrypt an encrypted value for an `entry.upserting` listener
+      const decode = record.entry.encrypted === undefined ||
+        bedrock.events.listenerCount(
+          'bedrock-tokenized-cache.entry.upserting') > 0;
+      const {entry: {value, ...entry}} = decode ?
+        await this._decodeRecord({record}) : record;
+      try {
+        await this._emitUpserting({operation: 'importEntries', entry, value});
+      } catch(e) {
+        // skip any entry whose write is vetoed
+        if(e.name !== 'NotAllowedError') {
+          throw e;
+        }
+        result.skipped++;
+        continue;
+      }
+      if(record.entry.encrypted === undefined) {
+        // encrypt or compress any unencrypted value as configured
+        record.entry = {...entry, ...await this._encodeValue({value})};
+      }
+      records.push(record);
+      if(records.length >= batchSize) {
+        await this._importBatch({records, onConflict, result});
+        records = [];
+      }
+    }
+    if(!header) {
+      throw _createDataError({message: 'Missing export header.'});
+    }
+    if(records.length > 0) {
+      await this._importBatch({records, onConflict, result});
+    }
+    return result;
+  }
+
+  /**
+   * Removes expired records from the database in batches. Records are only
+   * removed once they have been expired for longer than
+   * `sweeper.gracePeriod`. A lease ensures that only one app instance sweeps
+   * the cache at a time. This is performed periodically (every
+   * `sweeper.interval` milliseconds) if `autoRemoveExpiredRecords` is
+   * `false`.
+   *
+   * @returns {Promise<object>} Resolves to `{removed, swept}` where `removed`
+   *   is the number of records removed and `swept` is `false` if another app
+   *   instance was sweeping the cache.
+   */
+  async sweep() {
+    return this.sweeper.sweep();
+  }
+
+  /**
+   * Gets the stats for the cache. The counters and latency histograms are
+   * cumulative since the cache was initialized.
+   *
+   * @returns {object} The stats, including `counters` (`memoryHits`,
+   *   `databaseHits`, `misses`, `notFoundHits`, `expiredEvictions`,
+   *   `staleHits`, `upserts`, and `removals`) and `latency` histograms
+   *   (`tokenizer` and `database`).
+   */
+  getStats() {
+    return {cache: this.name, ...this.stats.toJSON()};
+  }
+
+  // exposed for testing purposes only
+  _createEntryCache({ttl} = {}) {
+    const {maxSize, maxBytes, maxAge} = this.config.caches.entry;
+    // `max` is the option used to limit the size of the underlying LRU cache;
+    // it is either the number of entries or, if `maxBytes` is set, the total
+    // size of their values
+    const options = {
+      max: maxBytes ?? maxSize,
+      maxAge: ttl ?? maxAge,
+      // only records that are replaced or removed are disposed of
+      noDisposeOnSet: true,
+      dispose: (key, promise) => {
+        const expires = this.entryInfo.get(promise)?.expires;
+        if(expires < new Date(clock.now())) {
+          this.stats.increment('expiredEvictions');
+        }
+      }
+    };
+    if(maxBytes !== null) {
+      // a promise counts as `0` bytes until its record has been measured
+      options.length = promise => this.entryInfo.get(promise)?.size ?? 0;
+    }
+    this.entryCache = new LruCache(options);
+  }
+
+  // exposed for testing purposes only
+  _createNotFoundCache() {
+    const {maxSize, maxAge} = this.config.caches.notFound;
+    // `max` is the option used to limit the size of the underlying LRU cache
+    this.notFoundCache = maxSize > 0 ?
+      new LruCache({max: maxSize, maxAge}) : null;
+  }
+
+  // called on `bedrock.init`
+  _init() {
+    // merge global config, code-provided defaults, and config for the
+    // specific cache (in order of increasing precedence)
+    const {namespaces, ...cfg} = bedrock.config['tokenized-cache'];
+    this.config = mergeConfig({}, cfg, this.defaults, namespaces[this.name]);
+    const {storage, overflow} = this.config;
+    this.storage = _createStorage(
+      {storage, collectionName: this.collectionName, overflow});
+    this._createEntryCache();
+    this._createNotFoundCache();
+  }
+
+  // emits `entry.upserting` before an entry is written; any listener may veto
+  // the write by returning `false` (or by throwing an error)
+  async _emitUpserting({operation, entry, value} = {}) {
+    const result = await bedrock.events.emit(
+      'bedrock-tokenized-cache.entry.upserting',
+      {cache: this.name, operation, entry, value});
+    if(result === false) {
+      throw new BedrockError(
+        'Entry write was vetoed.',
+        'NotAllowedError', {httpStatusCode: 403, public: true});
+    }
+  }
+
+  // emits `entry.upserted`, `entry.removed`, or `entry.expired`; the entry
+  // has already changed, so any error thrown by a listener is only logged
+  async _emitEntryEvent({event, operation, record} = {}) {
+    const details = {cache: this.name, operation, ..._getEventRecord({record})};
+    try {
+      await bedrock.events.emit(
+        `bedrock-tokenized-cache.entry.${event}`, details);
+    } catch(error) {
+      logger.error(
+        `Error emitting "entry.${event}" event for cache "${this.name}".`,
+        {error});
+    }
+  }
+
+  async _emitStats() {
+    try {
+      await bedrock.events.emit(
+        'bedrock-tokenized-cache.stats', this.getStats());
+    } catch(error) {
+      logger.error(`Error emitting stats for cache "${this.name}".`, {error});
+    }
+  }
+
+  // clears any in-memory entry and any cached not found result for an entry
+  // that has been written or removed
+  _invalidate({key} = {}) {
+    this.entryCache.delete(key);
+    this._invalidateNotFound({key});
+  }
+
+  // clears all in-memory entries and cached not found results
+  _invalidateAll() {
+    this.invalidations++;
+    this.entryCache.cache.reset();
+    this.notFoundCache?.cache.reset();
+  }
+
+  _invalidateNotFound({key} = {}) {
+    this.invalidations++;
+    this.notFoundCache?.delete(key);
+  }
+
+  // whether a lookup for an entry recently found no entry; a cached not found
+  // result is kept until `notFound.maxAge` has passed according to the clock
+  _isNotFound({key} = {}) {
+    return this.notFoundCache?.cache.get(key) > clock.now();
+  }
+
+  _setNotFound({key} = {}) {
+    const {maxAge} = this.config.caches.notFound;
+    this.notFoundCache?.cache.set(key, clock.now() + maxAge);
+  }
+
+  async _resolveTokenizedId({id, tokenizedId, tokenizer} = {}) {
+    // only time tokenization (not the use of an already tokenized ID)
+    if(id === undefined) {
+      return resolveTokenizedId({id, tokenizedId, tokenizer});
+    }
+    return this.stats.time(
+      'tokenizer', () => resolveTokenizedId({id, tokenizedId, tokenizer}));
+  }
+
+  async _resolveTokenizedIds({ids, tokenizedIds, tokenizer} = {}) {
+    return this.stats.time(
+      'tokenizer', () => resolveTokenizedIds({ids, tokenizedIds, tokenizer}));
+  }
+
+  // revalidates a stale entry in the background
+  _revalidate({record, revalidate, ttl} = {}) {
+    const {tokenizedId, tokenizerId, tags} = record.entry;
+    const key = tokenizedId.toString('base64url');
+    if(this.revalidations.has(key)) {
+      return;
+    }
+    const promise = (async () => {
+      try {
+        const value = await revalidate({record});
+        const now = clock.now();
+        const expires = this._getExpires({ttl, now});
+        await this._emitUpserting({
+          operation: 'revalidate',
+          entry: {tokenizedId, tokenizerId, expires, tags},
+          value
+        });
+        const encoded = await this._encodeValue({value});
+        // only replace the entry if it is still expired; it may have been
+        // written since, e.g., by another app instance
+        const created = await this._timeDatabase(() => this.storage.create({
+          tokenizedId, tokenizerId, expires, ...encoded, tags, now
+        }));
+        if(created) {
+          this.stats.increment('upserts');
+          await this._emitEntryEvent(
+            {event: 'upserted', operation: 'revalidate', record: created});
+        }
+      } catch(error) {
+        logger.error(
+          `Error revalidating stale entry in cache "${this.name}".`, {error});
+      } finally {
+        this._invalidate({key});
+        this.revalidations.delete(key);
+      }
+    })();
+    this.revalidations.set(key, promise);
+  }
+
+  // called once the database is ready
+  async _initStorage() {
+    const {autoRemoveExpiredRecords} = this.config;
+    await this.storage.init({autoRemoveExpiredRecords});
+  }
+
+  // called once the database is ready
+  async _start() {
+    // change streams are only available when entries are stored in a
+    // database collection
+    if(this.config.changeStreams.enabled && this.collection) {
+      this.watcher = new ChangeStreamWatcher({cache: this});
+      await this.watcher.start();
+    }
+    const {emitInterval} = this.config.stats;
+    if(emitInterval > 0) {
+      this.statsTimer = setInterval(() => this._emitStats(), emitInterval);
+      // do not keep the process alive just to emit stats
+      this.statsTimer.unref();
+    }
+    // only starts if there is anything to sweep
+    this.sweeper.start();
+  }
+
+  // called on `bedrock.stop`
+  async _stop() {
+    clearInterval(this.statsTimer);
+    this.statsTimer = null;
+    await Promise.all([
+      this.watcher?.stop(), this.sweeper.stop(),
+      ...this.revalidations.values()
+    ]);
+    await this.storage.stop();
+  }
+
+  // gets the expiration of an entry that is written with the given `ttl` or
+  // absolute `expires` (`null` if it never expires), applying the default
+  // `ttl` and enforcing the `expiration` config
+  _getExpires({ttl, expires, now} = {}) {
+    const {minTtl, maxTtl} = this.config.expiration;
+    if(ttl !== undefined && expires !== undefined) {
+      throw _createDataError(
+        {message: 'Only one of "ttl" and "expires" may be given.'});
+    }
+    if(expires === null) {
+      if(maxTtl !== null) {
+        throw _createDataError({
+          message: 'Entries that never expire are not allowed; the maximum ' +
+            `time to live is ${maxTtl} milliseconds.`,
+          details: {maxTtl}
+        });
+      }
+      return null;
+    }
+    if(expires !== undefined) {
+      if(!(expires instanceof Date) || isNaN(expires)) {
+        throw _createDataError(
+          {message: '"expires" must be a valid Date or `null`.'});
+      }
+      ttl = expires.getTime() - now;
+    } else {
+      ttl = ttl ?? this.config.defaults.ttl;
+      if(!Number.isFinite(ttl)) {
+        throw _createDataError({message: '"ttl" must be a finite number.'});
+      }
+    }
+    if(ttl < minTtl) {
+      throw _createDataError({
+        message: 'Entries must not expire less than ' +
+          `${minTtl} milliseconds from now.`,
+        details: {ttl, minTtl}
+      });
+    }
+    if(maxTtl !== null && ttl > maxTtl) {
+      throw _createDataError({
+        message: 'Entries must not expire more than ' +
+          `${maxTtl} milliseconds from now.`,
+        details: {ttl, maxTtl}
+      });
+    }
+    return expires ?? new Date(now + ttl);
+  }
+
+  async _timeDatabase(fn) {
+    return this.stats.time('database', fn);
+  }
+
+  async _acquirePendingLease({tokenizedId} = {}) {
+    const {leaseDuration} = this.config.pending;
+    const now = clock.now();
+    const expires = new Date(now + leaseDuration);
+    const lease = {id: crypto.randomUUID(), expires};
+    const acquired = await this.storage.acquirePendingLease(
+      {tokenizedId, lease, now});
+    return acquired ? lease : null;
+  }
+
+  async _extendExpires({tokenizedId, ttl, explain = false} = {}) {
+    if(explain) {
+      return this.storage.extendExpires({tokenizedId, explain});
+    }
+    const now = clock.now();
+    const expires = this._getExpires({ttl, now});
+    return this._timeDatabase(() => this.storage.extendExpires(
+      {tokenizedId, expires, now}));
+  }
+
+  async _getOrCreateUncachedEntry({
+    tokenizedId, tokenizerId, ttl, compute
+  } = {}) {
+    const {pollInterval} = this.config.pending;
+
+    while(true) {
+      // 1. Return any existing unexpired entry.
+      const record = await this._timeDatabase(
+        () => this.storage.findOne({tokenizedId}));
+      const now = new Date(clock.now());
+      if(record && !(now > record.entry.expires)) {
+        if(!record.entry.pending) {
+          this.stats.increment('databaseHits');
+          return this._decodeRecord({record});
+        }
+        // 1.1. Wait for another process to finish computing the value.
+        await setTimeout(pollInterval);
+        continue;
+      }
+
+      // 2. Try to acquire a lease to compute the value.
+      const lease = await this._acquirePendingLease({tokenizedId});
+      if(!lease) {
+        // another process acquired the lease or wrote the entry
+        continue;
+      }
+
+      // 3. Compute the value and write the entry, which also clears the
+      // lease; the lease is released if either fails or if the write is
+      // vetoed.
+      let value;
+      let created;
+      try {
+        value = await compute();
+        const updated = clock.now();
+        const expires = this._getExpires({ttl, now: updated});
+        await this._emitUpserting({
+          operation: 'getOrCreate',
+          entry: {tokenizedId, tokenizerId, expires},
+          value
+        });
+        const encoded = await this._encodeValue({value});
+        created = await this._timeDatabase(() => this.storage.upsert({
+          tokenizedId, tokenizerId, expires, ...encoded, now: updated
+        }));
+      } catch(e) {
+        await this.storage.releasePendingLease(
+          {tokenizedId, leaseId: lease.id});
+        throw e;
+      }
+      this.stats.increment('misses');
+      this.stats.increment('upserts');
+      await this._emitEntryEvent(
+        {event: 'upserted', operation: 'getOrCreate', record: created});
+      // the entry is memoized by `getOrCreate()`, so only clear any cached
+      // not found result
+      this._invalidateNotFound({key: tokenizedId.toString('base64url')});
+      return _withValue({record: created, value});
+    }
+  }
+
+  // returns a copy of a stored `record` with its decrypted or decompressed
+  // value (or `record` itself if its value is stored as is)
+  async _decodeRecord({record} = {}) {
+    const {encrypted, compressed, ...entry} = record.entry;
+    let value;
+    if(encrypted) {
+      value = await decryptValue({encrypted});
+    } else if(compressed) {
+      value = await decompressValue({compressed});
+    } else {
+      return record;
+    }
+    return {...record, entry: {...entry, value}};
+  }
+
+  // gets the fields to store a value in: `encrypted` if `encryption` is
+  // enabled, otherwise `compressed` if the value is compressed, otherwise
+  // `value`
+  async _encodeValue({value} = {}) {
+    const {compression, encryption} = this.config;
+    if(encryption.enabled) {
+      return {encrypted: await encryptValue({value, compression})};
+    }
+    const compressed = await compressValue({value, ...compression});
+    return compressed ? {compressed} : {value};
+  }
+
+  async _getEntry({id, tokenizedId, tokenizer, slidingTtl} = {}) {
+    const key = tokenizedId.toString('base64url');
+    // whether the record was fetched from the database (vs. found in memory)
+    let fetched;
+    const fn = async () => {
+      fetched = true;
+      return this._decodeRecord({
+        record: await this._getUncachedEntryWithRotation(
+          {id, tokenizedId, tokenizer})
+      });
+    };
+    while(true) {
+      // fail fast if the entry was recently not found
+      if(this._isNotFound({key})) {
+        this.stats.increment('notFoundHits');
+        this.stats.increment('misses');
+        throw _createNotFoundError();
+      }
+
+      fetched = false;
+      const {invalidations} = this;
+      let promise;
+      let record;
+      try {
+        // memoize but fetch promise directly to compare below whilst avoiding
+        // race condition where the cache could be updated during `await`
+        await this.entryCache.memoize({key, fn});
+        promise = this.entryCache.cache.peek(key);
+        if(!promise) {
+          // the record was removed from the cache concurrently (e.g., because
+          // its value is too large to keep in memory); retry
+          continue;
+        }
+        record = await promise;
+      } catch(e) {
+        if(e.name === 'NotFoundError') {
+          this.stats.increment('misses');
+          // cache not found result unless any entry was written concurrently
+          if(fetched && invalidations === this.invalidations) {
+            this._setNotFound({key});
+          }
+        }
+        throw e;
+      }
+
+      // measure a newly fetched record and limit its time in memory
+      if(!this.entryInfo.has(promise)) {
+        this._setInMemoryRecord({key, promise, record, previous: promise});
+      }
+
+      // clear expired record from cache (if it hasn't already changed) and
+      // retry
+      if(this._isExpiredInMemory({promise, record})) {
+        if(this.entryCache.cache.peek(key) === promise) {
+          this.entryCache.delete(key);
+        }
+        continue;
+      }
+
+      const hit = fetched ? 'databaseHits' : 'memoryHits';
+      if(slidingTtl === undefined) {
+        this.stats.increment(hit);
+        return record;
+      }
+
+      // use the record's `tokenizedId` as it may have been found using a
+      // previous tokenizer
+      const result = await this._extendExpires(
+        {tokenizedId: record.entry.tokenizedId, ttl: slidingTtl});
+      if(!result) {
+        // entry was removed or replaced concurrently; clear it from the cache
+        // and retry
+        if(this.entryCache.cache.peek(key) === promise) {
+          this.entryCache.delete(key);
+        }
+        continue;
+      }
+
+      // update in-memory cache with a copy of the record that reflects the new
+      // expiration (if the cached record hasn't already changed)
+      // an entry that never expires is unchanged
+      const touched = result.expires === undefined ?
+        record : {...record, entry: {...record.entry, expires: result.expires}};
+      this._setInMemoryRecord({
+        key, promise: Promise.resolve(touched), record: touched,
+        previous: promise
+      });
+      this.stats.increment(hit);
+      return touched;
+    }
+  }
+
+  async _getStaleEntry({tokenizedId, allowStale, error} = {}) {
+    const {maxStaleness, revalidate, ttl = this.config.defaults.ttl} =
+      allowStale;
+    const record = await this._timeDatabase(
+      () => this.storage.findOne({tokenizedId}));
+    // an entry with a value that is still pending computation has no stale
+    // value as its `expires` field is the expiration of its pending lease
+    const now = clock.now();
+    if(!record || record.entry.pending ||
+      record.entry.expires < new Date(now - maxStaleness)) {
+      throw error;
+    }
+    // the entry may have been written since it was not found
+    const stale = record.entry.expires < new Date(now);
+    const decoded = await this._decodeRecord({record});
+    if(!stale) {
+      this.stats.increment('databaseHits');
+      return decoded;
+    }
+    const staleRecord = {...decoded, stale};
+    if(revalidate) {
+      this._revalidate({record: staleRecord, revalidate, ttl});
+    }
+    this.stats.increment('staleHits');
+    return staleRecord;
+  }
+
+  async _getInMemoryRecord({key} = {}) {
+    const promise = this.entryCache.cache.get(key);
+    if(!promise) {
+      return null;
+    }
+
+    let record;
+    try {
+      record = await promise;
+    } catch(e) {
+      // treat any failed lookup as a cache miss, clearing it from the cache
+      // (if it hasn't already changed)
+      if(this.entryCache.cache.peek(key) === promise) {
+        this.entryCache.delete(key);
+      }
+      return null;
+    }
+
+    // measure a newly fetched record and limit its time in memory
+    if(!this.entryInfo.has(promise)) {
+      this._setInMemoryRecord({key, promise, record, previous: promise});
+    }
+
+    // clear expired record from cache (if it hasn't already changed)
+    if(this._isExpiredInMemory({promise, record})) {
+      if(this.entryCache.cache.peek(key) === promise) {
+        this.entryCache.delete(key);
+      }
+      return null;
+    }
+
+    return record;
+  }
+
+  // sets `promise`, which resolves to `record`, as the in-memory entry for
+  // `key` unless the entry has since been changed from `previous` (which is
+  // `undefined` if there should be no entry yet); the entry is kept no longer
+  // than until `record` expires and is removed instead if its value is larger
+  // than `maxValueBytes`
+  _setInMemoryRecord({key, promise, record, previous} = {}) {
+    const {cache} = this.entryCache;
+    const current = cache.peek(key);
+    if(current !== previous) {
+      return;
+    }
+
+    // note: an item `maxAge` of `0` means the cache's own `maxAge` is used
+    const {expires} = record.entry;
+    const now = clock.now();
+    let maxAge = 0;
+    if(expires !== undefined) {
+      const remaining = expires.getTime() - now;
+      maxAge = Math.max(Math.min(cache.maxAge || Infinity, remaining), 1);
+    }
+
+    // the LRU cache ages entries using the system clock, so also record when
+    // the entry must leave memory according to the clock in use
+    const {maxBytes, maxValueBytes} = this.config.caches.entry;
+    const info = {expires, until: now + (maxAge || cache.maxAge || Infinity)};
+    if(maxBytes !== null || maxValueBytes !== null) {
+      info.size = _getValueSize({record});
+    }
+    this.entryInfo.set(promise, info);
+
+    if(maxValueBytes !== null && info.size > maxValueBytes) {
+      // value is too large to keep in memory
+      if(current !== undefined) {
+        this.entryCache.delete(key);
+      }
+      return;
+    }
+
+    cache.set(key, promise, maxAge);
+  }
+
+  // whether an in-memory `record` has expired or has been kept in memory for
+  // as long as allowed according to the clock in use
+  _isExpiredInMemory({promise, record} = {}) {
+    const now = clock.now();
+    return record.entry.expires < new Date(now) ||
+      this.entryInfo.get(promise)?.until < now;
+  }
+
+  async _getUncachedEntries({tokenizedIds} = {}) {
+    const records = new Map();
+    const now = new Date(clock.now());
+    const found = await this._timeDatabase(
+      () => this.storage.find({tokenizedIds}));
+    const expired = [];
+    for(const record of found) {
+      // explicitly check `expires` against current time to handle cases where
+      // the database record just hasn't been expunged yet; also skip any
+      // entry with a value that is still pending computation
+      if(record.entry.pending) {
+        continue;
+      }
+      if(now > record.entry.expires) {
+        expired.push(record);
+        continue;
+      }
+      records.set(record.entry.tokenizedId.toString('base64url'), record);
+    }
+    await Promise.all(expired.map(
+      record => this._emitEntryEvent({event: 'expired', record})));
+    return records;
+  }
+
+  async _getUncachedEntryWithRotation({id, tokenizedId, tokenizer} = {}) {
+    try {
+      return await this._getUncachedEntry({tokenizedId});
+    } catch(e) {
+      // previous tokenizers can only be tried if the raw ID is known
+      if(e.name !== 'NotFoundError' || id === undefined) {
+        throw e;
+      }
+
+      // try each previous tokenizer in order
+      const previous = await this._tokenizeWithPreviousTokenizers(
+        {id, tokenizer});
+      for(const {tokenizedId: previousTokenizedId} of previous) {
+        let record;
+        try {
+          record = await this._getUncachedEntry(
+            {tokenizedId: previousTokenizedId});
+        } catch(err) {
+          if(err.name !== 'NotFoundError') {
+            throw err;
+          }
+          continue;
+        }
+        if(this.config.tokenizerRotation.rekey) {
+          record = await this._rekeyEntry({record, tokenizedId, tokenizer});
+        }
+        return record;
+      }
+      throw e;
+    }
+  }
+
+  async _rekeyEntry({record, tokenizedId, tokenizer} = {}) {
+    const {tokenizedId: previousTokenizedId} = record.entry;
+    const rekeyed = {
+      entry: {...record.entry, tokenizedId, tokenizerId: tokenizer.id},
+      meta: {...record.meta, updated: clock.now()}
+    };
+
+    // only insert the rekeyed entry; never overwrite an entry that was
+    // concurrently written using the current tokenizer
+    const inserted = await this.storage.insert({record: rekeyed});
+
+    // remove the entry stored using the previous tokenizer
+    await this.storage.delete({tokenizedIds: [previousTokenizedId]});
+
+    return inserted ? rekeyed : this._getUncachedEntry({tokenizedId});
+  }
+
+  async _importBatch({records, onConflict, result} = {}) {
+    let skipped;
+    try {
+      skipped = await this._timeDatabase(() => this.storage.importMany(
+        {records, onConflict, now: clock.now()}));
+    } finally {
+      // clear any in-memory cache entries
+      for(const {entry: {tokenizedId}} of records) {
+        this._invalidate({key: tokenizedId.toString('base64url')});
+      }
+    }
+    const imported = records.filter((record, i) => !skipped[i]);
+    result.imported += imported.length;
+    result.skipped += records.length - imported.length;
+    this.stats.increment('upserts', imported.length);
+    await Promise.all(imported.map(record => this._emitEntryEvent(
+      {event: 'upserted', operation: 'importEntries', record})));
+  }
+
+  async _getPreviousTokenizers({tokenizer} = {}) {
+    const {previousTokenizerIds} = this.config.tokenizerRotation;
+    const results = await Promise.all(previousTokenizerIds
+      .filter(tokenizerId => tokenizerId !== tokenizer.id)
+      .map(async tokenizerId => {
+        try {
+          return await getTokenizer({id: tokenizerId});
+        } catch(e) {
+          // skip any unknown tokenizer
+          if(e.name === 'NotFoundError') {
+            return null;
+          }
+          throw e;
+        }
+      }));
+    return results.filter(r => r);
+  }
+
+  async _tokenizeTags({tags, tokenizer} = {}) {
+    if(tags === undefined) {
+      return;
+    }
+    if(!tokenizer) {
+      tokenizer = await getCurrentTokenizer();
+    }
+    return this.stats.time('tokenizer', async () => {
+      const results = await Promise.all([...new Set(tags)].map(
+        tag => tokenizeTag({tag, tokenizer})));
+      return results.map(({tokenizedTag}) => tokenizedTag);
+    });
+  }
+
+  async _tokenizeWithPreviousTokenizers({id, tokenizer} = {}) {
+    const previous = await this._getPreviousTokenizers({tokenizer});
+    return Promise.all(previous.map(previousTokenizer => this.stats.time(
+      'tokenizer', () => tokenizeId({id, tokenizer: previousTokenizer}))));
+  }
+
+  async _getUncachedEntry({tokenizedId, explain = false} = {}) {
+    if(explain) {
+      return this.storage.findOne({tokenizedId, explain});
+    }
+
+    let record = await this._timeDatabase(
+      () => this.storage.findOne({tokenizedId}));
+    if(record) {
+      // explicitly check `expires` against current time to handle cases where
+      // the database record just hasn't been expunged yet; also treat an
+      // entry with a value that is still pending computation as not found
+      const now = new Date(clock.now());
+      if(record.entry.pending) {
+        record = null;
+      } else if(now > record.entry.expires) {
+        await this._emitEntryEvent({event: 'expired', record});
+        record = null;
+      }
+    }
+    if(!record) {
+      throw _createNotFoundError();
+    }
+    return record;
+  }
+}
+
+function _createNotFoundError() {
+  const details = {
+    httpStatusCode: 404,
+    public: true
+  };
+  return new BedrockError(
+    'Entry not found.',
+    'NotFoundError', details);
+}
+
+function _assertKnownTokenizer({tokenizerId, tokenizerIds} = {}) {
+  if(!tokenizerIds.has(tokenizerId)) {
+    throw new BedrockError(
+      `Entries tokenized by tokenizer "${tokenizerId}" cannot be imported; ` +
+      'it is neither the current tokenizer nor a previous tokenizer.',
+      'InvalidStateError', {
+        httpStatusCode: 409,
+        public: true,
+        tokenizerId
+      });
+  }
+}
+
+function _createDataError({message, cause, details} = {}) {
+  return new BedrockError(message, 'DataError', {
+    httpStatusCode: 400,
+    public: true,
+    ...details,
+    ...(cause && {cause: cause.message})
+  });
+}
+
+// decodes a `listEntries()` cursor into the `tokenizedId` to list after
+function _decodeCursor({cursor} = {}) {
+  const tokenizedId = Buffer.from(cursor, 'base64url');
+  if(tokenizedId.length === 0 ||
+    tokenizedId.toString('base64url') !== cursor) {
+    throw _createDataError({message: 'Invalid cursor.'});
+  }
+  return tokenizedId;
+}
+
+function _createQuotaExceededError({field, max} = {}) {
+  return new BedrockError(
+    `Could not increment entry; "${field}" would exceed ${max}.`,
+    'QuotaExceededError', {
+      httpStatusCode: 429,
+      public: true,
+      field,
+      max
+    });
+}
+
+function _createStorage({storage, collectionName, overflow} = {}) {
+  if(storage === 'mongodb') {
+    return new MongoStorage({collectionName, overflow});
+  }
+  if(storage === 'memory') {
+    return new MemoryStorage();
+  }
+  if(storage !== null && typeof storage === 'object') {
+    // a custom storage backend
+    return storage;
+  }
+  throw new Error(`Unknown storage "${storage}".`);
+}
+
+async function* _exportLines({storage, header} = {}) {
+  yield JSON.stringify(header) + '\n';
+  for await (const record of storage.iterate({now: clock.now()})) {
+    yield _toExportLine({record}) + '\n';
+  }
+}
+
+// returns a stored `record` as an export line (see `exportEntries()`)
+function _toExportLine({record} = {}) {
+  const {entry, meta} = record;
+  const line = {tokenizedId: entry.tokenizedId.toString('base64url')};
+  if(entry.tokenizerId !== undefined) {
+    line.tokenizerId = entry.tokenizerId;
+  }
+  // `null` for an entry that never expires
+  line.expires = entry.expires?.toISOString() ?? null;
+  line.sequence = entry.sequence ?? 0;
+  if(entry.tags !== undefined) {
+    line.tags = entry.tags.map(tag => tag.toString('base64url'));
+  }
+  line.meta = {created: meta.created, updated: meta.updated};
+  if(entry.encrypted !== undefined) {
+    line.encrypted = entry.encrypted;
+  } else if(entry.compressed !== undefined) {
+    line.compressed = entry.compressed;
+  } else {
+    line.value = entry.value;
+  }
+  // extended JSON preserves any binary data and dates in values
+  return EJSON.stringify(line, {relaxed: true});
+}
+
+// parses an export line into a record to store (see `importEntries()`)
+function _fromExportLine({line, header} = {}) {
+  let parsed;
+  try {
+    parsed = EJSON.parse(line, {relaxed: true});
+  } catch(cause) {
+    throw _createDataError({message: 'Invalid export entry.', cause});
+  }
+  const {tokenizedId, expires, sequence = 0, tags, meta} = parsed;
+  if(typeof tokenizedId !== 'string' || (expires !== null &&
+    (typeof expires !== 'string' || isNaN(Date.parse(expires)))) ||
+    typeof meta?.created !== 'number' || typeof meta?.updated !== 'number') {
+    throw _createDataError({message: 'Invalid export entry.'});
+  }
+  const entry = {
+    tokenizedId: Buffer.from(tokenizedId, 'base64url'),
+    // entries without a tokenizer ID were tokenized by the tokenizer that was
+    // current at the time of the export
+    tokenizerId: parsed.tokenizerId ?? header.tokenizerId,
+    sequence
+  };
+  if(expires !== null) {
+    entry.expires = new Date(expires);
+  }
+  if(parsed.encrypted !== undefined) {
+    entry.encrypted = _promoteBinaries(parsed.encrypted);
+  } else if(parsed.compressed !== undefined) {
+    entry.compressed = _promoteBinaries(parsed.compressed);
+  } else {
+    entry.value = _promoteBinaries(parsed.value);
+  }
+  if(tags !== undefined) {
+    entry.tags = tags.map(tag => Buffer.from(tag, 'base64url'));
+  }
+  return {entry, meta: {created: meta.created, updated: meta.updated}};
+}
+
+function _parseExportHeader({line} = {}) {
+  let header;
+  try {
+    header = JSON.parse(line);
+  } catch(cause) {
+    throw _createDataError({message: 'Invalid export header.', cause});
+  }
+  if(header?.format !== EXPORT_FORMAT || header.version !== EXPORT_VERSION ||
+    typeof header.tokenizerId !== 'string') {
+    throw _createDataError({message: 'Invalid export header.'});
+  }
+  return header;
+}
+
+// gets the size in bytes of the BSON-encoded value of a record
+function _getValueSize({record} = {}) {
+  return BSON.calculateObjectSize({value: record.entry.value});
+}
+
+// converts any parsed extended JSON binary data to buffers (as they would be
+// returned from the database)
+function _promoteBinaries(value) {
+  if(value?._bsontype === 'Binary') {
+    return Buffer.from(value.buffer.subarray(0, value.position));
+  }
+  if(Array.isArray(value)) {
+    return value.map(_promoteBinaries);
+  }
+  if(value !== null && typeof value === 'object' && !(value instanceof Date)) {
+    return Object.fromEntries(Object.entries(value).map(
+      ([k, v]) => [k, _promoteBinaries(v)]));
+  }
+  return value;
+}
+
+// gets the `entry` (without its value) and `meta` of a record for an event
+function _getEventRecord({record} = {}) {
+  const {tokenizedId, tokenizerId, sequence, expires, tags} = record.entry;
+  return {
+    entry: {tokenizedId, tokenizerId, sequence, expires, tags},
+    meta: record.meta
+  };
+}
+
+// returns a copy of a stored `record` with the given (unencoded) value
+function _withValue({record, value} = {}) {
+  const entry = {...record.entry, value};
+  delete entry.encrypted;
+  delete entry.compressed;
+  delete entry.overflow;
+  return {...record, entry};
+}
+
+/**
+ * An object containing information on the query plan.
+ *
+ * @typedef {object} ExplainObject
+ */
+
+/**
+ * The result of retrieving a single entry via `getMany()`.
+ *
+ * @typedef {object} GetManyResult
+ * @property {string} [id] - The ID of the entry, if given.
+ * @property {Buffer} [tokenizedId] - The tokenized ID of the entry.
+ * @property {string} status - One of `found`, `notFound`, or `error`.
+ * @property {object} [record] - The cache entry record, if `found`.
+ * @property {Error} [error] - The error that occurred, if `error`.
+ */
+
+/**
+ * The result of writing a single entry via `upsertMany()`.
+ *
+ * @typedef {object} UpsertManyResult
+ * @property {string} [id] - The ID of the entry, if given.
+ * @property {Buffer} [tokenizedId] - The tokenized ID of the entry.
+ * @property {string} status - One of `upserted` or `error`.
+ * @property {object} [record] - The cache entry record, if `upserted`.
+ * @property {Error} [error] - The error that occurred, if `error`.
+ */
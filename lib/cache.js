@@ -2,74 +2,176 @@
  * Copyright (c) 2020-2025 Digital Bazaar, Inc. All rights reserved.
  */
 import * as bedrock from '@bedrock/core';
-import * as database from '@bedrock/mongodb';
+import {
+  getCurrentTokenizer, hashString, hmacString, sha256
+} from './helpers.js';
 import assert from 'assert-plus';
 import canonicalize from 'canonicalize';
 import crypto from 'node:crypto';
-import {LruCache} from '@digitalbazaar/lru-memoize';
-import {tokenizers} from '@bedrock/tokenizer';
+import {TokenizedCache} from './TokenizedCache.js';
 
-const {util: {BedrockError}} = bedrock;
+export {deprecateCurrentKek} from './encryption.js';
+export {MemoryStorage} from './MemoryStorage.js';
+export {MongoStorage} from './MongoStorage.js';
+export {tokenizeId} from './helpers.js';
+// exported for testing purposes only
+export {hmacString as _hmacString, sha256 as _sha256};
 
-const TEXT_ENCODER = new TextEncoder();
+const {util: {BedrockError}} = bedrock;
 
-const COLLECTION_NAME = 'tokenized-cache-entry';
+const DEFAULT_CACHE_NAME = 'default';
+const DEFAULT_COLLECTION_NAME = 'tokenized-cache-entry';
+const CACHE_NAME_REGEX = /^[a-z0-9][a-z0-9-]*$/;
+
+// multihash codes, node.js hash names, and digest lengths (in bytes) of the
+// hash algorithms supported for content IDs
+const CONTENT_ID_ALGORITHMS = new Map([
+  ['sha2-256', {code: 0x12, hash: 'sha256', length: 32}],
+  ['sha2-512', {code: 0x13, hash: 'sha512', length: 64}],
+  ['sha3-512', {code: 0x14, hash: 'sha3-512', length: 64}],
+  ['sha3-256', {code: 0x16, hash: 'sha3-256', length: 32}]
+]);
+// tokenizers use HMAC-SHA-256
+const TOKENIZED_CONTENT_ID_ALGORITHM = 'sha2-256';
+
+// all caches by name
+const CACHES = new Map();
+let INITIALIZED = false;
+let DATABASE_READY = false;
+
+// the default cache that is used by the module-level API
+const DEFAULT_CACHE = new TokenizedCache({
+  name: DEFAULT_CACHE_NAME,
+  collectionName: DEFAULT_COLLECTION_NAME
+});
+CACHES.set(DEFAULT_CACHE_NAME, DEFAULT_CACHE);
 
-// in-memory entries cache
+// in-memory entries cache (for the default cache)
 export let ENTRY_CACHE;
+// in-memory not found results cache (for the default cache)
+let NOT_FOUND_CACHE;
 // exported for testing purposes only
-export {ENTRY_CACHE as _ENTRY_CACHE};
+export {ENTRY_CACHE as _ENTRY_CACHE, NOT_FOUND_CACHE as _NOT_FOUND_CACHE};
 
 bedrock.events.on('bedrock.init', async () => {
-  _createEntryCache();
+  INITIALIZED = true;
+  for(const cache of CACHES.values()) {
+    cache._init();
+  }
+  ENTRY_CACHE = DEFAULT_CACHE.entryCache;
+  NOT_FOUND_CACHE = DEFAULT_CACHE.notFoundCache;
 });
 
-/* Note on TTL index grace periods:
+bedrock.events.on('bedrock-mongodb.ready', async () => {
+  DATABASE_READY = true;
+  await Promise.all([...CACHES.values()].map(async cache => {
+    await cache._initStorage();
+    await cache._start();
+  }));
+});
 
-Records that match a TTL index are auto-removed from a mongodb collection based
-on the index option `expireAfterSeconds`. This option can be interpreted as a
-grace period prior to the removal of records. Using a value other than `0`
-provides better resiliency for decision making processes that must retrieve
-records, make decisions about them (based on their existence) and then update
-them to extend their expiration period.
+bedrock.events.on('bedrock.stop', async () => {
+  await Promise.all([...CACHES.values()].map(
+    cache => cache._stop()));
+});
 
-If there is no sufficiently long grace period, then such a process could
-retrieve an imminently expiring record, make a decision, and then try to
-update the record to extend its expiration period and fail to find it.
+/**
+ * Creates a new named cache. Each cache stores its entries in its own
+ * storage (by default, a database collection named
+ * `tokenized-cache-<name>-entry`) and has its own
+ * in-memory cache and configuration, such that the same ID may be used in
+ * different caches without collision.
+ *
+ * A cache's configuration is built from the global `tokenized-cache` config,
+ * then any options passed here, and then any config set in
+ * `config['tokenized-cache'].namespaces[name]` (in order of increasing
+ * precedence).
+ *
+ * Caches must be created before the database is ready, e.g., when a module
+ * that uses the cache is loaded.
+ *
+ * @param {object} options - Options to use.
+ * @param {string} options.name - The name of the cache; must consist only of
+ *   lowercase letters, digits, and hyphens.
+ * @param {string|object} [options.storage] - Where entries are stored:
+ *   `mongodb`, `memory`, or a custom storage object.
+ * @param {boolean} [options.autoRemoveExpiredRecords] - Whether to
+ *   automatically remove expired records from the database.
+ * @param {object} [options.defaults] - Default options for entries, e.g.,
+ *   `ttl`.
+ * @param {object} [options.pending] - Options for pending computations
+ *   performed via `getOrCreate()`.
+ * @param {object} [options.caches] - Options for in-memory caches, e.g.,
+ *   `entry: {maxSize, maxAge}` and `notFound: {maxSize, maxAge}`.
+ * @param {object} [options.changeStreams] - Options for evicting in-memory
+ *   entries across app instances via database change streams.
+ *
+ * @returns {TokenizedCache} The new cache.
+ */
+export function createCache({name, ...options} = {}) {
+  assert.string(name, 'name');
 
-Processes could be modified to account for these exceptions, but that
-approach is more complex than ensuring that the record persists long enough
-for its expiration period to be extended.
+  if(!CACHE_NAME_REGEX.test(name)) {
+    throw new Error(
+      '"name" must consist only of lowercase letters, digits, and hyphens.');
+  }
+  if(CACHES.has(name)) {
+    throw new Error(`Cache "${name}" already exists.`);
+  }
+  if(DATABASE_READY) {
+    throw new Error('Caches must be created before the database is ready.');
+  }
 
-The grace period chosen is considered long enough to ensure an expectation
-that there will be no processes that experience these exceptions. */
-bedrock.events.on('bedrock-mongodb.ready', async () => {
-  await database.openCollections([COLLECTION_NAME]);
-
-  const indexes = [{
-    // `tokenizedId` should be a shard key
-    collection: COLLECTION_NAME,
-    fields: {'entry.tokenizedId': 1},
-    options: {unique: true}
-  }];
-
-  // only create TTL expiration records if configured to do so
-  const {autoRemoveExpiredRecords} = bedrock.config['tokenized-cache'];
-  if(autoRemoveExpiredRecords) {
-    indexes.push({
-      // automatically expire entries using `expires` date field
-      collection: COLLECTION_NAME,
-      fields: {'entry.expires': 1},
-      options: {
-        unique: false,
-        // grace period of 24 hours
-        expireAfterSeconds: 60 * 60 * 24
-      }
-    });
+  const cache = new TokenizedCache({
+    name,
+    collectionName: `tokenized-cache-${name}-entry`,
+    defaults: options
+  });
+  CACHES.set(name, cache);
+  if(INITIALIZED) {
+    cache._init();
   }
+  return cache;
+}
 
-  await database.createIndexes(indexes);
-});
+/**
+ * Gets a cache by name. The default cache is named `default`.
+ *
+ * @param {object} options - Options to use.
+ * @param {string} options.name - The name of the cache.
+ *
+ * @returns {TokenizedCache} The cache.
+ */
+export function getCache({name} = {}) {
+  assert.string(name, 'name');
+
+  const cache = CACHES.get(name);
+  if(!cache) {
+    throw new BedrockError(
+      `Cache "${name}" not found.`,
+      'NotFoundError', {httpStatusCode: 404, public: true});
+  }
+  return cache;
+}
+
+/**
+ * Removes expired records from the default cache; see
+ * `TokenizedCache.sweep()`.
+ *
+ * @returns {Promise<object>} Resolves to `{removed, swept}`.
+ */
+export async function sweep() {
+  return DEFAULT_CACHE.sweep();
+}
+
+/**
+ * Gets the stats for the default cache; see `TokenizedCache.getStats()`.
+ *
+ * @returns {object} The stats.
+ */
+export function getStats() {
+  return DEFAULT_CACHE.getStats();
+}
 
 /**
  * Creates a cache entry ID from some content (object, string, boolean, etc.).
@@ -77,257 +179,306 @@ bedrock.events.on('bedrock-mongodb.ready', async () => {
  * (re-)generate IDs to use in the cache based on content (aka Content-based
  * IDs or CIDS), without having to directly store the content in the cache.
  *
+ * Anyone who can guess the content can recompute a content ID that is a
+ * plain hash. If `tokenize` is set, the content is instead HMAC'd using a
+ * tokenizer (the current tokenizer by default) such that content IDs for
+ * low-entropy content cannot be recomputed without the tokenizer's key.
+ *
  * @param {object} options - Options to use.
  * @param {*} [options.content] - The content to generate an ID from.
+ * @param {string} [options.algorithm='sha2-256'] - The hash algorithm to use:
+ *   `sha2-256`, `sha2-512`, `sha3-256`, or `sha3-512`; only `sha2-256` is
+ *   supported if `tokenize` is set.
+ * @param {boolean} [options.tokenize=false] - Set to true to HMAC the content
+ *   using a tokenizer instead of hashing it.
+ * @param {object} [options.tokenizer] - Optional tokenizer to use if
+ *   `tokenize` is set.
  *
- * @returns {Promise<object>} Resolves to an object with `id`.
+ * @returns {Promise<object>} Resolves to an object with `id` and, if
+ *   `tokenize` is set, the `tokenizerId` of the tokenizer that was used.
  */
-export async function createContentId({content} = {}) {
+export async function createContentId({
+  content, algorithm = 'sha2-256', tokenize = false, tokenizer
+} = {}) {
+  assert.string(algorithm, 'algorithm');
+  assert.bool(tokenize, 'tokenize');
+  assert.optionalObject(tokenizer, 'tokenizer');
+
   // canonicalize object to a string
   const string = canonicalize(content);
+
+  if(tokenize) {
+    if(algorithm !== TOKENIZED_CONTENT_ID_ALGORITHM) {
+      throw new BedrockError(
+        `Unsupported content ID algorithm "${algorithm}" for tokenized ` +
+        'content IDs.',
+        'NotSupportedError', {httpStatusCode: 400, public: true});
+    }
+    if(!tokenizer) {
+      tokenizer = await getCurrentTokenizer();
+    }
+    // `hmacString()` expresses the HMAC as a sha2-256 multihash; the prefix
+    // ensures that content never tokenizes to the same value as an ID (or a
+    // tag) that is equal to its canonicalized form
+    const mh = await hmacString(
+      {hmac: tokenizer.hmac, value: `content:${string}`});
+    return {id: mh.toString('base64url'), tokenizerId: tokenizer.id};
+  }
+
+  const {code, hash, length} = _getContentIdAlgorithm({algorithm});
   // hash string
-  const digest = await _sha256({string});
+  const digest = await hashString({algorithm: hash, string});
   // express digest as multibase-multihash string
-  // 18 = 0x12 means sha2-256
-  // 32 is the digest length in bytes
-  const mh = Buffer.concat([Buffer.from([18, 32]), Buffer.from(digest)]);
+  const mh = Buffer.concat([Buffer.from([code, length]), Buffer.from(digest)]);
   const id = mh.toString('base64url');
   return {id};
 }
 
 /**
- * Retrieves a cache entry record (if it exists).
+ * Verifies that a content ID was created from some content via
+ * `createContentId()`. The hash algorithm is determined from the content ID.
  *
  * @param {object} options - Options to use.
- * @param {string} [options.id] - The ID of the entry to retrieve.
- * @param {Buffer} [options.tokenizedId] - The already tokenized ID, if
- *   `id` has been externally tokenized.
- * @param {object} [options.tokenizer] - Optional tokenizer to use.
- * @param {boolean} [options.explain=false] - Set to true to return database
- *   query explain information instead of executing database queries.
+ * @param {string} options.id - The content ID to verify.
+ * @param {*} [options.content] - The content the ID was created from.
+ * @param {boolean} [options.tokenize=false] - Set to true if the content ID
+ *   was created using `tokenize`.
+ * @param {object} [options.tokenizer] - Optional tokenizer to use if
+ *   `tokenize` is set; must be the tokenizer that created the content ID
+ *   (the current tokenizer by default).
  *
- * @returns {Promise<object | ExplainObject>} Resolves with the cache entry
- *   database record or an ExplainObject if `explain=true`.
+ * @returns {Promise<boolean>} Resolves to `true` if the content ID matches the
+ *   content, `false` if not.
  */
-export async function get({id, tokenizedId, tokenizer, explain = false} = {}) {
-  assert.optionalString(id, 'id');
-  assert.optionalBuffer(tokenizedId, 'tokenizedId');
+export async function verifyContentId({
+  id, content, tokenize = false, tokenizer
+} = {}) {
+  assert.string(id, 'id');
+  assert.bool(tokenize, 'tokenize');
   assert.optionalObject(tokenizer, 'tokenizer');
 
-  if(id !== undefined && tokenizedId !== undefined) {
-    throw new Error('Only one of "id" and "tokenizedId" must be given.');
+  const mh = Buffer.from(id, 'base64url');
+  const algorithm = [...CONTENT_ID_ALGORITHMS.keys()].find(
+    name => CONTENT_ID_ALGORITHMS.get(name).code === mh[0]);
+  if(algorithm === undefined || (tokenize &&
+    algorithm !== TOKENIZED_CONTENT_ID_ALGORITHM)) {
+    return false;
   }
-
-  if(tokenizedId === undefined) {
-    if(id === undefined) {
-      throw new Error('Either "id" or "tokenizedId" are required.');
-    }
-    // tokenize ID
-    ({tokenizedId, tokenizer} = await tokenizeId({id, tokenizer}));
-  }
-
-  // do not use in-memory cache when explaining database query
-  if(explain) {
-    return _getUncachedEntry({tokenizedId, explain});
-  }
-
-  const key = tokenizedId.toString('base64url');
-  const fn = () => _getUncachedEntry({tokenizedId});
-  // memoize but fetch promise directly to compare below whilst avoiding race
-  // condition where the cache could be updated during `await`
-  await ENTRY_CACHE.memoize({key, fn});
-  const promise = ENTRY_CACHE.cache.peek(key);
-  const record = await promise;
-
-  // clear expired record from cache (if it hasn't already changed) and retry
-  const now = new Date();
-  if(record.entry.expires < now) {
-    if(ENTRY_CACHE.cache.peek(key) === promise) {
-      ENTRY_CACHE.delete(key);
-    }
-    return get({tokenizedId});
-  }
-
-  return record;
+  const {id: expected} = await createContentId(
+    {content, algorithm, tokenize, tokenizer});
+  const expectedMh = Buffer.from(expected, 'base64url');
+  return mh.length === expectedMh.length &&
+    crypto.timingSafeEqual(mh, expectedMh);
 }
 
 /**
- * Adds an entry to the cache, overwriting any existing entry.
+ * Retrieves a cache entry record (if it exists) from the default cache.
  *
- * A `tokenizedId` will be generated by tokenizing the given `id` (unless
- * `tokenizedId` is passed directly). This `tokenizedId` will be the result of
- * an HMAC operation that should use key material that resides in an external
- * system. This approach ensures that a stolen database on its own will not
- * reveal the correlation between a particular `id` and `tokenizedId`.
+ * @param {object} options - Options to use; see `TokenizedCache.get()`.
  *
- * @param {object} options - Options to use.
- * @param {string} [options.id] - The ID of the entry to cache.
- * @param {Buffer} [options.tokenizedId] - The already tokenized ID, if
- *   `id` has been externally tokenized.
- * @param {object} [options.tokenizer] - Optional tokenizer to use.
- * @param {*} [options.value] - The value to cache.
- * @param {number} [options.ttl] - The number of milliseconds until the
- *   cache entry should expire.
- * @param {boolean} [options.explain=false] - Set to true to return database
- *   query explain information instead of executing database queries.
- *
- * @returns {Promise<object>} An object with the cache entry record.
+ * @returns {Promise<object | ExplainObject>} Resolves with the cache entry
+ *   database record or an ExplainObject if `explain=true`.
  */
-export async function upsert({
-  id, tokenizedId, tokenizer, ttl, value, explain = false
-} = {}) {
-  assert.optionalString(id, 'id');
-  assert.optionalBuffer(tokenizedId, 'tokenizedId');
-  assert.optionalObject(tokenizer, 'tokenizer');
-  assert.optionalNumber(ttl, 'ttl');
+export async function get(options) {
+  return DEFAULT_CACHE.get(options);
+}
 
-  if(id !== undefined && tokenizedId !== undefined) {
-    throw new Error('Only one of "id" and "tokenizedId" must be given.');
-  }
+/**
+ * Retrieves many cache entry records at once from the default cache.
+ *
+ * @param {object} options - Options to use; see `TokenizedCache.getMany()`.
+ *
+ * @returns {Promise<Array<object> | ExplainObject>} Resolves with the
+ *   results or an ExplainObject if `explain=true`.
+ */
+export async function getMany(options) {
+  return DEFAULT_CACHE.getMany(options);
+}
 
-  if(tokenizedId === undefined) {
-    if(tokenizedId === undefined) {
-      if(id === undefined) {
-        throw new Error('Either "id" or "tokenizedId" are required.');
-      }
-      // tokenize ID
-      ({tokenizedId, tokenizer} = await tokenizeId({id, tokenizer}));
-    }
-  }
+/**
+ * Retrieves a cache entry record from the default cache, creating it if it
+ * does not exist.
+ *
+ * @param {object} options - Options to use; see
+ *   `TokenizedCache.getOrCreate()`.
+ *
+ * @returns {Promise<object>} Resolves with the cache entry database record.
+ */
+export async function getOrCreate(options) {
+  return DEFAULT_CACHE.getOrCreate(options);
+}
 
-  const now = Date.now();
-  const collection = database.collections[COLLECTION_NAME];
-  const meta = {created: now, updated: now};
-  const expires = new Date(now + ttl);
-  const entry = {
-    tokenizedId,
-    expires,
-    value
-  };
-
-  const query = {'entry.tokenizedId': entry.tokenizedId};
-  // overwrite every field except `tokenizedId` on update
-  const $set = {
-    'entry.expires': entry.expires,
-    'entry.value': value,
-    'meta.created': meta.created,
-    'meta.updated': meta.updated
-  };
-  // include tokenized ID on insert
-  const $setOnInsert = {
-    'entry.tokenizedId': entry.tokenizedId
-  };
-  const update = {$set, $setOnInsert};
-  const record = {entry, meta};
-
-  if(explain) {
-    // 'find().limit(1)' is used here because 'updateOne()' doesn't return a
-    // cursor which allows the use of the explain function.
-    const cursor = await collection.find(query).limit(1);
-    return cursor.explain('executionStats');
-  }
+/**
+ * Adds an entry to the default cache only if it does not already exist.
+ *
+ * @param {object} options - Options to use; see `TokenizedCache.create()`.
+ *
+ * @returns {Promise<object | ExplainObject>} Resolves with the cache entry
+ *   record or an ExplainObject if `explain=true`.
+ */
+export async function create(options) {
+  return DEFAULT_CACHE.create(options);
+}
 
-  // this upsert cannot trigger duplicate error; no try/catch needed
-  await collection.updateOne(query, update, {upsert: true});
+/**
+ * Updates an existing entry in the default cache only if its current
+ * `sequence` matches `expectedSequence`.
+ *
+ * @param {object} options - Options to use; see `TokenizedCache.update()`.
+ *
+ * @returns {Promise<object | ExplainObject>} Resolves with the updated cache
+ *   entry record or an ExplainObject if `explain=true`.
+ */
+export async function update(options) {
+  return DEFAULT_CACHE.update(options);
+}
 
-  // clear any in-memory cache entry
-  const key = entry.tokenizedId.toString('base64url');
-  ENTRY_CACHE.delete(key);
+/**
+ * Extends the expiration of an existing entry in the default cache without
+ * rewriting its value.
+ *
+ * @param {object} options - Options to use; see `TokenizedCache.touch()`.
+ *
+ * @returns {Promise<boolean | ExplainObject>} Resolves to `true` if an entry
+ *   was found, `false` if not, or an ExplainObject if `explain=true`.
+ */
+export async function touch(options) {
+  return DEFAULT_CACHE.touch(options);
+}
 
-  return record;
+/**
+ * Atomically increments a numeric field of an entry's value in the default
+ * cache, creating the entry if it does not exist.
+ *
+ * @param {object} options - Options to use; see `TokenizedCache.increment()`.
+ *
+ * @returns {Promise<number | ExplainObject>} Resolves with the new value of
+ *   the field or an ExplainObject if `explain=true`.
+ */
+export async function increment(options) {
+  return DEFAULT_CACHE.increment(options);
 }
 
 /**
- * Tokenizes the given ID.
+ * Adds an entry to the default cache, overwriting any existing entry.
  *
- * @param {object} options - Options to use.
- * @param {string} options.id - The ID to tokenize.
- * @param {object} [options.tokenizer] - Optional tokenizer to use.
+ * @param {object} options - Options to use; see `TokenizedCache.upsert()`.
  *
- * @returns {Promise<object>} The tokenized ID as `tokenizedId`.
+ * @returns {Promise<object>} An object with the cache entry record.
  */
-export async function tokenizeId({id, tokenizer} = {}) {
-  assert.string(id, 'id');
-  assert.optionalObject(tokenizer, 'tokenizer');
+export async function upsert(options) {
+  return DEFAULT_CACHE.upsert(options);
+}
 
-  // 1. Get the current tokenizer and its HMAC API.
-  if(!tokenizer) {
-    tokenizer = await tokenizers.getCurrent();
-  }
-  const {hmac} = tokenizer;
+/**
+ * Adds many entries to the default cache at once, overwriting any existing
+ * entries.
+ *
+ * @param {object} options - Options to use; see
+ *   `TokenizedCache.upsertMany()`.
+ *
+ * @returns {Promise<Array<object> | ExplainObject>} Resolves with the
+ *   results or an ExplainObject if `explain=true`.
+ */
+export async function upsertMany(options) {
+  return DEFAULT_CACHE.upsertMany(options);
+}
 
-  // 2. HMAC the `id` to help mitigate against the threat of a stolen database.
-  // Once HMAC'd, dictionary attacks may be more difficult -- particularly if
-  // the HMAC material is in an HSM.
-  const tokenizedId = await _hmacString({hmac, value: id});
-  return {tokenizedId, tokenizer};
+/**
+ * Removes an entry from the default cache (if it exists).
+ *
+ * @param {object} options - Options to use; see `TokenizedCache.remove()`.
+ *
+ * @returns {Promise<boolean | ExplainObject>} Resolves to `true` if an entry
+ *   was removed, `false` if not, or an ExplainObject if `explain=true`.
+ */
+export async function remove(options) {
+  return DEFAULT_CACHE.remove(options);
 }
 
-// exposed for testing purposes only
-function _createEntryCache({ttl} = {}) {
-  const cfg = bedrock.config['tokenized-cache'];
-  const options = {
-    ...cfg.caches.entry
-  };
-  if(ttl !== undefined) {
-    options.maxAge = ttl;
-  }
-  ENTRY_CACHE = new LruCache(options);
+/**
+ * Removes all entries that have the given tag from the default cache.
+ *
+ * @param {object} options - Options to use; see
+ *   `TokenizedCache.invalidateByTag()`.
+ *
+ * @returns {Promise<number | ExplainObject>} Resolves to the number of
+ *   entries removed or an ExplainObject if `explain=true`.
+ */
+export async function invalidateByTag(options) {
+  return DEFAULT_CACHE.invalidateByTag(options);
 }
 
-async function _getUncachedEntry({tokenizedId, explain = false} = {}) {
-  const query = {'entry.tokenizedId': tokenizedId};
-  const collection = database.collections[COLLECTION_NAME];
-  const projection = {_id: 0};
+/**
+ * Lists entries in the default cache one page at a time.
+ *
+ * @param {object} options - Options to use; see
+ *   `TokenizedCache.listEntries()`.
+ *
+ * @returns {Promise<object | ExplainObject>} Resolves to an object with the
+ *   page's entry `records` and its `cursor` or an ExplainObject if
+ *   `explain=true`.
+ */
+export async function listEntries(options) {
+  return DEFAULT_CACHE.listEntries(options);
+}
 
-  if(explain) {
-    // 'find().limit(1)' is used here because 'findOne()' doesn't return a
-    // cursor which allows the use of the explain function.
-    const cursor = await collection.find(query, {projection}).limit(1);
-    return cursor.explain('executionStats');
-  }
+/**
+ * Counts the entries in the default cache.
+ *
+ * @returns {Promise<object>} Resolves to an object with the `total` number
+ *   of entries and the number that have `expired` and are `unexpired`.
+ */
+export async function countEntries() {
+  return DEFAULT_CACHE.countEntries();
+}
 
-  let record = await collection.findOne(query, {projection});
-  if(record) {
-    // explicitly check `expires` against current time to handle cases where
-    // the database record just hasn't been expunged yet
-    const now = new Date();
-    if(now > record.entry.expires) {
-      record = null;
-    }
-  }
-  if(!record) {
-    const details = {
-      httpStatusCode: 404,
-      public: true
-    };
-    throw new BedrockError(
-      'Entry not found.',
-      'NotFoundError', details);
-  }
-  return record;
+/**
+ * Retrieves the stored record of an entry in the default cache by its raw ID
+ * for inspection.
+ *
+ * @param {object} options - Options to use; see
+ *   `TokenizedCache.inspectEntry()`.
+ *
+ * @returns {Promise<object>} Resolves with the entry's record.
+ */
+export async function inspectEntry(options) {
+  return DEFAULT_CACHE.inspectEntry(options);
 }
 
-// exported for testing purposes only
-export async function _hmacString({hmac, value}) {
-  const data = TEXT_ENCODER.encode(value);
-  const signature = await hmac.sign({data});
-  // multibase encode hash for future proofing
-  // 18 = 0x12 means sha2-256
-  // 32 is the digest length in bytes
-  return Buffer.concat([Buffer.from([18, 32]), signature]);
+/**
+ * Exports all unexpired entries in the default cache as a stream of
+ * newline-delimited JSON.
+ *
+ * @returns {Promise<object>} Resolves to a readable stream; see
+ *   `TokenizedCache.exportEntries()`.
+ */
+export async function exportEntries() {
+  return DEFAULT_CACHE.exportEntries();
 }
 
 /**
- * SHA-256 hashes a string. Exported for testing purposes only.
+ * Imports entries into the default cache from a stream of newline-delimited
+ * JSON as produced by `exportEntries()`.
  *
- * @param {object} options - The options to use.
- * @param {string} options.string - The string to hash.
+ * @param {object} options - Options to use; see
+ *   `TokenizedCache.importEntries()`.
  *
- * @returns {Uint8Array} The hash digest.
+ * @returns {Promise<object>} Resolves to an object with the number of
+ *   entries that were `imported` and `skipped`.
  */
-export async function _sha256({string}) {
-  return new Uint8Array(crypto.createHash('sha256').update(string).digest());
+export async function importEntries(options) {
+  return DEFAULT_CACHE.importEntries(options);
+}
+
+function _getContentIdAlgorithm({algorithm} = {}) {
+  const contentIdAlgorithm = CONTENT_ID_ALGORITHMS.get(algorithm);
+  if(!contentIdAlgorithm) {
+    throw new BedrockError(
+      `Unsupported content ID algorithm "${algorithm}".`,
+      'NotSupportedError', {httpStatusCode: 400, public: true});
+  }
+  return contentIdAlgorithm;
 }
 
 /**
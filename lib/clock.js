@@ -0,0 +1,36 @@
+/*!
+ * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
+ */
+import assert from 'assert-plus';
+
+const SYSTEM_CLOCK = {now: () => Date.now()};
+
+// the clock that is used to get the current time when writing, reading,
+// and expiring entries; only replaced for testing purposes (see
+// `@bedrock/tokenized-cache/test`)
+let CLOCK = SYSTEM_CLOCK;
+
+/**
+ * Gets the current time according to the clock in use.
+ *
+ * @returns {number} The number of milliseconds since the Unix epoch.
+ */
+export function now() {
+  return CLOCK.now();
+}
+
+/**
+ * Sets the clock that is used to get the current time.
+ *
+ * @param {object} options - Options to use.
+ * @param {object} [options.clock] - The clock to use, with a `now()` function
+ *   that returns the number of milliseconds since the Unix epoch; if not
+ *   given, the system clock is used.
+ */
+export function setClock({clock} = {}) {
+  assert.optionalObject(clock, 'clock');
+  if(clock) {
+    assert.func(clock.now, 'clock.now');
+  }
+  CLOCK = clock ?? SYSTEM_CLOCK;
+}
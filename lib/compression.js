@@ -0,0 +1,105 @@
+/*!
+ * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+import {BSON} from 'bson';
+import {promisify} from 'node:util';
+import {serializeBson} from './helpers.js';
+import zlib from 'node:zlib';
+
+const {util: {BedrockError}} = bedrock;
+
+const ALGORITHMS = new Map([
+  ['gzip', {
+    compress: promisify(zlib.gzip),
+    decompress: promisify(zlib.gunzip)
+  }],
+  ['brotli', {
+    compress: promisify(zlib.brotliCompress),
+    decompress: promisify(zlib.brotliDecompress)
+  }]
+]);
+
+/**
+ * Compresses data if it is at least `threshold` bytes and compressing it
+ * makes it smaller.
+ *
+ * @param {object} options - Options to use.
+ * @param {Uint8Array} options.data - The data to compress.
+ * @param {string} [options.algorithm] - The compression algorithm to use,
+ *   `gzip` or `brotli`; if not given, the data is not compressed.
+ * @param {number} [options.threshold=0] - The minimum size in bytes of data
+ *   to compress.
+ *
+ * @returns {Promise<Buffer>} Resolves to the compressed data or `undefined`
+ *   if the data was not compressed.
+ */
+export async function compressData({data, algorithm, threshold = 0} = {}) {
+  if(!algorithm || data.length < threshold) {
+    return;
+  }
+  const compressed = await _getAlgorithm({algorithm}).compress(data);
+  return compressed.length < data.length ? compressed : undefined;
+}
+
+/**
+ * Decompresses data that was compressed via `compressData()`.
+ *
+ * @param {object} options - Options to use.
+ * @param {Uint8Array} options.data - The compressed data.
+ * @param {string} options.algorithm - The compression algorithm that was used.
+ *
+ * @returns {Promise<Buffer>} Resolves to the decompressed data.
+ */
+export async function decompressData({data, algorithm} = {}) {
+  return _getAlgorithm({algorithm}).decompress(data);
+}
+
+/**
+ * Compresses a value if its BSON encoding is at least `threshold` bytes and
+ * compressing it makes it smaller.
+ *
+ * @param {object} options - Options to use.
+ * @param {*} options.value - The value to compress.
+ * @param {string} [options.algorithm] - The compression algorithm to use,
+ *   `gzip` or `brotli`; if not given, the value is not compressed.
+ * @param {number} [options.threshold=0] - The minimum size in bytes of the
+ *   BSON-encoded value to compress.
+ *
+ * @returns {Promise<object>} Resolves to the compressed value as
+ *   `{algorithm, data}` or `undefined` if the value was not compressed.
+ */
+export async function compressValue({value, algorithm, threshold} = {}) {
+  if(!algorithm) {
+    return;
+  }
+  // serialize value in the same way it would be stored in the database
+  const data = await compressData(
+    {data: serializeBson({value}), algorithm, threshold});
+  return data && {algorithm, data};
+}
+
+/**
+ * Decompresses a value that was compressed via `compressValue()`.
+ *
+ * @param {object} options - Options to use.
+ * @param {object} options.compressed - The compressed value.
+ *
+ * @returns {Promise<*>} Resolves to the decompressed value.
+ */
+export async function decompressValue({compressed} = {}) {
+  const {algorithm, data} = compressed;
+  const {value} = BSON.deserialize(
+    await decompressData({data, algorithm}), {promoteBuffers: true});
+  return value;
+}
+
+function _getAlgorithm({algorithm} = {}) {
+  const result = ALGORITHMS.get(algorithm);
+  if(!result) {
+    throw new BedrockError(
+      `Unsupported compression algorithm "${algorithm}".`,
+      'NotSupportedError', {httpStatusCode: 500, public: false});
+  }
+  return result;
+}
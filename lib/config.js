@@ -5,20 +5,159 @@ import {config} from '@bedrock/core';
 
 const cfg = config['tokenized-cache'] = {};
 
+// where cache entries are stored: `mongodb` (a database collection per
+// cache), `memory` (the current process only; intended for tests), or a
+// custom storage object that implements the same methods as `MongoStorage`
+// (which may be passed to `createCache()` or set via `namespaces` in code)
+cfg.storage = 'mongodb';
+
 // expire cache records by default
 cfg.autoRemoveExpiredRecords = true;
 
+// periodic removal of expired records when `autoRemoveExpiredRecords` is
+// `false` (and no TTL index removes them) and of any unreferenced `overflow`
+// files
+cfg.sweeper = {
+  // time in milliseconds between sweeps; set to `0` to disable
+  interval: 5 * 60 * 1000,
+  // maximum number of records to remove in a single database operation
+  batchSize: 1000,
+  // time in milliseconds that a record must have been expired before it is
+  // removed; see the note on TTL index grace periods in `MongoStorage.js`
+  gracePeriod: 24 * 60 * 60 * 1000,
+  // time in milliseconds an app instance may sweep before another instance
+  // may take over; the lease is renewed before each batch
+  leaseDuration: 60 * 1000
+};
+
 cfg.defaults = {
   // time to live in milliseconds, default to 24 hours
   ttl: 1 * 24 * 60 * 60 * 1000
 };
 
+// expiration policy for written entries
+cfg.expiration = {
+  // minimum time to live in milliseconds (whether given as `ttl` or as an
+  // absolute `expires` date)
+  minTtl: 0,
+  // maximum time to live in milliseconds; set to `null` for no maximum, which
+  // also allows entries that never expire (`expires: null`)
+  maxTtl: null
+};
+
+// pending leases used when computing missing entries via `getOrCreate()`
+cfg.pending = {
+  // maximum time in milliseconds a process may spend computing a value
+  // before another process may take over its lease
+  leaseDuration: 30 * 1000,
+  // time in milliseconds between checks for a value that is being computed
+  // by another process
+  pollInterval: 100
+};
+
+// tokenizer rotation
+cfg.tokenizerRotation = {
+  // IDs of previous tokenizers to try (in order) when an entry is not found
+  // using the current tokenizer; note that this requires entries to be
+  // retrieved using `id` (not `tokenizedId`)
+  previousTokenizerIds: [],
+  // move any entry found using a previous tokenizer to the current tokenizer
+  rekey: true
+};
+
+// encryption of entry values at rest
+cfg.encryption = {
+  // set to `true` to encrypt entry values before storing them in the
+  // database; values are encrypted using a random key per entry that is
+  // wrapped using a key encryption key (KEK) that resides in the WebKMS
+  // system configured for `@bedrock/tokenizer`; any previously encrypted
+  // values can still be read if this is later set to `false`
+  enabled: false
+};
+
+// compression of entry values at rest
+cfg.compression = {
+  // `gzip`, `brotli`, or `null` to store values uncompressed; values are
+  // compressed before they are encrypted (if `encryption` is enabled) and any
+  // previously compressed values can still be read if this is later changed
+  algorithm: null,
+  // minimum size in bytes of a (BSON-encoded) value to compress
+  threshold: 16 * 1024
+};
+
+// storage of large entry values in a GridFS bucket (for the `mongodb` storage
+// only as database records are limited to 16 MiB)
+cfg.overflow = {
+  // maximum size in bytes of the stored (BSON-encoded and possibly compressed
+  // or encrypted) value of an entry to keep in its database record; larger
+  // values are stored in a GridFS bucket instead; set to `null` to disable
+  threshold: 8 * 1024 * 1024,
+  // time in milliseconds after which a file in the GridFS bucket that is not
+  // referenced by any entry (e.g., because its entry expired or was replaced)
+  // may be removed by the sweeper (see `sweeper.interval`)
+  orphanAge: 60 * 60 * 1000
+};
+
 // in-memory caches
 cfg.caches = {
   entry: {
     // 1000 means 1000 of the most popular cached entries can stay in memory
     maxSize: 1000,
-    // default to 24 hours; actual age will be based on entry expiry
+    // maximum total size in bytes of the (BSON-encoded) values of entries in
+    // memory; if set, this limits entries instead of `maxSize`
+    maxBytes: null,
+    // maximum size in bytes of the (BSON-encoded) value of an entry in memory;
+    // any entry with a larger value is always read from storage
+    maxValueBytes: null,
+    // default to 24 hours; each entry is also kept in memory no longer than
+    // until it expires
     maxAge: 24 * 60 * 60 * 1000
+  },
+  // results of lookups for entries that were not found; set `maxSize` to `0`
+  // to disable
+  notFound: {
+    maxSize: 1000,
+    // keep short as entries written by other app instances will be hidden
+    // until this expires (unless `changeStreams` are enabled)
+    maxAge: 5 * 1000
+  }
+};
+
+// eviction of in-memory entries across app instances via mongodb change
+// streams
+cfg.changeStreams = {
+  // set to `true` to evict an entry from the in-memory caches of all app
+  // instances when any instance updates, replaces, or deletes it; this
+  // requires a replica set and MongoDB 6.0+ is recommended (otherwise all
+  // in-memory entries are cleared whenever any entry is deleted)
+  enabled: false,
+  // maximum time in milliseconds to keep entries in memory if change streams
+  // are not supported by the database (e.g., a standalone mongod)
+  fallbackMaxAge: 5 * 1000,
+  // time in milliseconds to wait before watching again after an error
+  retryInterval: 1000
+};
+
+// cache stats (see `getStats()`)
+cfg.stats = {
+  // interval in milliseconds at which each cache's stats are emitted via the
+  // `bedrock-tokenized-cache.stats` event; set to `0` to disable
+  emitInterval: 60 * 1000
+};
+
+// HTTP API routes; these are only added if `@bedrock/tokenized-cache/http`
+// is imported
+cfg.http = {
+  routes: {
+    basePath: '/tokenized-cache',
+    // `:entryId` is the (URL-encoded) raw ID of the entry
+    entry: '/caches/:cacheName/entries/:entryId',
+    contentIds: '/content-ids'
   }
 };
+
+// config for named caches created via `createCache()`, keyed by cache name;
+// any options set here override the options above and those passed to
+// `createCache()`, e.g.:
+// cfg.namespaces['my-cache'] = {defaults: {ttl: 60 * 60 * 1000}}
+cfg.namespaces = {};
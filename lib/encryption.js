@@ -0,0 +1,285 @@
+/*!
+ * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+import * as brHttpsAgent from '@bedrock/https-agent';
+import * as database from '@bedrock/mongodb';
+import {
+  CapabilityAgent, KeystoreAgent, KmsClient
+} from '@digitalbazaar/webkms-client';
+import {compressData, decompressData} from './compression.js';
+import {BSON} from 'bson';
+import crypto from 'node:crypto';
+import {getAppIdentity} from '@bedrock/app-identity';
+import {LruCache} from '@digitalbazaar/lru-memoize';
+import {serializeBson} from './helpers.js';
+
+const {util: {BedrockError}} = bedrock;
+
+const COLLECTION_NAME = 'tokenized-cache-kek';
+// AES-256-GCM is used to encrypt values with a random key per entry
+const CIPHER = 'aes-256-gcm';
+const ALGORITHM = 'A256GCM';
+
+// cached current key encryption key (KEK)
+let CURRENT_KEK = null;
+// KEKs by ID
+const KEK_CACHE = new LruCache({max: 100});
+
+bedrock.events.on('bedrock-mongodb.ready', async () => {
+  await database.openCollections([COLLECTION_NAME]);
+
+  await database.createIndexes([{
+    collection: COLLECTION_NAME,
+    fields: {'kek.id': 1},
+    options: {unique: true}
+  }, {
+    // there can be only one current KEK
+    collection: COLLECTION_NAME,
+    fields: {'kek.current': 1},
+    options: {
+      partialFilterExpression: {'kek.current': {$exists: true}},
+      unique: true
+    }
+  }]);
+});
+
+/**
+ * Encrypts a value using envelope encryption: the value is encrypted using a
+ * new random key that is then wrapped using the current key encryption key
+ * (KEK). The KEK resides in the WebKMS system that is configured for
+ * `@bedrock/tokenizer`.
+ *
+ * @param {object} options - Options to use.
+ * @param {*} options.value - The value to encrypt.
+ * @param {object} [options.compression] - If given, the value is compressed
+ *   before it is encrypted using these `compressData()` options
+ *   (`algorithm` and `threshold`).
+ *
+ * @returns {Promise<object>} Resolves to the encrypted value.
+ */
+export async function encryptValue({value, compression} = {}) {
+  const kek = await getCurrentKek();
+
+  // serialize value in the same way it would be stored in the database
+  let plaintext = serializeBson({value});
+  // ciphertext is incompressible, so compress before encrypting
+  const compressed = await compressData({data: plaintext, ...compression});
+  if(compressed) {
+    plaintext = compressed;
+  }
+
+  const key = crypto.randomBytes(32);
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(CIPHER, key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  const tag = cipher.getAuthTag();
+
+  const wrappedKey = Buffer.from(await kek.wrapKey({unwrappedKey: key}));
+  const encrypted = {
+    algorithm: ALGORITHM,
+    kekId: kek.id,
+    wrappedKey,
+    iv,
+    tag,
+    ciphertext
+  };
+  if(compressed) {
+    encrypted.compression = compression.algorithm;
+  }
+  return encrypted;
+}
+
+/**
+ * Decrypts a value that was encrypted via `encryptValue()`.
+ *
+ * @param {object} options - Options to use.
+ * @param {object} options.encrypted - The encrypted value.
+ *
+ * @returns {Promise<*>} Resolves to the decrypted value.
+ */
+export async function decryptValue({encrypted} = {}) {
+  const {
+    algorithm, kekId, wrappedKey, iv, tag, ciphertext, compression
+  } = encrypted;
+  if(algorithm !== ALGORITHM) {
+    throw new BedrockError(
+      `Unsupported encryption algorithm "${algorithm}".`,
+      'NotSupportedError', {httpStatusCode: 500, public: false});
+  }
+
+  const kek = await getKek({id: kekId});
+  const key = await kek.unwrapKey({wrappedKey});
+  if(!key) {
+    throw new BedrockError(
+      'Could not unwrap entry encryption key.',
+      'OperationError', {httpStatusCode: 500, public: false});
+  }
+
+  const decipher = crypto.createDecipheriv(CIPHER, key, iv);
+  decipher.setAuthTag(tag);
+  let plaintext = Buffer.concat(
+    [decipher.update(ciphertext), decipher.final()]);
+  if(compression !== undefined) {
+    plaintext = await decompressData({data: plaintext, algorithm: compression});
+  }
+  const {value} = BSON.deserialize(plaintext, {promoteBuffers: true});
+  return value;
+}
+
+/**
+ * Marks the current key encryption key (KEK) as deprecated such that a new
+ * KEK will be created and used to encrypt values that are subsequently
+ * written. Values that were encrypted using the deprecated KEK can still be
+ * decrypted as the ID of the KEK that was used is stored with each value.
+ *
+ * @returns {Promise<boolean>} Resolves to `true` if a KEK was deprecated.
+ */
+export async function deprecateCurrentKek() {
+  const collection = database.collections[COLLECTION_NAME];
+  const query = {'kek.current': true};
+  const $set = {
+    'meta.updated': Date.now(),
+    'kek.state': 'deprecated'
+  };
+  const $unset = {'kek.current': ''};
+  try {
+    const result = await collection.updateOne(query, {$set, $unset});
+    return result.modifiedCount !== 0;
+  } finally {
+    CURRENT_KEK = null;
+  }
+}
+
+/**
+ * Gets the current key encryption key (KEK), creating it if necessary.
+ *
+ * @returns {Promise<object>} Resolves to the current KEK.
+ */
+export async function getCurrentKek() {
+  if(CURRENT_KEK) {
+    return CURRENT_KEK;
+  }
+
+  const collection = database.collections[COLLECTION_NAME];
+  const projection = {_id: 0};
+  let record;
+  while(!record) {
+    record = await collection.findOne({'kek.current': true}, {projection});
+    if(!record) {
+      record = await _createKek();
+    }
+  }
+
+  const kek = await _kekFromRecord({record});
+  if(!CURRENT_KEK) {
+    CURRENT_KEK = kek;
+  }
+  return kek;
+}
+
+/**
+ * Gets a key encryption key (KEK) by ID.
+ *
+ * @param {object} options - Options to use.
+ * @param {string} options.id - The ID of the KEK.
+ *
+ * @returns {Promise<object>} Resolves to the KEK.
+ */
+export async function getKek({id} = {}) {
+  return KEK_CACHE.memoize({
+    key: id,
+    fn: async () => {
+      const collection = database.collections[COLLECTION_NAME];
+      const projection = {_id: 0};
+      const record = await collection.findOne({'kek.id': id}, {projection});
+      if(!record) {
+        throw new BedrockError(
+          'Key encryption key not found.',
+          'NotFoundError', {httpStatusCode: 404, public: false, kekId: id});
+      }
+      return _kekFromRecord({record});
+    }
+  });
+}
+
+async function _createKek() {
+  // 1. Generate a random secret and capability agent to control the KEK.
+  const secret = crypto.randomBytes(32);
+  const handle = 'primary';
+  const capabilityAgent = await CapabilityAgent.fromSecret({handle, secret});
+
+  // 2. Create a keystore and KEK using the tokenizer's KMS config.
+  const keystore = await _createKeystore({controller: capabilityAgent.id});
+  const keystoreAgent = _getKeystoreAgent(
+    {capabilityAgent, keystoreId: keystore.id});
+  const kek = await keystoreAgent.generateKey({type: 'kek'});
+
+  // 3. Store the KEK as the current KEK.
+  const now = Date.now();
+  const record = {
+    meta: {created: now, updated: now},
+    kek: {
+      id: kek.id,
+      type: kek.type,
+      keystore: keystore.id,
+      secret: secret.toString('base64url'),
+      state: 'current',
+      current: true
+    }
+  };
+  const collection = database.collections[COLLECTION_NAME];
+  try {
+    await collection.insertOne({...record});
+  } catch(e) {
+    if(!database.isDuplicateError(e)) {
+      throw e;
+    }
+    // another process created the current KEK concurrently; its KEK will
+    // be used instead
+    return null;
+  }
+  return record;
+}
+
+async function _createKeystore({controller} = {}) {
+  const {kms} = bedrock.config.tokenizer;
+  const {keys: {capabilityInvocationKey}} = getAppIdentity();
+  const invocationSigner = capabilityInvocationKey.signer();
+  const config = {
+    sequence: 0,
+    controller,
+    kmsModule: kms.defaultKmsModule,
+    meterId: kms.meterId,
+    ipAllowList: kms.ipAllowList
+  };
+  const {httpsAgent} = brHttpsAgent;
+  try {
+    return await KmsClient.createKeystore({
+      url: `${kms.baseUrl}/keystores`,
+      config,
+      invocationSigner,
+      httpsAgent
+    });
+  } catch(cause) {
+    throw new BedrockError(
+      'Error creating keystore for key encryption key.',
+      'OperationError', {httpStatusCode: 500, public: true}, cause);
+  }
+}
+
+function _getKeystoreAgent({capabilityAgent, keystoreId} = {}) {
+  const {httpsAgent} = brHttpsAgent;
+  const kmsClient = new KmsClient({keystoreId, httpsAgent});
+  return new KeystoreAgent({keystoreId, capabilityAgent, kmsClient});
+}
+
+async function _kekFromRecord({record}) {
+  const {kek} = record;
+  const handle = 'primary';
+  const secret = Buffer.from(kek.secret, 'base64url');
+  const capabilityAgent = await CapabilityAgent.fromSecret({handle, secret});
+  const keystoreAgent = _getKeystoreAgent(
+    {capabilityAgent, keystoreId: kek.keystore});
+  return keystoreAgent.getKek({id: kek.id, type: kek.type});
+}
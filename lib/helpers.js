@@ -0,0 +1,215 @@
+/*!
+ * Copyright (c) 2020-2025 Digital Bazaar, Inc. All rights reserved.
+ */
+import assert from 'assert-plus';
+import {BSON} from 'bson';
+import crypto from 'node:crypto';
+import {tokenizers} from '@bedrock/tokenizer';
+
+const TEXT_ENCODER = new TextEncoder();
+
+// tokenizers to use instead of those provided by `@bedrock/tokenizer`; only
+// set for testing purposes (see `@bedrock/tokenized-cache/test`)
+let TOKENIZERS = null;
+
+/**
+ * Gets the current tokenizer.
+ *
+ * @returns {Promise<object>} Resolves to the current tokenizer.
+ */
+export async function getCurrentTokenizer() {
+  return (TOKENIZERS ?? tokenizers).getCurrent();
+}
+
+/**
+ * Gets a tokenizer by ID.
+ *
+ * @param {object} options - Options to use.
+ * @param {string} options.id - The ID of the tokenizer.
+ *
+ * @returns {Promise<object>} Resolves to the tokenizer; rejects with a
+ *   `NotFoundError` if it does not exist.
+ */
+export async function getTokenizer({id} = {}) {
+  return (TOKENIZERS ?? tokenizers).get({id});
+}
+
+/**
+ * Sets the tokenizers to use instead of those provided by
+ * `@bedrock/tokenizer`.
+ *
+ * @param {object} options - Options to use.
+ * @param {object} [options.tokenizers] - An object with the same `getCurrent()`
+ *   and `get({id})` functions as `tokenizers` from `@bedrock/tokenizer`; if
+ *   not given, the tokenizers from `@bedrock/tokenizer` are used.
+ */
+export function setTokenizers({tokenizers: override} = {}) {
+  assert.optionalObject(override, 'tokenizers');
+  TOKENIZERS = override ?? null;
+}
+
+/**
+ * Tokenizes the given ID.
+ *
+ * @param {object} options - Options to use.
+ * @param {string} options.id - The ID to tokenize.
+ * @param {object} [options.tokenizer] - Optional tokenizer to use.
+ *
+ * @returns {Promise<object>} The tokenized ID as `tokenizedId`.
+ */
+export async function tokenizeId({id, tokenizer} = {}) {
+  assert.string(id, 'id');
+  assert.optionalObject(tokenizer, 'tokenizer');
+
+  // 1. Get the current tokenizer and its HMAC API.
+  if(!tokenizer) {
+    tokenizer = await getCurrentTokenizer();
+  }
+  const {hmac} = tokenizer;
+
+  // 2. HMAC the `id` to help mitigate against the threat of a stolen database.
+  // Once HMAC'd, dictionary attacks may be more difficult -- particularly if
+  // the HMAC material is in an HSM.
+  const tokenizedId = await hmacString({hmac, value: id});
+  return {tokenizedId, tokenizer};
+}
+
+/**
+ * Tokenizes the given tag in the same way as an ID, but such that a tag never
+ * tokenizes to the same value as an equal ID.
+ *
+ * @param {object} options - Options to use.
+ * @param {string} options.tag - The tag to tokenize.
+ * @param {object} [options.tokenizer] - Optional tokenizer to use.
+ *
+ * @returns {Promise<object>} The tokenized tag as `tokenizedTag`.
+ */
+export async function tokenizeTag({tag, tokenizer} = {}) {
+  assert.string(tag, 'tag');
+  assert.optionalObject(tokenizer, 'tokenizer');
+
+  if(!tokenizer) {
+    tokenizer = await getCurrentTokenizer();
+  }
+  const {hmac} = tokenizer;
+  const tokenizedTag = await hmacString({hmac, value: `tag:${tag}`});
+  return {tokenizedTag, tokenizer};
+}
+
+export async function hmacString({hmac, value}) {
+  const data = TEXT_ENCODER.encode(value);
+  const signature = await hmac.sign({data});
+  // multibase encode hash for future proofing
+  // 18 = 0x12 means sha2-256
+  // 32 is the digest length in bytes
+  return Buffer.concat([Buffer.from([18, 32]), signature]);
+}
+
+/**
+ * Merges the given config objects into `target`; nested plain objects are
+ * merged recursively, all other values are replaced.
+ *
+ * @param {object} target - The target object.
+ * @param {...object} sources - The source objects to merge (ignoring any that
+ *   are `undefined`).
+ *
+ * @returns {object} The target object.
+ */
+export function mergeConfig(target, ...sources) {
+  for(const source of sources) {
+    for(const [key, value] of Object.entries(source ?? {})) {
+      if(_isPlainObject(value)) {
+        target[key] = mergeConfig(
+          _isPlainObject(target[key]) ? target[key] : {}, value);
+      } else {
+        target[key] = value;
+      }
+    }
+  }
+  return target;
+}
+
+/**
+ * Serializes a document as BSON. Unlike `BSON.serialize()`, documents of any
+ * size can be serialized (e.g., values that are too large to store in a
+ * single database record).
+ *
+ * @param {object} document - The document to serialize.
+ *
+ * @returns {Buffer} The serialized document.
+ */
+export function serializeBson(document) {
+  const buffer = Buffer.alloc(BSON.calculateObjectSize(document));
+  BSON.serializeWithBufferAndIndex(document, buffer);
+  return buffer;
+}
+
+export async function resolveTokenizedId({id, tokenizedId, tokenizer} = {}) {
+  if(id !== undefined && tokenizedId !== undefined) {
+    throw new Error('Only one of "id" and "tokenizedId" must be given.');
+  }
+
+  if(tokenizedId === undefined) {
+    if(id === undefined) {
+      throw new Error('Either "id" or "tokenizedId" are required.');
+    }
+    // tokenize ID
+    ({tokenizedId, tokenizer} = await tokenizeId({id, tokenizer}));
+  }
+
+  return {tokenizedId, tokenizer};
+}
+
+export async function resolveTokenizedIds({
+  ids = [], tokenizedIds = [], tokenizer
+} = {}) {
+  const count = Math.max(ids.length, tokenizedIds.length);
+  if(count > 0 && !tokenizer && ids.some(id => id !== undefined)) {
+    // share the current tokenizer across all IDs
+    tokenizer = await getCurrentTokenizer();
+  }
+
+  return Promise.all([...new Array(count).keys()].map(async i => {
+    const id = ids[i];
+    const result = id === undefined ? {} : {id};
+    try {
+      ({tokenizedId: result.tokenizedId} = await resolveTokenizedId(
+        {id, tokenizedId: tokenizedIds[i], tokenizer}));
+    } catch(error) {
+      result.status = 'error';
+      result.error = error;
+    }
+    return result;
+  }));
+}
+
+/**
+ * Hashes a string.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.algorithm - The node.js name of the hash algorithm,
+ *   e.g., `sha256` or `sha3-256`.
+ * @param {string} options.string - The string to hash.
+ *
+ * @returns {Uint8Array} The hash digest.
+ */
+export async function hashString({algorithm, string}) {
+  return new Uint8Array(crypto.createHash(algorithm).update(string).digest());
+}
+
+/**
+ * SHA-256 hashes a string.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.string - The string to hash.
+ *
+ * @returns {Uint8Array} The hash digest.
+ */
+export async function sha256({string}) {
+  return hashString({algorithm: 'sha256', string});
+}
+
+function _isPlainObject(value) {
+  return value !== null && typeof value === 'object' &&
+    Object.getPrototypeOf(value) === Object.prototype;
+}
@@ -0,0 +1,113 @@
+/*!
+ * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+import {createContentId, getCache} from './cache.js';
+import {
+  postContentIdBody, putEntryBody
+} from '../schemas/bedrock-tokenized-cache.js';
+import assert from 'assert-plus';
+import {asyncHandler} from '@bedrock/express';
+import {createValidateMiddleware as validate} from '@bedrock/validation';
+
+const {util: {BedrockError}} = bedrock;
+
+// deny all requests until an authorizer is set
+let _authorize = async () => false;
+
+bedrock.events.on('bedrock-express.configure.routes', app => {
+  const {routes} = bedrock.config['tokenized-cache'].http;
+  const entryPath = routes.basePath + routes.entry;
+  const contentIdsPath = routes.basePath + routes.contentIds;
+
+  // get an entry
+  app.get(
+    entryPath,
+    asyncHandler(async (req, res) => {
+      const {cache, id} = await _getEntryTarget({req, action: 'read'});
+      const record = await cache.get({id});
+      res.json(_toEntry({id, record}));
+    }));
+
+  // add or update an entry
+  app.put(
+    entryPath,
+    validate({bodySchema: putEntryBody}),
+    asyncHandler(async (req, res) => {
+      const {cache, id} = await _getEntryTarget({req, action: 'write'});
+      // without `ttl`, `upsert()` uses `defaults.ttl` and `update()` preserves
+      // the entry's current expiration
+      const {value, ttl, expectedSequence} = req.body;
+      const record = expectedSequence === undefined ?
+        await cache.upsert({id, value, ttl}) :
+        await cache.update({id, value, ttl, expectedSequence});
+      // a newly created entry always has a `sequence` of `0`
+      res.status(record.entry.sequence === 0 ? 201 : 200);
+      res.json(_toEntry({id, record}));
+    }));
+
+  // remove an entry
+  app.delete(
+    entryPath,
+    asyncHandler(async (req, res) => {
+      const {cache, id} = await _getEntryTarget({req, action: 'remove'});
+      const removed = await cache.remove({id});
+      if(!removed) {
+        throw new BedrockError(
+          'Entry not found.',
+          'NotFoundError', {httpStatusCode: 404, public: true});
+      }
+      res.status(204).end();
+    }));
+
+  // create a content ID
+  app.post(
+    contentIdsPath,
+    validate({bodySchema: postContentIdBody}),
+    asyncHandler(async (req, res) => {
+      await _authorizeRequest({req, action: 'createContentId'});
+      const {content, algorithm, tokenize} = req.body;
+      res.json(await createContentId({content, algorithm, tokenize}));
+    }));
+});
+
+/**
+ * Sets the function used to authorize requests to the HTTP API. Until an
+ * authorizer is set, all requests are denied.
+ *
+ * The authorizer is called with `{req, action, cacheName, id}`, where
+ * `action` is one of `read`, `write`, `remove`, or `createContentId` and
+ * `cacheName` and `id` identify the target entry (these are not given for
+ * `createContentId`). It must return (or resolve to) `true` to allow the
+ * request; any other value results in a `NotAllowedError` (403). If it
+ * throws, the error is returned to the client.
+ *
+ * @param {object} options - Options to use.
+ * @param {Function} options.authorize - The authorizer.
+ */
+export function setAuthorizer({authorize} = {}) {
+  assert.func(authorize, 'authorize');
+  _authorize = authorize;
+}
+
+async function _authorizeRequest({req, action, cacheName, id} = {}) {
+  const allowed = await _authorize({req, action, cacheName, id});
+  if(allowed !== true) {
+    throw new BedrockError(
+      'Permission denied.',
+      'NotAllowedError', {httpStatusCode: 403, public: true});
+  }
+}
+
+async function _getEntryTarget({req, action} = {}) {
+  const {cacheName, entryId: id} = req.params;
+  // authorize before looking up the cache to avoid revealing which caches
+  // exist to unauthorized clients
+  await _authorizeRequest({req, action, cacheName, id});
+  return {cache: getCache({name: cacheName}), id};
+}
+
+function _toEntry({id, record} = {}) {
+  const {value, expires, sequence} = record.entry;
+  return {id, value, expires, sequence};
+}
@@ -0,0 +1,214 @@
+/*!
+ * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+import assert from 'assert-plus';
+import crypto from 'node:crypto';
+import {getCache} from './cache.js';
+import {setClock} from './clock.js';
+import {setTokenizers} from './helpers.js';
+
+const {util: {BedrockError}} = bedrock;
+
+/**
+ * A clock that only moves when told to, such that entries can be expired in
+ * tests without waiting; see `useClock()`.
+ */
+export class TestClock {
+  /**
+   * Creates a new TestClock.
+   *
+   * @param {object} options - Options to use.
+   * @param {number|Date} [options.now=Date.now()] - The initial time.
+   */
+  constructor({now = Date.now()} = {}) {
+    this.time = _toTime({time: now});
+  }
+
+  /**
+   * Gets the current time.
+   *
+   * @returns {number} The number of milliseconds since the Unix epoch.
+   */
+  now() {
+    return this.time;
+  }
+
+  /**
+   * Moves the clock forward.
+   *
+   * @param {number} ms - The number of milliseconds to move the clock by.
+   *
+   * @returns {number} The new current time.
+   */
+  advance(ms) {
+    assert.number(ms, 'ms');
+    this.time += ms;
+    return this.time;
+  }
+
+  /**
+   * Sets the current time.
+   *
+   * @param {number|Date} time - The new current time.
+   *
+   * @returns {number} The new current time.
+   */
+  set(time) {
+    this.time = _toTime({time});
+    return this.time;
+  }
+}
+
+/**
+ * Creates a tokenizer that HMACs data in the current process using a key
+ * that is derived from `secret`; the same `secret` always produces the same
+ * tokenized IDs. The tokenizer has the same API as the tokenizers provided by
+ * `@bedrock/tokenizer` but does not use a KMS; it must only be used in tests.
+ *
+ * @param {object} options - Options to use.
+ * @param {string} [options.id='urn:tokenizer:test'] - The ID of the
+ *   tokenizer.
+ * @param {string} [options.secret=id] - The secret to derive the HMAC key
+ *   from.
+ *
+ * @returns {object} The tokenizer.
+ */
+export function createTokenizer({
+  id = 'urn:tokenizer:test', secret = id
+} = {}) {
+  assert.string(id, 'id');
+  assert.string(secret, 'secret');
+
+  const key = crypto.createHash('sha256').update(secret).digest();
+  const hmac = {
+    id: `${id}#hmac`,
+    type: 'Sha256HmacKey2019',
+    algorithm: 'HS256',
+    // like `@bedrock/tokenizer`, apply a local SHA-256 hash to `data` first
+    async sign({data} = {}) {
+      const hash = crypto.createHash('sha256').update(data).digest();
+      return new Uint8Array(
+        crypto.createHmac('sha256', key).update(hash).digest());
+    },
+    async verify({data, signature} = {}) {
+      const expected = await this.sign({data});
+      return expected.length === signature.length &&
+        crypto.timingSafeEqual(expected, signature);
+    }
+  };
+  return {id, hmac};
+}
+
+/**
+ * Uses the given tokenizers instead of those provided by
+ * `@bedrock/tokenizer` for all caches until `restoreTokenizers()` is called.
+ *
+ * @param {object} options - Options to use.
+ * @param {object} [options.current=createTokenizer()] - The tokenizer to use
+ *   as the current tokenizer.
+ * @param {Array<object>} [options.previous=[]] - Any other tokenizers that
+ *   can be retrieved by ID, e.g., previous tokenizers configured via
+ *   `tokenizerRotation.previousTokenizerIds`.
+ *
+ * @returns {object} The current tokenizer.
+ */
+export function useTokenizers({
+  current = createTokenizer(), previous = []
+} = {}) {
+  assert.object(current, 'current');
+  assert.arrayOfObject(previous, 'previous');
+
+  const byId = new Map([current, ...previous].map(t => [t.id, t]));
+  setTokenizers({
+    tokenizers: {
+      async getCurrent() {
+        return current;
+      },
+      async get({id} = {}) {
+        const tokenizer = byId.get(id);
+        if(!tokenizer) {
+          throw new BedrockError(
+            'Tokenizer not found.',
+            'NotFoundError', {httpStatusCode: 404, public: true});
+        }
+        return tokenizer;
+      }
+    }
+  });
+  return current;
+}
+
+/**
+ * Restores the use of the tokenizers provided by `@bedrock/tokenizer`.
+ */
+export function restoreTokenizers() {
+  setTokenizers();
+}
+
+/**
+ * Uses the given clock to get the current time for all caches until
+ * `restoreClock()` is called. The clock is used when entries are written,
+ * read, and expired, including when entries are expired from the in-memory
+ * cache and from `memory` storage. Note that a TTL index (used by `mongodb`
+ * storage unless `autoRemoveExpiredRecords` is `false`) always uses the
+ * database's clock, but entries that have expired according to the clock in
+ * use are never returned.
+ *
+ * @param {object} options - Options to use.
+ * @param {object} [options.clock=new TestClock()] - The clock to use, with a
+ *   `now()` function that returns the number of milliseconds since the Unix
+ *   epoch.
+ *
+ * @returns {object} The clock.
+ */
+export function useClock({clock = new TestClock()} = {}) {
+  setClock({clock});
+  return clock;
+}
+
+/**
+ * Restores the use of the system clock.
+ */
+export function restoreClock() {
+  setClock();
+}
+
+/**
+ * Clears all in-memory entries and cached not found results of a cache.
+ *
+ * @param {object} options - Options to use.
+ * @param {string} [options.name='default'] - The name of the cache.
+ */
+export function clearMemoryCache({name = 'default'} = {}) {
+  getCache({name})._invalidateAll();
+}
+
+/**
+ * Removes all entries of a cache from its storage (e.g., its database
+ * collection) and clears its in-memory entries.
+ *
+ * @param {object} options - Options to use.
+ * @param {string} [options.name='default'] - The name of the cache.
+ *
+ * @returns {Promise<number>} Resolves to the number of entries removed.
+ */
+export async function clearStorage({name = 'default'} = {}) {
+  const cache = getCache({name});
+  if(typeof cache.storage?.clear !== 'function') {
+    throw new Error(`The storage of cache "${name}" cannot be cleared.`);
+  }
+  try {
+    return await cache.storage.clear();
+  } finally {
+    cache._invalidateAll();
+  }
+}
+
+function _toTime({time} = {}) {
+  if(time instanceof Date) {
+    time = time.getTime();
+  }
+  assert.number(time, 'time');
+  return time;
+}
@@ -0,0 +1,37 @@
+/*!
+ * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
+ */
+export const putEntryBody = {
+  title: 'Put Cache Entry',
+  type: 'object',
+  additionalProperties: false,
+  required: ['value'],
+  properties: {
+    // any JSON value may be cached
+    value: {},
+    ttl: {
+      type: 'integer',
+      minimum: 0
+    },
+    expectedSequence: {
+      type: 'integer',
+      minimum: 0
+    }
+  }
+};
+
+export const postContentIdBody = {
+  title: 'Create Content ID',
+  type: 'object',
+  additionalProperties: false,
+  required: ['content'],
+  properties: {
+    content: {},
+    algorithm: {
+      enum: ['sha2-256', 'sha2-512', 'sha3-256', 'sha3-512']
+    },
+    tokenize: {
+      type: 'boolean'
+    }
+  }
+};
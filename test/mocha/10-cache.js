@@ -1,13 +1,25 @@
 /*!
  * Copyright (c) 2020-2024 Digital Bazaar, Inc. All rights reserved.
  */
-import {cleanDB, insertRecord} from './helpers.js';
+import {
+  cleanDB, findRecord, insertRecord, limitedCache, memoryCache, namedCache,
+  sizedCache, sweptCache, watchedCache
+} from './helpers.js';
+import {config, events} from '@bedrock/core';
+import {
+  createTokenizer, restoreClock, restoreTokenizers, useClock, useTokenizers
+} from '@bedrock/tokenized-cache/test';
 import {mockEntryRecord1, mockEntryRecord2} from './mock.data.js';
 import {cache} from '@bedrock/tokenized-cache';
 import crypto from 'node:crypto';
+import {Readable} from 'node:stream';
 import {tokenizers} from '@bedrock/tokenizer';
 
 describe('Cache', function() {
+  afterEach(() => {
+    restoreClock();
+  });
+
   describe('cache.createContentId()', () => {
     it('should create same content ID for equivalent objects', async () => {
       const object1 = {
@@ -27,6 +39,71 @@ describe('Cache', function() {
       id1.should.equal(id2);
       id1.should.not.equal(id3);
     });
+
+    it('should use the multihash code of the given algorithm', async () => {
+      const content = {a: 'a'};
+      const expected = [
+        ['sha2-256', 0x12, 32],
+        ['sha2-512', 0x13, 64],
+        ['sha3-256', 0x16, 32],
+        ['sha3-512', 0x14, 64]
+      ];
+      for(const [algorithm, code, length] of expected) {
+        const {id} = await cache.createContentId({content, algorithm});
+        const mh = Buffer.from(id, 'base64url');
+        mh[0].should.equal(code);
+        mh[1].should.equal(length);
+        mh.length.should.equal(length + 2);
+        const verified = await cache.verifyContentId({id, content});
+        verified.should.equal(true);
+      }
+    });
+
+    it('should error for an unsupported algorithm', async () => {
+      let err;
+      try {
+        await cache.createContentId({content: {}, algorithm: 'md5'});
+      } catch(e) {
+        err = e;
+      }
+      err.name.should.equal('NotSupportedError');
+    });
+
+    it('should create a tokenized content ID', async () => {
+      const content = {a: 'a'};
+      const {id: plainId} = await cache.createContentId({content});
+      const {id, tokenizerId} = await cache.createContentId(
+        {content, tokenize: true});
+      const tokenizer = await tokenizers.getCurrent();
+      tokenizerId.should.equal(tokenizer.id);
+      id.should.not.equal(plainId);
+      Buffer.from(id, 'base64url')[0].should.equal(0x12);
+
+      (await cache.verifyContentId({id, content, tokenize: true}))
+        .should.equal(true);
+      // a tokenized content ID cannot be verified as a plain hash
+      (await cache.verifyContentId({id, content})).should.equal(false);
+    });
+
+    it('should never create a tokenized content ID equal to a tokenized ID',
+      async () => {
+        for(const content of [123, true, 'abc']) {
+          const {id} = await cache.createContentId({content, tokenize: true});
+          for(const string of [String(content), JSON.stringify(content)]) {
+            const {tokenizedId} = await cache.tokenizeId({id: string});
+            id.should.not.equal(tokenizedId.toString('base64url'));
+          }
+        }
+      });
+
+    it('should not verify a content ID for other content', async () => {
+      const {id} = await cache.createContentId(
+        {content: {a: 'a'}, algorithm: 'sha3-256'});
+      (await cache.verifyContentId({id, content: {a: 'b'}}))
+        .should.equal(false);
+      (await cache.verifyContentId({id: 'invalid', content: {a: 'a'}}))
+        .should.equal(false);
+    });
   });
 
   describe('cache.upsert()', () => {
@@ -105,6 +182,106 @@ describe('Cache', function() {
     });
   });
 
+  describe('expiration policy', () => {
+    it('should use the default "ttl"', async () => {
+      const before = Date.now();
+      const record = await cache.upsert({id: crypto.randomUUID(), value: {}});
+      const {ttl} = config['tokenized-cache'].defaults;
+      record.entry.expires.getTime().should.be.within(
+        before + ttl, Date.now() + ttl);
+    });
+
+    it('should accept an absolute "expires"', async () => {
+      const id = crypto.randomUUID();
+      const expires = new Date(Date.now() + 30000);
+      const record1 = await cache.upsert({id, value: {}, expires});
+      record1.entry.expires.should.eql(expires);
+      cache._ENTRY_CACHE.cache.reset();
+      const record2 = await cache.get({id});
+      record2.entry.expires.should.eql(expires);
+    });
+
+    it('should store entries that never expire', async () => {
+      const id = crypto.randomUUID();
+      const record1 = await namedCache.upsert({id, value: 1, expires: null});
+      should.not.exist(record1.entry.expires);
+      // such entries are not subject to the TTL index
+      const stored = await findRecord({
+        query: {'entry.tokenizedId': record1.entry.tokenizedId},
+        collectionName: namedCache.collectionName
+      });
+      stored.entry.should.not.have.property('expires');
+
+      namedCache.entryCache.cache.reset();
+      const record2 = await namedCache.get({id});
+      record2.entry.value.should.equal(1);
+      (await namedCache.touch({id, ttl: 30000})).should.equal(true);
+      const record3 = await namedCache.get({id, slidingTtl: 30000});
+      should.not.exist(record3.entry.expires);
+      const record4 = await namedCache.update(
+        {id, value: 2, expectedSequence: record3.entry.sequence});
+      should.not.exist(record4.entry.expires);
+    });
+
+    it('should reject both "ttl" and "expires"', async () => {
+      let err;
+      try {
+        await cache.upsert({
+          id: crypto.randomUUID(), value: {}, ttl: 1000,
+          expires: new Date(Date.now() + 1000)
+        });
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('DataError');
+    });
+
+    it('should reject invalid expirations', async () => {
+      for(const options of [
+        {ttl: NaN}, {ttl: -1}, {expires: new Date('invalid')},
+        {expires: new Date(Date.now() - 1000)}
+      ]) {
+        let err;
+        try {
+          await cache.upsert({id: crypto.randomUUID(), value: {}, ...options});
+        } catch(e) {
+          err = e;
+        }
+        should.exist(err);
+        err.name.should.equal('DataError');
+      }
+    });
+
+    it('should enforce "minTtl" and "maxTtl"', async () => {
+      for(const options of [
+        {ttl: 500}, {ttl: 120000}, {expires: null},
+        {expires: new Date(Date.now() + 120000)}
+      ]) {
+        let err;
+        try {
+          await limitedCache.upsert(
+            {id: crypto.randomUUID(), value: {}, ...options});
+        } catch(e) {
+          err = e;
+        }
+        should.exist(err);
+        err.name.should.equal('DataError');
+      }
+      const record = await limitedCache.upsert(
+        {id: crypto.randomUUID(), value: {}, ttl: 30000});
+      should.exist(record.entry.expires);
+
+      const results = await limitedCache.upsertMany({entries: [
+        {id: crypto.randomUUID(), value: 1, ttl: 30000},
+        {id: crypto.randomUUID(), value: 2, ttl: 120000}
+      ]});
+      results[0].status.should.equal('upserted');
+      results[1].status.should.equal('error');
+      results[1].error.name.should.equal('DataError');
+    });
+  });
+
   describe('cache.get()', () => {
     it('should error when no "id" is passed', async () => {
       let err;
@@ -151,115 +328,2597 @@ describe('Cache', function() {
     });
   });
 
-  describe('cache._hmacString()', () => {
-    let hmac;
-    before(async () => {
-      ({hmac} = await tokenizers.getCurrent());
-    });
+  describe('not found results', () => {
+    it('should cache a not found result', async () => {
+      cache._NOT_FOUND_CACHE.cache.reset();
+      const id = crypto.randomUUID();
+      let err;
+      try {
+        await cache.get({id});
+      } catch(e) {
+        err = e;
+      }
+      err.name.should.equal('NotFoundError');
+      cache._NOT_FOUND_CACHE.cache.itemCount.should.equal(1);
 
-    it('should produce a 34 byte Buffer give a small value', async () => {
-      let result;
-      let error;
-      const value = '670dbcb1-164a-4d47-8d54-e3e89f5831f9';
+      // insert entry directly as if written by another process
+      const {tokenizedId} = await cache.tokenizeId({id});
+      const now = Date.now();
+      await insertRecord({
+        record: {
+          meta: {created: now, updated: now},
+          entry: {
+            tokenizedId, value: {}, sequence: 0,
+            expires: new Date(now + 30000)
+          }
+        },
+        collectionName: 'tokenized-cache-entry'
+      });
+
+      // entry should not be found until the not found result is cleared
+      const before = cache.getStats();
+      err = null;
       try {
-        result = await cache._hmacString({hmac, value});
+        await cache.get({id});
       } catch(e) {
-        error = e;
+        err = e;
       }
-      assertNoError(error);
-      result.should.be.instanceOf(Buffer);
-      result.should.have.length(34);
+      err.name.should.equal('NotFoundError');
+      const results = await cache.getMany({ids: [id]});
+      results[0].status.should.equal('notFound');
+      const after = cache.getStats();
+      (after.counters.notFoundHits - before.counters.notFoundHits)
+        .should.equal(2);
+
+      cache._NOT_FOUND_CACHE.cache.reset();
+      const record = await cache.get({id});
+      record.entry.tokenizedId.should.eql(tokenizedId);
     });
 
-    it('should produce a 34 byte Buffer given a large value', async () => {
-      let result;
-      let error;
-      const value = crypto.randomBytes(4096).toString('hex');
+    it('should not hide a written entry', async () => {
+      const id = crypto.randomUUID();
+      let err;
       try {
-        result = await cache._hmacString({hmac, value});
+        await cache.get({id});
       } catch(e) {
-        error = e;
+        err = e;
       }
-      assertNoError(error);
-      result.should.be.instanceOf(Buffer);
-      result.should.have.length(34);
+      err.name.should.equal('NotFoundError');
+      await cache.upsert({id, value: {a: 1}, ttl: 30000});
+      const record1 = await cache.get({id});
+      record1.entry.value.should.eql({a: 1});
+
+      await cache.remove({id});
+      const results = await cache.getMany({ids: [id]});
+      results[0].status.should.equal('notFound');
+      const [result] = await cache.upsertMany({
+        entries: [{id, value: {a: 2}, ttl: 30000}]
+      });
+      result.status.should.equal('upserted');
+      const record2 = await cache.get({id});
+      record2.entry.value.should.eql({a: 2});
     });
 
-    it('should produce the same output given the same value', async () => {
-      let result1;
-      let error;
-      const value = '294c9caa-707a-4758-ae5c-fe7306c25cc2';
+    it('should not hide an entry created via "getOrCreate()"', async () => {
+      const id = crypto.randomUUID();
+      const results = await cache.getMany({ids: [id]});
+      results[0].status.should.equal('notFound');
+      await cache.getOrCreate({id, ttl: 30000, compute: () => ({a: 1})});
+      const record = await cache.get({id});
+      record.entry.value.should.eql({a: 1});
+    });
+  });
+
+  describe('cache.getOrCreate()', () => {
+    it('should create a missing cache entry', async () => {
+      const id = crypto.randomUUID();
+      let count = 0;
+      const compute = async () => {
+        count++;
+        return {computed: true};
+      };
+      const record1 = await cache.getOrCreate({id, ttl: 30000, compute});
+      record1.entry.value.should.eql({computed: true});
+      count.should.equal(1);
+      const record2 = await cache.get({id});
+      record1.should.eql(record2);
+    });
+
+    it('should get an existing cache entry', async () => {
+      const id = crypto.randomUUID();
+      const record1 = await cache.upsert({id, value: {a: 1}, ttl: 30000});
+      // clear in-memory cache to force database read
+      cache._ENTRY_CACHE.cache.reset();
+      let count = 0;
+      const compute = async () => {
+        count++;
+        return {computed: true};
+      };
+      const record2 = await cache.getOrCreate({id, ttl: 30000, compute});
+      record1.should.eql(record2);
+      count.should.equal(0);
+    });
+
+    it('should compute once for concurrent calls', async () => {
+      const id = crypto.randomUUID();
+      // hold the computation until every call is waiting for it
+      const entryCache = cache._ENTRY_CACHE;
+      const {memoize} = entryCache;
+      let calls = 0;
+      let release;
+      const gate = new Promise(r => release = r);
+      entryCache.memoize = function(options) {
+        if(++calls === 3) {
+          release();
+        }
+        return memoize.call(this, options);
+      };
+      let count = 0;
+      const compute = async () => {
+        count++;
+        await gate;
+        return {computed: true};
+      };
+      let records;
       try {
-        result1 = await cache._hmacString({hmac, value});
-      } catch(e) {
-        error = e;
+        records = await Promise.all([
+          cache.getOrCreate({id, ttl: 30000, compute}),
+          cache.getOrCreate({id, ttl: 30000, compute}),
+          cache.getOrCreate({id, ttl: 30000, compute})
+        ]);
+      } finally {
+        entryCache.memoize = memoize;
       }
-      assertNoError(error);
+      count.should.equal(1);
+      records[0].should.eql(records[1]);
+      records[0].should.eql(records[2]);
+    });
 
-      let result2;
-      error = undefined;
+    it('should wait for a value computed by another process', async () => {
+      // clear in-memory cache
+      cache._ENTRY_CACHE.cache.reset();
+
+      const id = crypto.randomUUID();
+      const {tokenizedId} = await cache.tokenizeId({id});
+      // insert a pending lease as if held by another process
+      const now = Date.now();
+      await insertRecord({
+        record: {
+          meta: {created: now, updated: now},
+          entry: {
+            tokenizedId,
+            expires: new Date(now + 30000),
+            pending: {
+              id: crypto.randomUUID(),
+              expires: new Date(now + 30000)
+            }
+          }
+        },
+        collectionName: 'tokenized-cache-entry'
+      });
+
+      // pending entry should not be found
+      let err;
       try {
-        result2 = await cache._hmacString({hmac, value});
+        await cache.get({id});
       } catch(e) {
-        error = e;
+        err = e;
       }
-      assertNoError(error);
+      err.name.should.equal('NotFoundError');
 
-      result1.should.eql(result2);
+      // "other process" writes the value once the pending entry is found
+      const {storage} = cache.getCache({name: 'default'});
+      const {findOne} = storage;
+      storage.findOne = async function(options) {
+        const record = await findOne.call(this, options);
+        if(record?.entry.pending) {
+          storage.findOne = findOne;
+          await cache.upsert({id, value: {other: true}, ttl: 30000});
+        }
+        return record;
+      };
+
+      let count = 0;
+      const compute = async () => {
+        count++;
+        return {computed: true};
+      };
+      let record;
+      try {
+        record = await cache.getOrCreate({id, ttl: 30000, compute});
+      } finally {
+        storage.findOne = findOne;
+      }
+      count.should.equal(0);
+      record.entry.value.should.eql({other: true});
+      should.not.exist(record.entry.pending);
     });
 
-    it('should produce different output given different values', async () => {
-      let result1;
-      let error;
+    it('should release the lease when "compute" fails', async () => {
+      const id = crypto.randomUUID();
+      let err;
       try {
-        result1 = await cache._hmacString({
-          hmac,
-          value: '294c9caa-707a-4758-ae5c-fe7306c25cc2'
+        await cache.getOrCreate({
+          id, ttl: 30000, compute: async () => {
+            throw new Error('compute failed');
+          }
         });
       } catch(e) {
-        error = e;
+        err = e;
       }
-      assertNoError(error);
+      err.message.should.equal('compute failed');
 
-      let result2;
-      error = undefined;
+      // should not have to wait for the failed lease to expire
+      const record = await cache.getOrCreate({
+        id, ttl: 30000, compute: async () => ({computed: true})
+      });
+      record.entry.value.should.eql({computed: true});
+    });
+
+    it('should release the lease when the write fails', async () => {
+      const id = crypto.randomUUID();
+      const {storage} = memoryCache;
+      const {upsert} = storage;
+      storage.upsert = async () => {
+        throw new Error('write failed');
+      };
+      let err;
       try {
-        result2 = await cache._hmacString({
-          hmac,
-          value: '0e26c923-84e6-4918-9337-f82c56951007'
+        await memoryCache.getOrCreate(
+          {id, ttl: 30000, compute: async () => ({computed: true})});
+      } catch(e) {
+        err = e;
+      } finally {
+        storage.upsert = upsert;
+      }
+      should.exist(err);
+      err.message.should.equal('write failed');
+
+      // no pending entry should remain
+      err = undefined;
+      try {
+        await memoryCache.inspectEntry({id});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('NotFoundError');
+    });
+
+    it('should not keep an expired value on a pending entry', async () => {
+      const clock = useClock();
+      for(const tokenizedCache of [namedCache, memoryCache]) {
+        const id = crypto.randomUUID();
+        await tokenizedCache.upsert(
+          {id, value: {expired: true}, tags: ['tag1'], ttl: 1000});
+        clock.advance(1001);
+        let pending;
+        const record = await tokenizedCache.getOrCreate({
+          id, ttl: 30000, compute: async () => {
+            pending = await tokenizedCache.inspectEntry({id});
+            return {computed: true};
+          }
         });
+        should.exist(pending.entry.pending);
+        should.not.exist(pending.entry.value);
+        should.not.exist(pending.entry.tags);
+        record.entry.value.should.eql({computed: true});
+      }
+    });
+
+    it('should error when no "compute" is passed', async () => {
+      let err;
+      try {
+        await cache.getOrCreate({id: crypto.randomUUID()});
       } catch(e) {
-        error = e;
+        err = e;
       }
-      assertNoError(error);
+      err.message.should.include('compute');
+    });
+  });
 
-      result1.should.not.eql(result2);
+  describe('cache.create()', () => {
+    it('should create a new cache entry', async () => {
+      const id = crypto.randomUUID();
+      const record1 = await cache.create({id, value: {a: 1}, ttl: 30000});
+      record1.entry.value.should.eql({a: 1});
+      record1.entry.sequence.should.equal(0);
+      const record2 = await cache.get({id});
+      record1.should.eql(record2);
+    });
+
+    it('should error when the entry already exists', async () => {
+      const id = crypto.randomUUID();
+      await cache.create({id, value: {a: 1}, ttl: 30000});
+      let err;
+      try {
+        await cache.create({id, value: {a: 2}, ttl: 30000});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('DuplicateError');
+      const record = await cache.get({id});
+      record.entry.value.should.eql({a: 1});
+    });
+
+    it('should replace an expired entry with a new entry', async () => {
+      const clock = useClock();
+      for(const testCache of [namedCache, memoryCache]) {
+        const id = crypto.randomUUID();
+        await testCache.create({id, value: {a: 1}, ttl: 1000});
+        await testCache.upsert({id, value: {a: 2}, ttl: 1000});
+        clock.advance(1001);
+        const record1 = await testCache.create(
+          {id, value: {a: 3}, ttl: 30000});
+        record1.entry.value.should.eql({a: 3});
+        record1.entry.sequence.should.equal(0);
+        record1.meta.created.should.equal(clock.now());
+        const record2 = await testCache.get({id});
+        record2.entry.sequence.should.equal(0);
+        record2.meta.should.eql(record1.meta);
+
+        // an upsert replaces an expired entry with a new entry as well
+        clock.advance(30001);
+        const record3 = await testCache.upsert(
+          {id, value: {a: 4}, ttl: 30000});
+        record3.entry.sequence.should.equal(0);
+        record3.meta.created.should.equal(clock.now());
+      }
     });
   });
-});
 
-describe('Cache Entry Database Tests', function() {
-  describe('Indexes', function() {
-    beforeEach(async () => {
-      const collectionName = 'tokenized-cache-entry';
-      await cleanDB({collectionName});
+  describe('cache.update()', () => {
+    it('should increment "sequence" on every write', async () => {
+      const id = crypto.randomUUID();
+      const record1 = await cache.upsert({id, value: {}, ttl: 30000});
+      record1.entry.sequence.should.equal(0);
+      const record2 = await cache.upsert({id, value: {}, ttl: 30000});
+      record2.entry.sequence.should.equal(1);
+      record2.meta.created.should.equal(record1.meta.created);
+      const record3 = await cache.update(
+        {id, value: {}, expectedSequence: 1});
+      record3.entry.sequence.should.equal(2);
+      record3.meta.created.should.equal(record1.meta.created);
+    });
 
-      await insertRecord({record: mockEntryRecord1, collectionName});
-      // second record is inserted here in order to do proper assertions for
-      // 'nReturned', 'totalKeysExamined' and 'totalDocsExamined'.
-      await insertRecord({record: mockEntryRecord2, collectionName});
+    it('should update an entry with the expected sequence', async () => {
+      const id = crypto.randomUUID();
+      const record1 = await cache.upsert({id, value: {a: 1}, ttl: 30000});
+      // populate in-memory cache
+      await cache.get({id});
+      const record2 = await cache.update(
+        {id, value: {a: 2}, expectedSequence: 0});
+      record2.entry.value.should.eql({a: 2});
+      record2.entry.sequence.should.equal(1);
+      // expiration should be unchanged when no `ttl` is given
+      record2.entry.expires.should.eql(record1.entry.expires);
+      const record3 = await cache.get({id});
+      record2.should.eql(record3);
     });
-    it('is properly indexed for query of ' +
-      `'entry.tokenizedId' in get()`, async function() {
-      const {tokenizedId} = mockEntryRecord1.entry;
-      const {executionStats} = await cache.get({tokenizedId, explain: true});
-      executionStats.nReturned.should.equal(1);
-      executionStats.totalKeysExamined.should.equal(1);
-      executionStats.totalDocsExamined.should.equal(1);
-      executionStats.executionStages.inputStage.inputStage.inputStage.stage
-        .should.equal('IXSCAN');
-      executionStats.executionStages.inputStage.inputStage.inputStage
-        .keyPattern.should.eql({'entry.tokenizedId': 1});
+
+    it('should error with an unexpected sequence', async () => {
+      const id = crypto.randomUUID();
+      await cache.upsert({id, value: {a: 1}, ttl: 30000});
+      await cache.update({id, value: {a: 2}, expectedSequence: 0});
+      let err;
+      try {
+        // concurrent writer that read the entry at sequence `0`
+        await cache.update({id, value: {a: 3}, expectedSequence: 0});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('InvalidStateError');
+      const record = await cache.get({id});
+      record.entry.value.should.eql({a: 2});
+    });
+
+    it('should update an entry written without "sequence"', async () => {
+      const id = crypto.randomUUID();
+      const {tokenizedId} = await cache.tokenizeId({id});
+      const now = Date.now();
+      await insertRecord({
+        record: {
+          meta: {created: now, updated: now},
+          entry: {tokenizedId, value: {a: 1}, expires: new Date(now + 30000)}
+        },
+        collectionName: 'tokenized-cache-entry'
+      });
+      const record = await cache.update(
+        {id, value: {a: 2}, expectedSequence: 0});
+      record.entry.sequence.should.equal(1);
+    });
+
+    it('should error when the entry does not exist', async () => {
+      let err;
+      try {
+        await cache.update({
+          id: crypto.randomUUID(), value: {}, expectedSequence: 0
+        });
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('NotFoundError');
     });
   });
-});
+
+  describe('cache.touch()', () => {
+    it('should extend the expiration of an entry', async () => {
+      const id = crypto.randomUUID();
+      const record1 = await cache.upsert({id, value: {a: 1}, ttl: 30000});
+      const result = await cache.touch({id, ttl: 60000});
+      result.should.equal(true);
+      const record2 = await cache.get({id});
+      record2.entry.expires.should.be.above(record1.entry.expires);
+      record2.entry.value.should.eql(record1.entry.value);
+      record2.entry.sequence.should.equal(record1.entry.sequence);
+      record2.meta.created.should.equal(record1.meta.created);
+    });
+
+    it('should not shorten the expiration of an entry', async () => {
+      const id = crypto.randomUUID();
+      const record1 = await cache.upsert({id, value: {}, ttl: 60000});
+      const result = await cache.touch({id, ttl: 1000});
+      result.should.equal(true);
+      const record2 = await cache.get({id});
+      record2.entry.expires.should.eql(record1.entry.expires);
+    });
+
+    it('should extend an expired entry', async () => {
+      const clock = useClock();
+      const id = crypto.randomUUID();
+      await cache.upsert({id, value: {a: 1}, ttl: 1000});
+      clock.advance(1001);
+      const result = await cache.touch({id, ttl: 30000});
+      result.should.equal(true);
+      const record = await cache.get({id});
+      record.entry.value.should.eql({a: 1});
+    });
+
+    it('should return false for a non-existent entry', async () => {
+      const result = await cache.touch({id: crypto.randomUUID(), ttl: 30000});
+      result.should.equal(false);
+    });
+  });
+
+  describe('cache.increment()', () => {
+    it('should create a missing entry', async () => {
+      const id = crypto.randomUUID();
+      const result = await cache.increment({id, field: 'count', ttl: 30000});
+      result.should.equal(1);
+      const record = await cache.get({id});
+      record.entry.value.should.eql({count: 1});
+      record.entry.sequence.should.equal(0);
+    });
+
+    it('should increment an existing entry', async () => {
+      const id = crypto.randomUUID();
+      const record1 = await cache.upsert({id, value: {a: 1}, ttl: 30000});
+      const result = await cache.increment({id, field: 'count', by: 5});
+      result.should.equal(5);
+      const result2 = await cache.increment({id, field: 'count', by: 2});
+      result2.should.equal(7);
+      const record2 = await cache.get({id});
+      record2.entry.value.should.eql({a: 1, count: 7});
+      record2.entry.expires.should.eql(record1.entry.expires);
+      record2.entry.sequence.should.equal(2);
+    });
+
+    it('should not lose concurrent increments', async () => {
+      const id = crypto.randomUUID();
+      const results = await Promise.all([...new Array(10).keys()].map(
+        () => cache.increment({id, field: 'count', ttl: 30000})));
+      results.sort((a, b) => a - b).should.eql(
+        [1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+      const record = await cache.get({id});
+      record.entry.value.should.eql({count: 10});
+    });
+
+    it('should reset an expired entry', async () => {
+      const clock = useClock();
+      const id = crypto.randomUUID();
+      await cache.increment({id, field: 'count', by: 3, ttl: 1000});
+      clock.advance(1001);
+      const result = await cache.increment({id, field: 'count', ttl: 30000});
+      result.should.equal(1);
+    });
+
+    it('should throw "QuotaExceededError" when exceeding "max"', async () => {
+      const id = crypto.randomUUID();
+      await cache.increment({id, field: 'count', by: 2, max: 3, ttl: 30000});
+      const result = await cache.increment({id, field: 'count', max: 3});
+      result.should.equal(3);
+      let err;
+      try {
+        await cache.increment({id, field: 'count', max: 3});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('QuotaExceededError');
+      err.details.max.should.equal(3);
+      const record = await cache.get({id});
+      record.entry.value.should.eql({count: 3});
+    });
+
+    it('should throw "QuotaExceededError" when "by" exceeds "max"',
+      async () => {
+        let err;
+        try {
+          await cache.increment(
+            {id: crypto.randomUUID(), field: 'count', by: 2, max: 1});
+        } catch(e) {
+          err = e;
+        }
+        should.exist(err);
+        err.name.should.equal('QuotaExceededError');
+      });
+
+    it('should reject an invalid "field"', async () => {
+      let err;
+      try {
+        await cache.increment({id: crypto.randomUUID(), field: 'a.b'});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+    });
+  });
+
+  describe('cache.get() with "slidingTtl"', () => {
+    it('should extend the expiration on every read', async () => {
+      const id = crypto.randomUUID();
+      const record1 = await cache.upsert({id, value: {}, ttl: 1000});
+      const record2 = await cache.get({id, slidingTtl: 30000});
+      record2.entry.expires.should.be.above(record1.entry.expires);
+      // database record should reflect the new expiration
+      cache._ENTRY_CACHE.cache.reset();
+      const record3 = await cache.get({id});
+      record3.entry.expires.should.eql(record2.entry.expires);
+      // in-memory record should reflect the new expiration
+      const record4 = await cache.get({id, slidingTtl: 60000});
+      record4.entry.expires.should.be.above(record3.entry.expires);
+      const record5 = await cache.get({id});
+      record5.entry.expires.should.eql(record4.entry.expires);
+    });
+  });
+
+  describe('cache.get() with "allowStale"', () => {
+    it('should get a stale entry', async () => {
+      const clock = useClock();
+      const id = crypto.randomUUID();
+      await cache.upsert({id, value: {a: 1}, ttl: 1000});
+      clock.advance(1001);
+      const record = await cache.get({id, allowStale: {maxStaleness: 30000}});
+      record.stale.should.equal(true);
+      record.entry.value.should.eql({a: 1});
+
+      // stale entry must not be returned without `allowStale`
+      let err;
+      try {
+        await cache.get({id});
+      } catch(e) {
+        err = e;
+      }
+      err.name.should.equal('NotFoundError');
+    });
+
+    it('should not get an entry older than "maxStaleness"', async () => {
+      const clock = useClock();
+      const id = crypto.randomUUID();
+      await cache.upsert({id, value: {}, ttl: 1000});
+      clock.advance(1050);
+      let err;
+      try {
+        await cache.get({id, allowStale: {maxStaleness: 10}});
+      } catch(e) {
+        err = e;
+      }
+      err.name.should.equal('NotFoundError');
+    });
+
+    it('should not flag an unexpired entry as stale', async () => {
+      const id = crypto.randomUUID();
+      await cache.upsert({id, value: {}, ttl: 30000});
+      const record = await cache.get({id, allowStale: {maxStaleness: 30000}});
+      should.not.exist(record.stale);
+    });
+
+    it('should revalidate a stale entry in the background', async () => {
+      const id = crypto.randomUUID();
+      const tag = crypto.randomUUID();
+      const clock = useClock();
+      await cache.upsert({id, value: {a: 1}, ttl: 1000, tags: [tag]});
+      clock.advance(1001);
+
+      // hold revalidation until both stale entries have been returned
+      let calls = 0;
+      let release;
+      const gate = new Promise(r => release = r);
+      const allowStale = {
+        maxStaleness: 30000,
+        ttl: 30000,
+        revalidate: async ({record}) => {
+          calls++;
+          record.entry.value.should.eql({a: 1});
+          await gate;
+          return {a: 2};
+        }
+      };
+      const [record1, record2] = await Promise.all([
+        cache.get({id, allowStale}),
+        cache.get({id, allowStale})
+      ]);
+      record1.stale.should.equal(true);
+      record2.stale.should.equal(true);
+      release();
+      const {revalidations} = cache.getCache({name: 'default'});
+      await Promise.all(revalidations.values());
+      calls.should.equal(1);
+
+      const record3 = await cache.get({id});
+      should.not.exist(record3.stale);
+      record3.entry.value.should.eql({a: 2});
+      record3.entry.tags.should.have.length(1);
+    });
+  });
+
+  describe('cache.remove()', () => {
+    it('should remove an existing cache entry', async () => {
+      // clear in-memory cache
+      cache._ENTRY_CACHE.cache.reset();
+
+      const id = crypto.randomUUID();
+      await cache.upsert({
+        id,
+        value: {},
+        ttl: 30000
+      });
+      await cache.get({id});
+      // confirm in-memory cache population
+      cache._ENTRY_CACHE.cache.itemCount.should.equal(1);
+
+      const result = await cache.remove({id});
+      result.should.equal(true);
+
+      // in-memory cache entry should have been deleted
+      cache._ENTRY_CACHE.cache.itemCount.should.equal(0);
+
+      let err;
+      try {
+        await cache.get({id});
+      } catch(e) {
+        err = e;
+      }
+      err.name.should.equal('NotFoundError');
+    });
+
+    it('should remove using "tokenizedId"', async () => {
+      const id = crypto.randomUUID();
+      const {tokenizedId} = await cache.tokenizeId({id});
+      await cache.upsert({
+        tokenizedId,
+        value: {},
+        ttl: 30000
+      });
+      const result = await cache.remove({tokenizedId});
+      result.should.equal(true);
+    });
+
+    it('should return false for a non-existent entry', async () => {
+      const id = crypto.randomUUID();
+      const result = await cache.remove({id});
+      result.should.equal(false);
+    });
+
+    it('should error when no "id" is passed', async () => {
+      let err;
+      try {
+        await cache.remove();
+      } catch(e) {
+        err = e;
+      }
+      err.message.should.include('Either "id" or "tokenizedId"');
+    });
+  });
+
+  describe('cache.invalidateByTag()', () => {
+    it('should remove all entries with a tag', async () => {
+      // clear in-memory cache
+      cache._ENTRY_CACHE.cache.reset();
+
+      const tag = crypto.randomUUID();
+      const id1 = crypto.randomUUID();
+      const id2 = crypto.randomUUID();
+      const id3 = crypto.randomUUID();
+      await cache.upsert({id: id1, value: {}, ttl: 30000, tags: [tag]});
+      await cache.upsertMany({entries: [
+        {id: id2, value: {}, ttl: 30000, tags: [tag, 'other']},
+        {id: id3, value: {}, ttl: 30000}
+      ]});
+      await cache.getMany({ids: [id1, id2, id3]});
+      // confirm in-memory cache population
+      cache._ENTRY_CACHE.cache.itemCount.should.equal(3);
+
+      const count = await cache.invalidateByTag({tag});
+      count.should.equal(2);
+
+      // in-memory cache entries should have been deleted
+      cache._ENTRY_CACHE.cache.itemCount.should.equal(1);
+      const results = await cache.getMany({ids: [id1, id2, id3]});
+      results.map(({status}) => status).should.eql(
+        ['notFound', 'notFound', 'found']);
+    });
+
+    it('should remove in-memory entries found using a previous tokenizer',
+      async () => {
+        const previous = createTokenizer({id: 'urn:tokenizer:previous'});
+        const current = createTokenizer({id: 'urn:tokenizer:current'});
+        const {tokenizerRotation} = memoryCache.config;
+        try {
+          const tag = crypto.randomUUID();
+          const id = crypto.randomUUID();
+          useTokenizers({current: previous});
+          await memoryCache.upsert({id, value: {}, ttl: 30000, tags: [tag]});
+
+          useTokenizers({current, previous: [previous]});
+          memoryCache.config.tokenizerRotation = {
+            previousTokenizerIds: [previous.id], rekey: false
+          };
+          // keep an in-memory copy by its current tokenized ID
+          const record = await memoryCache.get({id});
+          record.entry.tokenizerId.should.equal(previous.id);
+
+          (await memoryCache.invalidateByTag({tag})).should.equal(1);
+          let err;
+          try {
+            await memoryCache.get({id});
+          } catch(e) {
+            err = e;
+          }
+          should.exist(err);
+          err.name.should.equal('NotFoundError');
+        } finally {
+          memoryCache.config.tokenizerRotation = tokenizerRotation;
+          restoreTokenizers();
+        }
+      });
+
+    it('should store tags tokenized', async () => {
+      const tag = crypto.randomUUID();
+      const id = crypto.randomUUID();
+      const {tokenizedId} = await cache.tokenizeId({id: tag});
+      const record = await cache.upsert(
+        {id, value: {}, ttl: 30000, tags: [tag]});
+      record.entry.tags.should.have.length(1);
+      Buffer.isBuffer(record.entry.tags[0]).should.equal(true);
+      // a tag is never tokenized to the same value as an equal ID
+      record.entry.tags[0].equals(tokenizedId).should.equal(false);
+    });
+
+    it('should overwrite tags on upsert', async () => {
+      const tag = crypto.randomUUID();
+      const id = crypto.randomUUID();
+      await cache.upsert({id, value: {}, ttl: 30000, tags: [tag]});
+      const record = await cache.upsert({id, value: {}, ttl: 30000});
+      should.not.exist(record.entry.tags);
+      const count = await cache.invalidateByTag({tag});
+      count.should.equal(0);
+    });
+
+    it('should remove tagged entries from memory storage', async () => {
+      const tag = crypto.randomUUID();
+      const id = crypto.randomUUID();
+      await memoryCache.upsert({id, value: {}, ttl: 30000, tags: [tag]});
+      const count = await memoryCache.invalidateByTag({tag});
+      count.should.equal(1);
+      let err;
+      try {
+        await memoryCache.get({id});
+      } catch(e) {
+        err = e;
+      }
+      err.name.should.equal('NotFoundError');
+    });
+  });
+
+  describe('cache.getMany()', () => {
+    it('should get found and not found entries', async () => {
+      // clear in-memory cache
+      cache._ENTRY_CACHE.cache.reset();
+
+      const id1 = crypto.randomUUID();
+      const id2 = crypto.randomUUID();
+      const id3 = crypto.randomUUID();
+      const record1 = await cache.upsert({id: id1, value: {a: 1}, ttl: 30000});
+      const record2 = await cache.upsert({id: id2, value: {b: 2}, ttl: 30000});
+      // populate in-memory cache with first record only
+      await cache.get({id: id1});
+      cache._ENTRY_CACHE.cache.itemCount.should.equal(1);
+
+      const results = await cache.getMany({ids: [id1, id2, id3]});
+      results.should.have.length(3);
+      results[0].id.should.equal(id1);
+      results[0].status.should.equal('found');
+      results[0].record.should.eql(record1);
+      results[1].id.should.equal(id2);
+      results[1].status.should.equal('found');
+      results[1].record.should.eql(record2);
+      results[2].id.should.equal(id3);
+      results[2].status.should.equal('notFound');
+      should.not.exist(results[2].record);
+
+      // found entries should now be in the in-memory cache
+      cache._ENTRY_CACHE.cache.itemCount.should.equal(2);
+    });
+
+    it('should get entries using "tokenizedIds"', async () => {
+      const id = crypto.randomUUID();
+      const {tokenizedId} = await cache.tokenizeId({id});
+      const record = await cache.upsert({tokenizedId, value: {}, ttl: 30000});
+      const results = await cache.getMany({tokenizedIds: [tokenizedId]});
+      results.should.have.length(1);
+      results[0].status.should.equal('found');
+      results[0].tokenizedId.should.eql(tokenizedId);
+      results[0].record.should.eql(record);
+    });
+
+    it('should return not found for an expired entry', async () => {
+      const id = crypto.randomUUID();
+      await cache.upsert({id, value: {}, ttl: 0});
+      const results = await cache.getMany({ids: [id]});
+      results[0].status.should.equal('notFound');
+    });
+  });
+
+  describe('cache.upsertMany()', () => {
+    it('should add many cache entries', async () => {
+      const id1 = crypto.randomUUID();
+      const id2 = crypto.randomUUID();
+      const {tokenizedId} = await cache.tokenizeId({id: id2});
+      const results = await cache.upsertMany({
+        entries: [
+          {id: id1, value: {a: 1}, ttl: 30000},
+          {tokenizedId, value: {b: 2}, ttl: 30000}
+        ]
+      });
+      results.should.have.length(2);
+      results[0].status.should.equal('upserted');
+      results[1].status.should.equal('upserted');
+
+      const record1 = await cache.get({id: id1});
+      record1.should.eql(results[0].record);
+      const record2 = await cache.get({id: id2});
+      record2.should.eql(results[1].record);
+    });
+
+    it('should replace existing cache entries', async () => {
+      // clear in-memory cache
+      cache._ENTRY_CACHE.cache.reset();
+
+      const id = crypto.randomUUID();
+      await cache.upsert({id, value: {a: 1}, ttl: 30000});
+      await cache.get({id});
+      cache._ENTRY_CACHE.cache.itemCount.should.equal(1);
+
+      const results = await cache.upsertMany({
+        entries: [{id, value: {a: 2}, ttl: 30000}]
+      });
+      // in-memory cache entry should have been deleted
+      cache._ENTRY_CACHE.cache.itemCount.should.equal(0);
+      const record = await cache.get({id});
+      record.should.eql(results[0].record);
+      record.entry.value.should.eql({a: 2});
+    });
+
+    it('should report an error for an entry with no "id"', async () => {
+      const id = crypto.randomUUID();
+      const results = await cache.upsertMany({
+        entries: [{value: {}, ttl: 30000}, {id, value: {}, ttl: 30000}]
+      });
+      results[0].status.should.equal('error');
+      results[0].error.message.should.include('Either "id" or "tokenizedId"');
+      results[1].status.should.equal('upserted');
+    });
+  });
+
+  describe('cache.createCache()', () => {
+    it('should use a separate collection and in-memory cache', async () => {
+      namedCache.entryCache.cache.reset();
+      cache._ENTRY_CACHE.cache.reset();
+
+      const id = crypto.randomUUID();
+      const record1 = await namedCache.upsert({
+        id,
+        value: {named: true},
+        ttl: 30000
+      });
+      const record2 = await namedCache.get({id});
+      record1.should.eql(record2);
+      namedCache.entryCache.cache.itemCount.should.equal(1);
+      cache._ENTRY_CACHE.cache.itemCount.should.equal(0);
+      namedCache.collectionName.should.equal('tokenized-cache-test-entry');
+
+      // same ID should not be found in the default cache
+      let err;
+      try {
+        await cache.get({id});
+      } catch(e) {
+        err = e;
+      }
+      err.name.should.equal('NotFoundError');
+
+      // adding the same ID to the default cache should not collide
+      await cache.upsert({id, value: {named: false}, ttl: 30000});
+      const record3 = await namedCache.get({id});
+      record3.entry.value.should.eql({named: true});
+
+      const removed = await namedCache.remove({id});
+      removed.should.equal(true);
+      const record4 = await cache.get({id});
+      record4.entry.value.should.eql({named: false});
+    });
+
+    it('should merge config for a named cache', async () => {
+      const globalConfig = config['tokenized-cache'];
+      namedCache.config.caches.entry.maxSize.should.equal(10);
+      namedCache.config.caches.entry.maxAge.should.equal(
+        globalConfig.caches.entry.maxAge);
+      namedCache.config.defaults.ttl.should.equal(globalConfig.defaults.ttl);
+    });
+
+    it('should error when creating a duplicate cache', async () => {
+      let err;
+      try {
+        cache.createCache({name: 'test'});
+      } catch(e) {
+        err = e;
+      }
+      err.message.should.include('already exists');
+    });
+
+    it('should error when given an invalid name', async () => {
+      let err;
+      try {
+        cache.createCache({name: 'Invalid Name'});
+      } catch(e) {
+        err = e;
+      }
+      err.message.should.include('"name" must consist only of');
+    });
+
+    it('should error when created after the database is ready', async () => {
+      let err;
+      try {
+        cache.createCache({name: 'too-late'});
+      } catch(e) {
+        err = e;
+      }
+      err.message.should.include('before the database is ready');
+    });
+  });
+
+  describe('cache.getStats()', () => {
+    function getCounterDeltas({before, after}) {
+      return Object.fromEntries(Object.entries(after.counters).map(
+        ([name, count]) => [name, count - before.counters[name]]));
+    }
+
+    it('should count hits, misses, upserts, and removals', async () => {
+      const id = crypto.randomUUID();
+      const before = cache.getStats();
+      await cache.upsert({id, value: {}, ttl: 30000});
+      // database hit
+      await cache.get({id});
+      // memory hit
+      await cache.get({id});
+      await cache.getMany({ids: [id, crypto.randomUUID()]});
+      await cache.remove({id});
+      // miss
+      let err;
+      try {
+        await cache.get({id});
+      } catch(e) {
+        err = e;
+      }
+      err.name.should.equal('NotFoundError');
+      const after = cache.getStats();
+      after.cache.should.equal('default');
+      getCounterDeltas({before, after}).should.eql({
+        memoryHits: 2,
+        databaseHits: 1,
+        misses: 2,
+        notFoundHits: 0,
+        expiredEvictions: 0,
+        staleHits: 0,
+        upserts: 1,
+        removals: 1
+      });
+    });
+
+    it('should count expired entries evicted when read', async () => {
+      const clock = useClock();
+      const id = crypto.randomUUID();
+      await cache.upsert({id, value: {}, ttl: 1000});
+      await cache.get({id});
+      const before = cache.getStats();
+      clock.advance(1001);
+      let err;
+      try {
+        await cache.get({id});
+      } catch(e) {
+        err = e;
+      }
+      err.name.should.equal('NotFoundError');
+      const after = cache.getStats();
+      const deltas = getCounterDeltas({before, after});
+      deltas.expiredEvictions.should.equal(1);
+      deltas.misses.should.equal(1);
+    });
+
+    it('should record tokenizer and database latency', async () => {
+      const before = cache.getStats();
+      await cache.upsert({id: crypto.randomUUID(), value: {}, ttl: 30000});
+      const after = cache.getStats();
+      const {tokenizer, database} = after.latency;
+      tokenizer.count.should.equal(before.latency.tokenizer.count + 1);
+      database.count.should.equal(before.latency.database.count + 1);
+      database.sum.should.be.above(before.latency.database.sum);
+      // buckets are cumulative
+      const last = database.buckets.at(-1);
+      last.le.should.equal('+Inf');
+      last.count.should.equal(database.count);
+    });
+
+    it('should emit stats via a bedrock event', async () => {
+      const emitted = [];
+      const listener = stats => {
+        emitted.push(stats);
+      };
+      events.on('bedrock-tokenized-cache.stats', listener);
+      try {
+        await namedCache._emitStats();
+      } finally {
+        events.removeListener('bedrock-tokenized-cache.stats', listener);
+      }
+      emitted.length.should.equal(1);
+      emitted[0].cache.should.equal('test');
+      should.exist(emitted[0].counters);
+      should.exist(emitted[0].latency);
+    });
+  });
+
+  describe('entry events', () => {
+    const EVENTS = ['upserting', 'upserted', 'removed', 'expired'];
+    let emitted;
+    let veto;
+    const listeners = new Map(EVENTS.map(event => [event, details => {
+      if(details.cache !== 'memory') {
+        return;
+      }
+      emitted.push({event, ...details});
+      if(event === 'upserting') {
+        return veto?.(details);
+      }
+    }]));
+    before(() => {
+      for(const [event, listener] of listeners) {
+        events.on(`bedrock-tokenized-cache.entry.${event}`, listener);
+      }
+    });
+    after(() => {
+      for(const [event, listener] of listeners) {
+        events.removeListener(`bedrock-tokenized-cache.entry.${event}`,
+          listener);
+      }
+    });
+    beforeEach(() => {
+      emitted = [];
+      veto = undefined;
+    });
+
+    it('should emit events when an entry is upserted', async () => {
+      const id = crypto.randomUUID();
+      const value = {foo: 'bar'};
+      const record = await memoryCache.upsert(
+        {id, value, tags: ['tag1'], ttl: 30000});
+      emitted.map(({event}) => event).should.eql(['upserting', 'upserted']);
+      const [upserting, upserted] = emitted;
+      upserting.operation.should.equal('upsert');
+      upserting.entry.tokenizedId.should.eql(record.entry.tokenizedId);
+      upserting.entry.expires.should.eql(record.entry.expires);
+      upserting.entry.tags.should.eql(record.entry.tags);
+      upserting.value.should.eql(value);
+      upserted.operation.should.equal('upsert');
+      upserted.entry.tokenizedId.should.eql(record.entry.tokenizedId);
+      upserted.entry.sequence.should.equal(0);
+      upserted.entry.should.not.have.property('value');
+      upserted.meta.should.eql(record.meta);
+      // the raw ID is never included
+      for(const details of emitted) {
+        JSON.stringify(details).should.not.include(id);
+      }
+    });
+
+    it('should not write an entry if a listener vetoes it', async () => {
+      const id = crypto.randomUUID();
+      veto = () => false;
+      let err;
+      try {
+        await memoryCache.upsert({id, value: {}, ttl: 30000});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('NotAllowedError');
+      emitted.map(({event}) => event).should.eql(['upserting']);
+
+      veto = undefined;
+      err = undefined;
+      try {
+        await memoryCache.get({id});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('NotFoundError');
+    });
+
+    it('should veto individual entries of "upsertMany()"', async () => {
+      const ids = [crypto.randomUUID(), crypto.randomUUID()];
+      veto = ({value}) => {
+        if(value.forbidden) {
+          throw new Error('Forbidden value.');
+        }
+      };
+      const results = await memoryCache.upsertMany({
+        entries: [
+          {id: ids[0], value: {}, ttl: 30000},
+          {id: ids[1], value: {forbidden: true}, ttl: 30000}
+        ]
+      });
+      results[0].status.should.equal('upserted');
+      results[1].status.should.equal('error');
+      results[1].error.message.should.equal('Forbidden value.');
+      const upserted = emitted.filter(({event}) => event === 'upserted');
+      upserted.length.should.equal(1);
+      upserted[0].operation.should.equal('upsertMany');
+      upserted[0].entry.tokenizedId.should.eql(results[0].tokenizedId);
+    });
+
+    it('should release the lease if "getOrCreate()" is vetoed', async () => {
+      const id = crypto.randomUUID();
+      veto = () => false;
+      let err;
+      try {
+        await memoryCache.getOrCreate({id, compute: () => ({}), ttl: 30000});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('NotAllowedError');
+
+      veto = undefined;
+      const record = await memoryCache.getOrCreate(
+        {id, compute: () => ({created: true}), ttl: 30000});
+      record.entry.value.should.eql({created: true});
+      emitted.at(-1).event.should.equal('upserted');
+      emitted.at(-1).operation.should.equal('getOrCreate');
+    });
+
+    it('should emit an event when an entry is removed', async () => {
+      const id = crypto.randomUUID();
+      const {entry: {tokenizedId}} = await memoryCache.upsert(
+        {id, value: {}, ttl: 30000});
+      emitted = [];
+      (await memoryCache.remove({id})).should.equal(true);
+      (await memoryCache.remove({id})).should.equal(false);
+      emitted.length.should.equal(1);
+      emitted[0].event.should.equal('removed');
+      emitted[0].operation.should.equal('remove');
+      emitted[0].entry.tokenizedId.should.eql(tokenizedId);
+    });
+
+    it('should report entries removed using a previous tokenizer',
+      async () => {
+        const previous = createTokenizer({id: 'urn:tokenizer:previous'});
+        const current = createTokenizer({id: 'urn:tokenizer:current'});
+        const {tokenizerRotation} = memoryCache.config;
+        try {
+          const id = crypto.randomUUID();
+          useTokenizers({current: previous});
+          const {entry: {tokenizedId}} = await memoryCache.upsert(
+            {id, value: {}, ttl: 30000});
+          // keep an in-memory copy by its previous tokenized ID
+          await memoryCache.get({tokenizedId});
+
+          useTokenizers({current, previous: [previous]});
+          memoryCache.config.tokenizerRotation = {
+            previousTokenizerIds: [previous.id], rekey: false
+          };
+          emitted = [];
+          (await memoryCache.remove({id})).should.equal(true);
+          emitted.length.should.equal(1);
+          emitted[0].event.should.equal('removed');
+          emitted[0].entry.tokenizedId.should.eql(tokenizedId);
+
+          let err;
+          try {
+            await memoryCache.get({tokenizedId});
+          } catch(e) {
+            err = e;
+          }
+          should.exist(err);
+          err.name.should.equal('NotFoundError');
+        } finally {
+          memoryCache.config.tokenizerRotation = tokenizerRotation;
+          restoreTokenizers();
+        }
+      });
+
+    it('should emit events when entries are removed by tag', async () => {
+      const tag = crypto.randomUUID();
+      const tokenizedIds = [];
+      for(let i = 0; i < 2; ++i) {
+        const {entry} = await memoryCache.upsert(
+          {id: crypto.randomUUID(), value: {i}, tags: [tag], ttl: 30000});
+        tokenizedIds.push(entry.tokenizedId);
+      }
+      emitted = [];
+      (await memoryCache.invalidateByTag({tag})).should.equal(2);
+      emitted.length.should.equal(2);
+      for(const {event, operation} of emitted) {
+        event.should.equal('removed');
+        operation.should.equal('invalidateByTag');
+      }
+      emitted.map(({entry}) => entry.tokenizedId.toString('base64url'))
+        .sort().should.eql(tokenizedIds.map(
+          tokenizedId => tokenizedId.toString('base64url')).sort());
+    });
+
+    it('should emit an event when "get()" finds an expired entry',
+      async () => {
+        const clock = useClock();
+        const id = crypto.randomUUID();
+        const {entry: {tokenizedId}} = await memoryCache.upsert(
+          {id, value: {}, ttl: 1});
+        clock.advance(2);
+        emitted = [];
+        let err;
+        try {
+          await memoryCache.get({id});
+        } catch(e) {
+          err = e;
+        }
+        should.exist(err);
+        err.name.should.equal('NotFoundError');
+        emitted.length.should.equal(1);
+        emitted[0].event.should.equal('expired');
+        emitted[0].entry.tokenizedId.should.eql(tokenizedId);
+        JSON.stringify(emitted[0]).should.not.include(id);
+      });
+
+    it('should emit events when an entry is incremented', async () => {
+      const id = crypto.randomUUID();
+      (await memoryCache.increment({id, field: 'count', ttl: 30000}))
+        .should.equal(1);
+      emitted.map(({event}) => event).should.eql(['upserting', 'upserted']);
+      const [upserting, upserted] = emitted;
+      upserting.operation.should.equal('increment');
+      should.not.exist(upserting.value);
+      upserted.operation.should.equal('increment');
+      upserted.entry.tokenizedId.should.eql(upserting.entry.tokenizedId);
+      upserted.entry.should.not.have.property('value');
+
+      veto = () => false;
+      let err;
+      try {
+        await memoryCache.increment({id, field: 'count'});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('NotAllowedError');
+      veto = undefined;
+      (await memoryCache.get({id})).entry.value.should.eql({count: 1});
+    });
+
+    it('should skip imported entries that are vetoed', async () => {
+      const ids = [crypto.randomUUID(), crypto.randomUUID()];
+      memoryCache.storage.records.clear();
+      memoryCache._invalidateAll();
+      await memoryCache.upsert({id: ids[0], value: {}, ttl: 30000});
+      await memoryCache.upsert(
+        {id: ids[1], value: {forbidden: true}, ttl: 30000});
+      const text = await _readStream(await memoryCache.exportEntries());
+      memoryCache.storage.records.clear();
+      memoryCache._invalidateAll();
+
+      emitted = [];
+      veto = ({value}) => !value.forbidden;
+      const result = await memoryCache.importEntries(
+        {stream: Readable.from([text])});
+      result.should.eql({imported: 1, skipped: 1});
+      emitted.map(({event}) => event).should.eql(
+        ['upserting', 'upserting', 'upserted']);
+      for(const {operation} of emitted) {
+        operation.should.equal('importEntries');
+      }
+      emitted[2].entry.should.not.have.property('value');
+
+      veto = undefined;
+      (await memoryCache.get({id: ids[0]})).entry.value.should.eql({});
+      let err;
+      try {
+        await memoryCache.get({id: ids[1]});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('NotFoundError');
+    });
+  });
+
+  describe('change streams', () => {
+    it('should start a watcher only when enabled', async () => {
+      should.exist(watchedCache.watcher);
+      should.not.exist(namedCache.watcher);
+    });
+
+    it('should evict a changed entry', async () => {
+      watchedCache.entryCache.cache.reset();
+      const id1 = crypto.randomUUID();
+      const id2 = crypto.randomUUID();
+      const record1 = await watchedCache.upsert(
+        {id: id1, value: {}, ttl: 30000});
+      await watchedCache.upsert({id: id2, value: {}, ttl: 30000});
+      await watchedCache.get({id: id1});
+      await watchedCache.get({id: id2});
+      watchedCache.entryCache.cache.itemCount.should.equal(2);
+
+      // simulate a change made by another app instance
+      const {tokenizedId} = record1.entry;
+      watchedCache.watcher._handleChange({
+        change: {operationType: 'update', fullDocument: {entry: {tokenizedId}}}
+      });
+      watchedCache.entryCache.cache.itemCount.should.equal(1);
+      should.not.exist(watchedCache.entryCache.cache.peek(
+        tokenizedId.toString('base64url')));
+    });
+
+    it('should clear all entries if a changed entry is unknown', async () => {
+      watchedCache.entryCache.cache.reset();
+      const id = crypto.randomUUID();
+      await watchedCache.upsert({id, value: {}, ttl: 30000});
+      await watchedCache.get({id});
+      watchedCache.entryCache.cache.itemCount.should.equal(1);
+
+      // simulate a deletion with no pre-image
+      watchedCache.watcher._handleChange({
+        change: {operationType: 'delete'}
+      });
+      watchedCache.entryCache.cache.itemCount.should.equal(0);
+    });
+
+    it('should use a short "maxAge" if unsupported', async () => {
+      const {fallbackMaxAge} = watchedCache.config.changeStreams;
+      watchedCache.watcher._useFallback();
+      watchedCache.entryCache.options.maxAge.should.equal(fallbackMaxAge);
+      watchedCache.entryCache.cache.maxAge.should.equal(fallbackMaxAge);
+    });
+  });
+
+  describe('sweeper', () => {
+    beforeEach(async () => {
+      await cleanDB({collectionName: sweptCache.collectionName});
+    });
+
+    it('should remove expired records in batches', async () => {
+      const clock = useClock();
+      for(let i = 0; i < 5; ++i) {
+        await sweptCache.upsert({id: crypto.randomUUID(), value: {}, ttl: 0});
+      }
+      const id = crypto.randomUUID();
+      await sweptCache.upsert({id, value: {}, ttl: 30000});
+      clock.advance(1);
+
+      const result = await sweptCache.sweep();
+      result.should.eql({removed: 5, swept: true});
+      const count = await sweptCache.collection.countDocuments({});
+      count.should.equal(1);
+      const record = await sweptCache.get({id});
+      should.exist(record);
+    });
+
+    it('should not remove records within the grace period', async () => {
+      const {sweeper} = sweptCache.config;
+      sweeper.gracePeriod = 60000;
+      const clock = useClock();
+      try {
+        await sweptCache.upsert({id: crypto.randomUUID(), value: {}, ttl: 0});
+        clock.advance(1);
+        const result = await sweptCache.sweep();
+        result.should.eql({removed: 0, swept: true});
+      } finally {
+        sweeper.gracePeriod = 0;
+      }
+    });
+
+    it('should not sweep while another instance holds the lease', async () => {
+      const clock = useClock();
+      // acquire lease
+      await sweptCache.sweep();
+
+      await sweptCache.upsert({id: crypto.randomUUID(), value: {}, ttl: 0});
+      clock.advance(1);
+      const {holder} = sweptCache.sweeper;
+      sweptCache.sweeper.holder = crypto.randomUUID();
+      try {
+        const result = await sweptCache.sweep();
+        result.should.eql({removed: 0, swept: false});
+      } finally {
+        sweptCache.sweeper.holder = holder;
+      }
+
+      // original holder can renew its lease
+      const result = await sweptCache.sweep();
+      result.should.eql({removed: 1, swept: true});
+    });
+  });
+
+  describe('memory storage', () => {
+    beforeEach(async () => {
+      memoryCache.storage.records.clear();
+      memoryCache._invalidateAll();
+    });
+
+    it('should not use a database collection', async () => {
+      should.not.exist(memoryCache.collection);
+    });
+
+    it('should not increment a field of a non-numeric value', async () => {
+      for(const value of ['a', {count: 'a'}]) {
+        const id = crypto.randomUUID();
+        await memoryCache.upsert({id, value, ttl: 30000});
+        let err;
+        try {
+          await memoryCache.increment({id, field: 'count', ttl: 30000});
+        } catch(e) {
+          err = e;
+        }
+        should.exist(err);
+        err.name.should.equal('DataError');
+      }
+    });
+
+    it('should upsert, get, and remove an entry', async () => {
+      const id = crypto.randomUUID();
+      const record1 = await memoryCache.upsert({id, value: {a: 1}, ttl: 30000});
+      record1.entry.value.should.eql({a: 1});
+      record1.entry.sequence.should.equal(0);
+      const record2 = await memoryCache.upsert({id, value: {a: 2}, ttl: 30000});
+      record2.entry.sequence.should.equal(1);
+      record2.meta.created.should.equal(record1.meta.created);
+
+      memoryCache.entryCache.cache.reset();
+      const record3 = await memoryCache.get({id});
+      record3.should.eql(record2);
+      Buffer.isBuffer(record3.entry.tokenizedId).should.equal(true);
+
+      const removed = await memoryCache.remove({id});
+      removed.should.equal(true);
+      let err;
+      try {
+        await memoryCache.get({id});
+      } catch(e) {
+        err = e;
+      }
+      err.name.should.equal('NotFoundError');
+    });
+
+    it('should increment an entry', async () => {
+      const id = crypto.randomUUID();
+      const result1 = await memoryCache.increment(
+        {id, field: 'count', max: 2, ttl: 30000});
+      result1.should.equal(1);
+      const result2 = await memoryCache.increment({id, field: 'count', max: 2});
+      result2.should.equal(2);
+      let err;
+      try {
+        await memoryCache.increment({id, field: 'count', max: 2});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('QuotaExceededError');
+      const record = await memoryCache.get({id});
+      record.entry.value.should.eql({count: 2});
+      record.entry.sequence.should.equal(1);
+    });
+
+    it('should not return stored records by reference', async () => {
+      const id = crypto.randomUUID();
+      const record1 = await memoryCache.upsert({id, value: {a: 1}, ttl: 30000});
+      record1.entry.value.a = 2;
+      memoryCache.entryCache.cache.reset();
+      const record2 = await memoryCache.get({id});
+      record2.entry.value.should.eql({a: 1});
+    });
+
+    it('should not get an expired entry', async () => {
+      const clock = useClock();
+      const id = crypto.randomUUID();
+      await memoryCache.upsert({id, value: {}, ttl: 0});
+      clock.advance(1);
+      memoryCache.entryCache.cache.reset();
+      let err;
+      try {
+        await memoryCache.get({id});
+      } catch(e) {
+        err = e;
+      }
+      err.name.should.equal('NotFoundError');
+    });
+
+    it('should create and update entries', async () => {
+      const id = crypto.randomUUID();
+      await memoryCache.create({id, value: {a: 1}, ttl: 30000});
+      let err;
+      try {
+        await memoryCache.create({id, value: {a: 2}, ttl: 30000});
+      } catch(e) {
+        err = e;
+      }
+      err.name.should.equal('DuplicateError');
+
+      const record = await memoryCache.update(
+        {id, value: {a: 3}, expectedSequence: 0});
+      record.entry.value.should.eql({a: 3});
+      record.entry.sequence.should.equal(1);
+      err = null;
+      try {
+        await memoryCache.update({id, value: {a: 4}, expectedSequence: 0});
+      } catch(e) {
+        err = e;
+      }
+      err.name.should.equal('InvalidStateError');
+    });
+
+    it('should get or create an entry', async () => {
+      const id = crypto.randomUUID();
+      let calls = 0;
+      const compute = async () => {
+        calls++;
+        return {a: 1};
+      };
+      const [record1, record2] = await Promise.all([
+        memoryCache.getOrCreate({id, ttl: 30000, compute}),
+        memoryCache.getOrCreate({id, ttl: 30000, compute})
+      ]);
+      calls.should.equal(1);
+      record1.should.eql(record2);
+      record1.entry.value.should.eql({a: 1});
+      should.not.exist(record1.entry.pending);
+    });
+
+    it('should get and upsert many entries', async () => {
+      const ids = [crypto.randomUUID(), crypto.randomUUID()];
+      const upserted = await memoryCache.upsertMany({
+        entries: [{id: ids[0], value: {a: 1}, ttl: 30000}]
+      });
+      upserted[0].status.should.equal('upserted');
+      memoryCache.entryCache.cache.reset();
+      const results = await memoryCache.getMany({ids});
+      results.map(({status}) => status).should.eql(['found', 'notFound']);
+      results[0].record.entry.value.should.eql({a: 1});
+    });
+
+    it('should remove expired records when sweeping', async () => {
+      const clock = useClock();
+      for(let i = 0; i < 3; ++i) {
+        await memoryCache.upsert({id: crypto.randomUUID(), value: {}, ttl: 0});
+      }
+      const id = crypto.randomUUID();
+      await memoryCache.upsert({id, value: {}, ttl: 30000});
+      clock.advance(1);
+
+      const result = await memoryCache.sweep();
+      result.should.eql({removed: 3, swept: true});
+      memoryCache.storage.records.size.should.equal(1);
+      const record = await memoryCache.get({id});
+      should.exist(record);
+    });
+
+    it('should not support explain', async () => {
+      let err;
+      try {
+        await memoryCache.get({id: crypto.randomUUID(), explain: true});
+      } catch(e) {
+        err = e;
+      }
+      err.name.should.equal('NotSupportedError');
+    });
+  });
+
+  describe('in-memory cache sizing', () => {
+    beforeEach(async () => {
+      sizedCache.storage.records.clear();
+      sizedCache._invalidateAll();
+    });
+
+    it('should limit in-memory entries by "maxSize"', async () => {
+      namedCache.entryCache.cache.reset();
+      for(let i = 0; i < 11; ++i) {
+        const id = crypto.randomUUID();
+        await namedCache.upsert({id, value: {i}, ttl: 30000});
+        await namedCache.get({id});
+      }
+      namedCache.entryCache.cache.itemCount.should.equal(10);
+    });
+
+    it('should limit in-memory entries by "maxBytes"', async () => {
+      const ids = [];
+      for(let i = 0; i < 3; ++i) {
+        const id = crypto.randomUUID();
+        ids.push(id);
+        await sizedCache.upsert({id, value: {s: 'x'.repeat(900)}, ttl: 30000});
+        await sizedCache.get({id});
+      }
+      sizedCache.entryCache.cache.itemCount.should.equal(2);
+      sizedCache.entryCache.cache.length.should.be.at.most(2500);
+
+      // least recently used entry is read from storage
+      const before = sizedCache.getStats();
+      await sizedCache.get({id: ids[0]});
+      await sizedCache.get({id: ids[2]});
+      const after = sizedCache.getStats();
+      (after.counters.databaseHits - before.counters.databaseHits)
+        .should.equal(1);
+      (after.counters.memoryHits - before.counters.memoryHits)
+        .should.equal(1);
+    });
+
+    it('should not keep a value larger than "maxValueBytes"', async () => {
+      const id = crypto.randomUUID();
+      const value = {s: 'x'.repeat(2000)};
+      await sizedCache.upsert({id, value, ttl: 30000});
+      const before = sizedCache.getStats();
+      const record1 = await sizedCache.get({id});
+      record1.entry.value.should.eql(value);
+      sizedCache.entryCache.cache.itemCount.should.equal(0);
+      const record2 = await sizedCache.get({id});
+      record2.entry.value.should.eql(value);
+      sizedCache.entryCache.cache.itemCount.should.equal(0);
+      const after = sizedCache.getStats();
+      (after.counters.databaseHits - before.counters.databaseHits)
+        .should.equal(2);
+    });
+
+    it('should not keep an entry in memory after it expires', async () => {
+      const clock = useClock();
+      const id = crypto.randomUUID();
+      const {entry: {tokenizedId}} = await sizedCache.upsert(
+        {id, value: {}, ttl: 1000});
+      await sizedCache.get({id});
+      const key = tokenizedId.toString('base64url');
+      sizedCache.entryCache.cache.has(key).should.equal(true);
+      clock.advance(1001);
+      const before = sizedCache.getStats();
+      let err;
+      try {
+        await sizedCache.get({id});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('NotFoundError');
+      const after = sizedCache.getStats();
+      (after.counters.memoryHits - before.counters.memoryHits)
+        .should.equal(0);
+      sizedCache.entryCache.cache.has(key).should.equal(false);
+    });
+  });
+
+  describe('administration', () => {
+    beforeEach(async () => {
+      memoryCache.storage.records.clear();
+      memoryCache._invalidateAll();
+    });
+
+    it('should list entries one page at a time', async () => {
+      const ids = [];
+      for(let i = 0; i < 3; ++i) {
+        const id = crypto.randomUUID();
+        ids.push(id);
+        await memoryCache.upsert({id, value: {i}, ttl: 30000});
+      }
+      const page1 = await memoryCache.listEntries({limit: 2});
+      page1.records.length.should.equal(2);
+      page1.cursor.should.be.a('string');
+      const page2 = await memoryCache.listEntries(
+        {limit: 2, after: page1.cursor});
+      page2.records.length.should.equal(1);
+      should.equal(page2.cursor, null);
+
+      const records = [...page1.records, ...page2.records];
+      records.map(({entry}) => entry.value.i).sort().should.eql([0, 1, 2]);
+      const tokenizedIds = records.map(
+        ({entry}) => entry.tokenizedId.toString('base64url'));
+      new Set(tokenizedIds).size.should.equal(3);
+    });
+
+    it('should filter listed entries', async () => {
+      const clock = useClock();
+      await memoryCache.upsert(
+        {id: crypto.randomUUID(), value: 'soon', ttl: 1000});
+      await memoryCache.upsert(
+        {id: crypto.randomUUID(), value: 'later', ttl: 60000});
+      await memoryCache.upsert(
+        {id: crypto.randomUUID(), value: 'expired', ttl: 0});
+      clock.advance(1);
+
+      let {records} = await memoryCache.listEntries();
+      records.map(({entry}) => entry.value).sort().should.eql(
+        ['later', 'soon']);
+      ({records} = await memoryCache.listEntries({includeExpired: true}));
+      records.length.should.equal(3);
+      ({records} = await memoryCache.listEntries(
+        {expiresBefore: new Date(clock.now() + 10000)}));
+      records.map(({entry}) => entry.value).should.eql(['soon']);
+      ({records} = await memoryCache.listEntries({values: false}));
+      records.length.should.equal(2);
+      for(const {entry} of records) {
+        should.not.exist(entry.value);
+      }
+    });
+
+    it('should reject an invalid cursor', async () => {
+      let err;
+      try {
+        await memoryCache.listEntries({after: '!'});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('DataError');
+    });
+
+    it('should count entries', async () => {
+      const clock = useClock();
+      await memoryCache.upsert({id: crypto.randomUUID(), value: 1, ttl: 30000});
+      await memoryCache.upsert({id: crypto.randomUUID(), value: 2, ttl: 0});
+      clock.advance(1);
+      const counts = await memoryCache.countEntries();
+      counts.should.eql({total: 2, expired: 1, unexpired: 1});
+    });
+
+    it('should count entries in a database collection', async () => {
+      const counts1 = await namedCache.countEntries();
+      await namedCache.upsert({id: crypto.randomUUID(), value: 1, ttl: 30000});
+      const counts2 = await namedCache.countEntries();
+      counts2.total.should.equal(counts1.total + 1);
+      counts2.unexpired.should.equal(counts1.unexpired + 1);
+    });
+
+    it('should inspect an entry by its raw ID', async () => {
+      const clock = useClock();
+      const id = crypto.randomUUID();
+      await memoryCache.upsert({id, value: 'expired', ttl: 0});
+      clock.advance(1);
+      const record = await memoryCache.inspectEntry({id});
+      record.entry.value.should.equal('expired');
+
+      let err;
+      try {
+        await memoryCache.inspectEntry({id: crypto.randomUUID()});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('NotFoundError');
+    });
+  });
+
+  describe('cache.exportEntries() and cache.importEntries()', () => {
+    beforeEach(async () => {
+      memoryCache.storage.records.clear();
+      memoryCache._invalidateAll();
+    });
+
+    it('should export and import entries', async () => {
+      const clock = useClock();
+      const id1 = crypto.randomUUID();
+      const id2 = crypto.randomUUID();
+      const value = {a: 1, b: Buffer.from([1, 2, 3])};
+      await memoryCache.upsert({id: id1, value, ttl: 30000, tags: ['x']});
+      await memoryCache.upsert({id: id2, value: 'two', ttl: 30000});
+      await memoryCache.upsert(
+        {id: crypto.randomUUID(), value: 'expired', ttl: 0});
+      clock.advance(1);
+
+      const text = await _readStream(await memoryCache.exportEntries());
+      const lines = text.trim().split('\n').map(line => JSON.parse(line));
+      lines.length.should.equal(3);
+      const [header] = lines;
+      header.format.should.equal('tokenized-cache-export');
+      header.cacheName.should.equal('memory');
+      const tokenizer = await tokenizers.getCurrent();
+      header.tokenizerId.should.equal(tokenizer.id);
+      lines[1].tokenizerId.should.equal(tokenizer.id);
+
+      memoryCache.storage.records.clear();
+      memoryCache._invalidateAll();
+      const result = await memoryCache.importEntries(
+        {stream: Readable.from([text])});
+      result.should.eql({imported: 2, skipped: 0});
+      const record1 = await memoryCache.get({id: id1});
+      record1.entry.value.should.eql(value);
+      Buffer.isBuffer(record1.entry.value.b).should.equal(true);
+      const record2 = await memoryCache.get({id: id2});
+      record2.entry.value.should.equal('two');
+      const count = await memoryCache.invalidateByTag({tag: 'x'});
+      count.should.equal(1);
+    });
+
+    it('should export entries from a database collection', async () => {
+      const id = crypto.randomUUID();
+      const {entry} = await cache.upsert({id, value: {a: 1}, ttl: 30000});
+      const text = await _readStream(await cache.exportEntries());
+      const tokenizedId = entry.tokenizedId.toString('base64url');
+      const line = text.trim().split('\n').map(l => JSON.parse(l))
+        .find(l => l.tokenizedId === tokenizedId);
+      should.exist(line);
+      line.value.should.eql({a: 1});
+      line.expires.should.equal(entry.expires.toISOString());
+    });
+
+    it('should resolve conflicts via "onConflict"', async () => {
+      const clock = useClock();
+      const id = crypto.randomUUID();
+      await memoryCache.upsert({id, value: 'exported', ttl: 30000});
+      const text = await _readStream(await memoryCache.exportEntries());
+      clock.advance(1);
+      await memoryCache.upsert({id, value: 'existing', ttl: 30000});
+
+      let result = await memoryCache.importEntries(
+        {stream: Readable.from([text])});
+      result.should.eql({imported: 0, skipped: 1});
+      (await memoryCache.get({id})).entry.value.should.equal('existing');
+
+      result = await memoryCache.importEntries(
+        {stream: Readable.from([text]), onConflict: 'keepNewer'});
+      result.should.eql({imported: 0, skipped: 1});
+      (await memoryCache.get({id})).entry.value.should.equal('existing');
+
+      result = await memoryCache.importEntries(
+        {stream: Readable.from([text]), onConflict: 'overwrite'});
+      result.should.eql({imported: 1, skipped: 0});
+      (await memoryCache.get({id})).entry.value.should.equal('exported');
+    });
+
+    it('should import encrypted values without decrypting them', async () => {
+      const id = crypto.randomUUID();
+      await memoryCache.upsert({id, value: 'a', ttl: 30000});
+      const text = await _readStream(await memoryCache.exportEntries());
+      memoryCache.storage.records.clear();
+      memoryCache._invalidateAll();
+
+      // a value encrypted using a KEK that does not exist here
+      const [header, line] = text.trim().split('\n');
+      const {value, ...entry} = JSON.parse(line);
+      value.should.equal('a');
+      entry.encrypted = {
+        algorithm: 'A256GCM',
+        kekId: 'urn:kek:unknown',
+        wrappedKey: 'unknown',
+        ciphertext: {$binary: {base64: 'AAAA', subType: '00'}}
+      };
+      const result = await memoryCache.importEntries({
+        stream: Readable.from([`${header}\n${JSON.stringify(entry)}\n`])
+      });
+      result.should.eql({imported: 1, skipped: 0});
+      const [record] = memoryCache.storage.records.values();
+      record.entry.encrypted.kekId.should.equal('urn:kek:unknown');
+      should.not.exist(record.entry.value);
+    });
+
+    it('should refuse entries from an unknown tokenizer', async () => {
+      const id = crypto.randomUUID();
+      await memoryCache.upsert({id, value: 'a', ttl: 30000});
+      const text = await _readStream(await memoryCache.exportEntries());
+      const [header, ...rest] = text.trim().split('\n');
+      const mismatched = [
+        JSON.stringify({...JSON.parse(header), tokenizerId: 'urn:unknown'}),
+        ...rest.map(line => JSON.stringify(
+          {...JSON.parse(line), tokenizerId: undefined}))
+      ].join('\n');
+
+      memoryCache.storage.records.clear();
+      let err;
+      try {
+        await memoryCache.importEntries({stream: Readable.from([mismatched])});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('InvalidStateError');
+      memoryCache.storage.records.size.should.equal(0);
+    });
+
+    it('should reject an invalid export', async () => {
+      let err;
+      try {
+        await memoryCache.importEntries(
+          {stream: Readable.from(['{"foo": "bar"}\n'])});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('DataError');
+    });
+  });
+
+  describe('tokenizer rotation', () => {
+    let rotationConfig;
+    before(() => {
+      rotationConfig = namedCache.config.tokenizerRotation;
+    });
+    afterEach(() => {
+      namedCache.config.tokenizerRotation = rotationConfig;
+    });
+
+    it('should record the tokenizer used for an entry', async () => {
+      const tokenizer = await tokenizers.getCurrent();
+      const id = crypto.randomUUID();
+      const record1 = await namedCache.upsert({id, value: {}, ttl: 30000});
+      record1.entry.tokenizerId.should.equal(tokenizer.id);
+      namedCache.entryCache.cache.reset();
+      const record2 = await namedCache.get({id});
+      record2.entry.tokenizerId.should.equal(tokenizer.id);
+    });
+
+    it('should find and rekey an entry after rotation', async () => {
+      const previousTokenizer = await tokenizers.getCurrent();
+      const id = crypto.randomUUID();
+      const record1 = await namedCache.upsert({
+        id,
+        value: {rotated: true},
+        ttl: 30000
+      });
+
+      // rotate tokenizer
+      await tokenizers.deprecateCurrent();
+      const currentTokenizer = await tokenizers.getCurrent();
+      currentTokenizer.id.should.not.equal(previousTokenizer.id);
+      namedCache.entryCache.cache.reset();
+
+      // entry should not be found without a previous tokenizer configured
+      namedCache.config.tokenizerRotation = {
+        previousTokenizerIds: [],
+        rekey: true
+      };
+      let err;
+      try {
+        await namedCache.get({id});
+      } catch(e) {
+        err = e;
+      }
+      err.name.should.equal('NotFoundError');
+
+      // entry should be found and rekeyed with previous tokenizer configured
+      // (once the cached not found result is cleared)
+      namedCache.config.tokenizerRotation = {
+        previousTokenizerIds: [previousTokenizer.id],
+        rekey: true
+      };
+      namedCache.notFoundCache.cache.reset();
+      const record2 = await namedCache.get({id});
+      record2.entry.value.should.eql({rotated: true});
+      record2.entry.expires.should.eql(record1.entry.expires);
+      record2.entry.tokenizerId.should.equal(currentTokenizer.id);
+
+      // entry should now be stored using the current tokenizer only
+      const {tokenizedId} = await cache.tokenizeId({id});
+      record2.entry.tokenizedId.should.eql(tokenizedId);
+      const results = await namedCache.getMany({
+        tokenizedIds: [tokenizedId, record1.entry.tokenizedId]
+      });
+      results[0].status.should.equal('found');
+      results[1].status.should.equal('notFound');
+    });
+
+    it('should find an entry without rekeying after rotation', async () => {
+      const previousTokenizer = await tokenizers.getCurrent();
+      const id = crypto.randomUUID();
+      const record1 = await namedCache.upsert({id, value: {}, ttl: 30000});
+
+      // rotate tokenizer
+      await tokenizers.deprecateCurrent();
+      namedCache.entryCache.cache.reset();
+
+      namedCache.config.tokenizerRotation = {
+        previousTokenizerIds: [previousTokenizer.id],
+        rekey: false
+      };
+      const record2 = await namedCache.get({id});
+      record1.should.eql(record2);
+
+      // removing by `id` should remove the entry stored using the previous
+      // tokenizer
+      const removed = await namedCache.remove({id});
+      removed.should.equal(true);
+      namedCache.entryCache.cache.reset();
+      let err;
+      try {
+        await namedCache.get({id});
+      } catch(e) {
+        err = e;
+      }
+      err.name.should.equal('NotFoundError');
+    });
+  });
+
+  describe('encryption', () => {
+    before(() => {
+      namedCache.config.encryption.enabled = true;
+    });
+    after(() => {
+      namedCache.config.encryption.enabled = false;
+    });
+
+    it('should store an encrypted value', async () => {
+      namedCache.entryCache.cache.reset();
+
+      const id = crypto.randomUUID();
+      const value = {secret: 'value', nested: {array: [1, 2, 3]}};
+      const record1 = await namedCache.upsert({id, value, ttl: 30000});
+      record1.entry.value.should.eql(value);
+
+      // database record should only include encrypted value
+      const {tokenizedId} = record1.entry;
+      const stored = await findRecord({
+        query: {'entry.tokenizedId': tokenizedId},
+        collectionName: namedCache.collectionName
+      });
+      should.not.exist(stored.entry.value);
+      should.exist(stored.entry.encrypted);
+      stored.entry.encrypted.algorithm.should.equal('A256GCM');
+      stored.entry.encrypted.kekId.should.be.a('string');
+      stored.entry.encrypted.ciphertext.toString('utf8')
+        .should.not.include('value');
+
+      // retrieved record should include decrypted value only
+      const record2 = await namedCache.get({id});
+      record1.should.eql(record2);
+      should.not.exist(record2.entry.encrypted);
+      namedCache.entryCache.cache.reset();
+      const record3 = await namedCache.get({id});
+      record1.should.eql(record3);
+      const [result] = await namedCache.getMany({ids: [id]});
+      result.record.should.eql(record1);
+    });
+
+    it('should decrypt values after KEK rotation', async () => {
+      const id1 = crypto.randomUUID();
+      const record1 = await namedCache.upsert({
+        id: id1, value: {a: 1}, ttl: 30000
+      });
+      const stored1 = await findRecord({
+        query: {'entry.tokenizedId': record1.entry.tokenizedId},
+        collectionName: namedCache.collectionName
+      });
+
+      const deprecated = await cache.deprecateCurrentKek();
+      deprecated.should.equal(true);
+
+      const id2 = crypto.randomUUID();
+      const record2 = await namedCache.upsert({
+        id: id2, value: {b: 2}, ttl: 30000
+      });
+      const stored2 = await findRecord({
+        query: {'entry.tokenizedId': record2.entry.tokenizedId},
+        collectionName: namedCache.collectionName
+      });
+      stored1.entry.encrypted.kekId.should.not.equal(
+        stored2.entry.encrypted.kekId);
+
+      namedCache.entryCache.cache.reset();
+      const results = await namedCache.getMany({ids: [id1, id2]});
+      results[0].record.entry.value.should.eql({a: 1});
+      results[1].record.entry.value.should.eql({b: 2});
+    });
+
+    it('should read values written without encryption', async () => {
+      namedCache.config.encryption.enabled = false;
+      const id = crypto.randomUUID();
+      const record1 = await namedCache.upsert({id, value: {}, ttl: 30000});
+      namedCache.config.encryption.enabled = true;
+      namedCache.entryCache.cache.reset();
+      const record2 = await namedCache.get({id});
+      record1.should.eql(record2);
+    });
+  });
+
+  describe('large and binary values', () => {
+    it('should store a binary value', async () => {
+      const id = crypto.randomUUID();
+      const value = crypto.randomBytes(32);
+      const record1 = await namedCache.upsert({id, value, ttl: 30000});
+      record1.entry.value.should.equal(value);
+
+      namedCache.entryCache.cache.reset();
+      const record2 = await namedCache.get({id});
+      Buffer.isBuffer(record2.entry.value).should.equal(true);
+      record2.entry.value.equals(value).should.equal(true);
+    });
+
+    it('should retrieve a Uint8Array value as a Buffer', async () => {
+      for(const storedCache of [namedCache, memoryCache]) {
+        const id = crypto.randomUUID();
+        const value = new Uint8Array([1, 2, 3]);
+        await storedCache.upsert({id, value, ttl: 30000});
+        storedCache.entryCache.cache.reset();
+        const record = await storedCache.get({id});
+        Buffer.isBuffer(record.entry.value).should.equal(true);
+        record.entry.value.should.eql(Buffer.from(value));
+      }
+    });
+
+    describe('compression', () => {
+      let compression;
+      before(() => {
+        ({compression} = namedCache.config);
+        namedCache.config.compression = {algorithm: 'gzip', threshold: 100};
+      });
+      after(() => {
+        namedCache.config.compression = compression;
+      });
+
+      it('should store a compressed value', async () => {
+        const id = crypto.randomUUID();
+        const value = {text: 'compressible '.repeat(100), number: 1};
+        const record1 = await namedCache.upsert({id, value, ttl: 30000});
+        record1.entry.value.should.eql(value);
+
+        // database record should only include compressed value
+        const stored = await findRecord({
+          query: {'entry.tokenizedId': record1.entry.tokenizedId},
+          collectionName: namedCache.collectionName
+        });
+        should.not.exist(stored.entry.value);
+        stored.entry.compressed.algorithm.should.equal('gzip');
+        stored.entry.compressed.data.length.should.be.below(
+          value.text.length);
+
+        // retrieved record should include decompressed value only
+        namedCache.entryCache.cache.reset();
+        const record2 = await namedCache.get({id});
+        record2.should.eql(record1);
+        should.not.exist(record2.entry.compressed);
+        const [result] = await namedCache.getMany({ids: [id]});
+        result.record.should.eql(record1);
+      });
+
+      it('should revalidate a stale compressed entry', async () => {
+        const clock = useClock();
+        const id = crypto.randomUUID();
+        const value = {text: 'compressible '.repeat(100)};
+        await namedCache.upsert({id, value, ttl: 1000});
+        clock.advance(1001);
+        namedCache.entryCache.cache.reset();
+
+        let revalidated;
+        const allowStale = {
+          maxStaleness: 30000,
+          ttl: 30000,
+          revalidate: async ({record}) => {
+            revalidated = record;
+            return {a: 2};
+          }
+        };
+        const record = await namedCache.get({id, allowStale});
+        record.stale.should.equal(true);
+        record.entry.value.should.eql(value);
+        await Promise.all(namedCache.revalidations.values());
+        revalidated.stale.should.equal(true);
+        revalidated.entry.value.should.eql(value);
+        should.not.exist(revalidated.entry.compressed);
+        (await namedCache.get({id})).entry.value.should.eql({a: 2});
+      });
+
+      it('should not compress a small value', async () => {
+        const id = crypto.randomUUID();
+        const record = await namedCache.upsert(
+          {id, value: {a: 1}, ttl: 30000});
+        const stored = await findRecord({
+          query: {'entry.tokenizedId': record.entry.tokenizedId},
+          collectionName: namedCache.collectionName
+        });
+        stored.entry.value.should.eql({a: 1});
+        should.not.exist(stored.entry.compressed);
+      });
+
+      it('should read values compressed by another algorithm', async () => {
+        const id = crypto.randomUUID();
+        const value = {text: 'compressible '.repeat(100)};
+        namedCache.config.compression.algorithm = 'brotli';
+        let stored;
+        try {
+          const record = await namedCache.upsert({id, value, ttl: 30000});
+          stored = await findRecord({
+            query: {'entry.tokenizedId': record.entry.tokenizedId},
+            collectionName: namedCache.collectionName
+          });
+        } finally {
+          namedCache.config.compression.algorithm = 'gzip';
+        }
+        stored.entry.compressed.algorithm.should.equal('brotli');
+
+        namedCache.entryCache.cache.reset();
+        const record = await namedCache.get({id});
+        record.entry.value.should.eql(value);
+      });
+
+      it('should compress values before encrypting them', async () => {
+        const id = crypto.randomUUID();
+        const value = {text: 'compressible '.repeat(100)};
+        namedCache.config.encryption.enabled = true;
+        let stored;
+        try {
+          const record = await namedCache.upsert({id, value, ttl: 30000});
+          stored = await findRecord({
+            query: {'entry.tokenizedId': record.entry.tokenizedId},
+            collectionName: namedCache.collectionName
+          });
+        } finally {
+          namedCache.config.encryption.enabled = false;
+        }
+        should.not.exist(stored.entry.compressed);
+        stored.entry.encrypted.compression.should.equal('gzip');
+        stored.entry.encrypted.ciphertext.length.should.be.below(
+          value.text.length);
+
+        namedCache.entryCache.cache.reset();
+        const record = await namedCache.get({id});
+        record.entry.value.should.eql(value);
+      });
+    });
+
+    describe('overflow', () => {
+      let overflow;
+      before(() => {
+        overflow = {...namedCache.config.overflow};
+        namedCache.config.overflow.threshold = 1024;
+      });
+      after(() => {
+        Object.assign(namedCache.config.overflow, overflow);
+      });
+
+      async function findFile({record}) {
+        const stored = await findRecord({
+          query: {'entry.tokenizedId': record.entry.tokenizedId},
+          collectionName: namedCache.collectionName
+        });
+        should.not.exist(stored.entry.value);
+        should.exist(stored.entry.overflow);
+        const {fileId} = stored.entry.overflow;
+        return namedCache.storage.filesCollection.findOne({_id: fileId});
+      }
+
+      it('should store a large value in a file', async () => {
+        const id = crypto.randomUUID();
+        const value = crypto.randomBytes(4096);
+        const record1 = await namedCache.upsert({id, value, ttl: 30000});
+        record1.entry.value.should.equal(value);
+        should.not.exist(record1.entry.overflow);
+        const file = await findFile({record: record1});
+        should.exist(file);
+
+        namedCache.entryCache.cache.reset();
+        const record2 = await namedCache.get({id});
+        record2.entry.value.equals(value).should.equal(true);
+        should.not.exist(record2.entry.overflow);
+        const [result] = await namedCache.getMany({ids: [id]});
+        result.record.entry.value.equals(value).should.equal(true);
+      });
+
+      it('should store a value larger than a database record', async () => {
+        namedCache.config.overflow.threshold = overflow.threshold;
+        try {
+          const id = crypto.randomUUID();
+          const value = Buffer.alloc(17 * 1024 * 1024, 1);
+          await namedCache.upsert({id, value, ttl: 30000});
+          namedCache.entryCache.cache.reset();
+          const record = await namedCache.get({id});
+          record.entry.value.equals(value).should.equal(true);
+        } finally {
+          namedCache.config.overflow.threshold = 1024;
+        }
+      });
+
+      it('should remove a file with its entry', async () => {
+        const id = crypto.randomUUID();
+        const record = await namedCache.upsert(
+          {id, value: crypto.randomBytes(4096), ttl: 30000});
+        const file = await findFile({record});
+        await namedCache.remove({id});
+        const removed = await namedCache.storage.filesCollection.findOne(
+          {_id: file._id});
+        should.not.exist(removed);
+      });
+
+      it('should remove unreferenced files when sweeping', async () => {
+        const id = crypto.randomUUID();
+        const record = await namedCache.upsert(
+          {id, value: crypto.randomBytes(4096), ttl: 30000});
+        const file = await findFile({record});
+        // remove the entry as a TTL index would
+        await namedCache.collection.deleteOne(
+          {'entry.tokenizedId': record.entry.tokenizedId});
+
+        // file is not removed until it is old enough
+        let result = await namedCache.sweeper.sweepFiles();
+        result.swept.should.equal(true);
+        should.exist(await namedCache.storage.filesCollection.findOne(
+          {_id: file._id}));
+
+        namedCache.config.overflow.orphanAge = 0;
+        try {
+          result = await namedCache.sweeper.sweepFiles();
+        } finally {
+          namedCache.config.overflow.orphanAge = overflow.orphanAge;
+        }
+        result.swept.should.equal(true);
+        result.removed.should.be.at.least(1);
+        should.not.exist(await namedCache.storage.filesCollection.findOne(
+          {_id: file._id}));
+        const chunks = await namedCache.storage.chunksCollection
+          .countDocuments({files_id: file._id});
+        chunks.should.equal(0);
+      });
+
+      it('should store a rekeyed value in a file', async () => {
+        const {tokenizerRotation} = namedCache.config;
+        const previousTokenizer = await tokenizers.getCurrent();
+        const id = crypto.randomUUID();
+        const value = crypto.randomBytes(4096);
+        await namedCache.upsert({id, value, ttl: 30000});
+
+        await tokenizers.deprecateCurrent();
+        namedCache.config.tokenizerRotation = {
+          previousTokenizerIds: [previousTokenizer.id],
+          rekey: true
+        };
+        try {
+          namedCache.entryCache.cache.reset();
+          const record = await namedCache.get({id});
+          record.entry.value.equals(value).should.equal(true);
+          should.exist(await findFile({record}));
+        } finally {
+          namedCache.config.tokenizerRotation = tokenizerRotation;
+        }
+      });
+
+      it('should not increment a value stored in a file', async () => {
+        const id = crypto.randomUUID();
+        const record = await namedCache.upsert(
+          {id, value: {count: 1, padding: 'x'.repeat(2048)}, ttl: 30000});
+        should.exist(await findFile({record}));
+        let err;
+        try {
+          await namedCache.increment({id, field: 'count'});
+        } catch(e) {
+          err = e;
+        }
+        err.name.should.equal('NotSupportedError');
+      });
+    });
+  });
+
+  describe('cache._hmacString()', () => {
+    let hmac;
+    before(async () => {
+      ({hmac} = await tokenizers.getCurrent());
+    });
+
+    it('should produce a 34 byte Buffer give a small value', async () => {
+      let result;
+      let error;
+      const value = '670dbcb1-164a-4d47-8d54-e3e89f5831f9';
+      try {
+        result = await cache._hmacString({hmac, value});
+      } catch(e) {
+        error = e;
+      }
+      assertNoError(error);
+      result.should.be.instanceOf(Buffer);
+      result.should.have.length(34);
+    });
+
+    it('should produce a 34 byte Buffer given a large value', async () => {
+      let result;
+      let error;
+      const value = crypto.randomBytes(4096).toString('hex');
+      try {
+        result = await cache._hmacString({hmac, value});
+      } catch(e) {
+        error = e;
+      }
+      assertNoError(error);
+      result.should.be.instanceOf(Buffer);
+      result.should.have.length(34);
+    });
+
+    it('should produce the same output given the same value', async () => {
+      let result1;
+      let error;
+      const value = '294c9caa-707a-4758-ae5c-fe7306c25cc2';
+      try {
+        result1 = await cache._hmacString({hmac, value});
+      } catch(e) {
+        error = e;
+      }
+      assertNoError(error);
+
+      let result2;
+      error = undefined;
+      try {
+        result2 = await cache._hmacString({hmac, value});
+      } catch(e) {
+        error = e;
+      }
+      assertNoError(error);
+
+      result1.should.eql(result2);
+    });
+
+    it('should produce different output given different values', async () => {
+      let result1;
+      let error;
+      try {
+        result1 = await cache._hmacString({
+          hmac,
+          value: '294c9caa-707a-4758-ae5c-fe7306c25cc2'
+        });
+      } catch(e) {
+        error = e;
+      }
+      assertNoError(error);
+
+      let result2;
+      error = undefined;
+      try {
+        result2 = await cache._hmacString({
+          hmac,
+          value: '0e26c923-84e6-4918-9337-f82c56951007'
+        });
+      } catch(e) {
+        error = e;
+      }
+      assertNoError(error);
+
+      result1.should.not.eql(result2);
+    });
+  });
+});
+
+describe('Cache Entry Database Tests', function() {
+  describe('Indexes', function() {
+    beforeEach(async () => {
+      const collectionName = 'tokenized-cache-entry';
+      await cleanDB({collectionName});
+
+      await insertRecord({record: mockEntryRecord1, collectionName});
+      // second record is inserted here in order to do proper assertions for
+      // 'nReturned', 'totalKeysExamined' and 'totalDocsExamined'.
+      await insertRecord({record: mockEntryRecord2, collectionName});
+    });
+    it('is properly indexed for query of ' +
+      `'entry.tokenizedId' in get()`, async function() {
+      const {tokenizedId} = mockEntryRecord1.entry;
+      const {executionStats} = await cache.get({tokenizedId, explain: true});
+      executionStats.nReturned.should.equal(1);
+      executionStats.totalKeysExamined.should.equal(1);
+      executionStats.totalDocsExamined.should.equal(1);
+      executionStats.executionStages.inputStage.inputStage.inputStage.stage
+        .should.equal('IXSCAN');
+      executionStats.executionStages.inputStage.inputStage.inputStage
+        .keyPattern.should.eql({'entry.tokenizedId': 1});
+    });
+    it('is properly indexed for query of ' +
+      `'entry.tokenizedId' in getMany()`, async function() {
+      const {tokenizedId} = mockEntryRecord1.entry;
+      const {executionStats} = await cache.getMany(
+        {tokenizedIds: [tokenizedId], explain: true});
+      executionStats.nReturned.should.equal(1);
+      executionStats.totalKeysExamined.should.equal(1);
+      executionStats.totalDocsExamined.should.equal(1);
+      executionStats.executionStages.inputStage.inputStage.stage
+        .should.equal('IXSCAN');
+      executionStats.executionStages.inputStage.inputStage
+        .keyPattern.should.eql({'entry.tokenizedId': 1});
+    });
+    it('is properly indexed for query of ' +
+      `'entry.tokenizedId' in update()`, async function() {
+      const {tokenizedId} = mockEntryRecord1.entry;
+      const {executionStats} = await cache.update(
+        {tokenizedId, value: {}, expectedSequence: 0, explain: true});
+      executionStats.nReturned.should.equal(1);
+      executionStats.totalKeysExamined.should.equal(1);
+      executionStats.totalDocsExamined.should.equal(1);
+      executionStats.executionStages.inputStage.inputStage.stage
+        .should.equal('IXSCAN');
+      executionStats.executionStages.inputStage.inputStage
+        .keyPattern.should.eql({'entry.tokenizedId': 1});
+    });
+    it('is properly indexed for query of ' +
+      `'entry.tokenizedId' in touch()`, async function() {
+      const {tokenizedId} = mockEntryRecord1.entry;
+      const {executionStats} = await cache.touch(
+        {tokenizedId, ttl: 30000, explain: true});
+      executionStats.nReturned.should.equal(1);
+      executionStats.totalKeysExamined.should.equal(1);
+      executionStats.totalDocsExamined.should.equal(1);
+      executionStats.executionStages.inputStage.inputStage.stage
+        .should.equal('IXSCAN');
+      executionStats.executionStages.inputStage.inputStage
+        .keyPattern.should.eql({'entry.tokenizedId': 1});
+    });
+    it('is properly indexed for query of ' +
+      `'entry.tokenizedId' in increment()`, async function() {
+      const {tokenizedId} = mockEntryRecord1.entry;
+      const {executionStats} = await cache.increment(
+        {tokenizedId, field: 'count', explain: true});
+      executionStats.nReturned.should.equal(1);
+      executionStats.totalKeysExamined.should.equal(1);
+      executionStats.totalDocsExamined.should.equal(1);
+      executionStats.executionStages.inputStage.inputStage.stage
+        .should.equal('IXSCAN');
+      executionStats.executionStages.inputStage.inputStage
+        .keyPattern.should.eql({'entry.tokenizedId': 1});
+    });
+    it('is properly indexed for query of ' +
+      `'entry.tokenizedId' in listEntries()`, async function() {
+      const {executionStats} = await cache.listEntries(
+        {limit: 1, explain: true});
+      executionStats.nReturned.should.equal(1);
+      executionStats.executionStages.inputStage.inputStage.stage
+        .should.equal('IXSCAN');
+      executionStats.executionStages.inputStage.inputStage
+        .keyPattern.should.eql({'entry.tokenizedId': 1});
+    });
+    it('is properly indexed for query of ' +
+      `'entry.tags' in invalidateByTag()`, async function() {
+      const {executionStats} = await cache.invalidateByTag(
+        {tag: 'test', explain: true});
+      executionStats.nReturned.should.equal(0);
+      executionStats.totalDocsExamined.should.equal(0);
+      executionStats.executionStages.inputStage.stage
+        .should.equal('IXSCAN');
+      executionStats.executionStages.inputStage
+        .keyPattern.should.eql({'entry.tags': 1});
+    });
+    it('is properly indexed for query of ' +
+      `'entry.tokenizedId' in remove()`, async function() {
+      const {tokenizedId} = mockEntryRecord1.entry;
+      const {executionStats} = await cache.remove({tokenizedId, explain: true});
+      executionStats.nReturned.should.equal(1);
+      executionStats.totalKeysExamined.should.equal(1);
+      executionStats.totalDocsExamined.should.equal(1);
+      executionStats.executionStages.inputStage.inputStage.stage
+        .should.equal('IXSCAN');
+      executionStats.executionStages.inputStage.inputStage
+        .keyPattern.should.eql({'entry.tokenizedId': 1});
+    });
+  });
+});
+
+async function _readStream(stream) {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return chunks.join('');
+}
@@ -0,0 +1,219 @@
+/*!
+ * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
+ */
+import {AUTHORIZED_HEADER, namedCache} from './helpers.js';
+import {restoreClock, useClock} from '@bedrock/tokenized-cache/test';
+import {agent} from '@bedrock/https-agent';
+import {cache} from '@bedrock/tokenized-cache';
+import {config} from '@bedrock/core';
+import crypto from 'node:crypto';
+import {httpClient} from '@digitalbazaar/http-client';
+
+const headers = {[AUTHORIZED_HEADER]: 'true'};
+
+function entryUrl({cacheName = 'default', id}) {
+  const {routes} = config['tokenized-cache'].http;
+  const path = routes.entry
+    .replace(':cacheName', cacheName)
+    .replace(':entryId', encodeURIComponent(id));
+  return config.server.baseUri + routes.basePath + path;
+}
+
+describe('HTTP API', () => {
+  describe('GET entry', () => {
+    it('should get an entry', async () => {
+      const id = crypto.randomUUID();
+      const record = await cache.upsert({id, value: {a: 1}, ttl: 30000});
+      const response = await httpClient.get(
+        entryUrl({id}), {agent, headers});
+      response.status.should.equal(200);
+      response.data.should.eql({
+        id,
+        value: {a: 1},
+        expires: record.entry.expires.toISOString(),
+        sequence: 0
+      });
+    });
+
+    it('should get an entry from a named cache', async () => {
+      const id = `urn:test:${crypto.randomUUID()}`;
+      await namedCache.upsert({id, value: {named: true}, ttl: 30000});
+      const response = await httpClient.get(
+        entryUrl({cacheName: 'test', id}), {agent, headers});
+      response.status.should.equal(200);
+      response.data.value.should.eql({named: true});
+    });
+
+    it('should return 404 for a missing entry', async () => {
+      let err;
+      try {
+        await httpClient.get(
+          entryUrl({id: crypto.randomUUID()}), {agent, headers});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.status.should.equal(404);
+      err.data.type.should.equal('NotFoundError');
+    });
+
+    it('should return 404 for a missing cache', async () => {
+      let err;
+      try {
+        await httpClient.get(
+          entryUrl({cacheName: 'missing', id: crypto.randomUUID()}),
+          {agent, headers});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.status.should.equal(404);
+    });
+
+    it('should return 403 for an unauthorized request', async () => {
+      const id = crypto.randomUUID();
+      await cache.upsert({id, value: {}, ttl: 30000});
+      let err;
+      try {
+        await httpClient.get(entryUrl({id}), {agent});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.status.should.equal(403);
+      err.data.type.should.equal('NotAllowedError');
+    });
+  });
+
+  describe('PUT entry', () => {
+    it('should create and then update an entry', async () => {
+      const id = crypto.randomUUID();
+      const response1 = await httpClient.put(entryUrl({id}), {
+        agent, headers, json: {value: {a: 1}, ttl: 30000}
+      });
+      response1.status.should.equal(201);
+      response1.data.sequence.should.equal(0);
+
+      const response2 = await httpClient.put(entryUrl({id}), {
+        agent, headers, json: {value: {a: 2}}
+      });
+      response2.status.should.equal(200);
+      response2.data.sequence.should.equal(1);
+
+      const record = await cache.get({id});
+      record.entry.value.should.eql({a: 2});
+    });
+
+    it('should create an entry in place of an expired entry', async () => {
+      const clock = useClock();
+      try {
+        const id = crypto.randomUUID();
+        await cache.upsert({id, value: {a: 1}, ttl: 1000});
+        await cache.upsert({id, value: {a: 2}, ttl: 1000});
+        clock.advance(1001);
+        const response = await httpClient.put(entryUrl({id}), {
+          agent, headers, json: {value: {a: 3}, ttl: 30000}
+        });
+        response.status.should.equal(201);
+        response.data.sequence.should.equal(0);
+      } finally {
+        restoreClock();
+      }
+    });
+
+    it('should return 409 for an unexpected sequence', async () => {
+      const id = crypto.randomUUID();
+      await cache.upsert({id, value: {a: 1}, ttl: 30000});
+      await cache.upsert({id, value: {a: 2}, ttl: 30000});
+      let err;
+      try {
+        await httpClient.put(entryUrl({id}), {
+          agent, headers, json: {value: {a: 3}, expectedSequence: 0}
+        });
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.status.should.equal(409);
+      err.data.type.should.equal('InvalidStateError');
+
+      const response = await httpClient.put(entryUrl({id}), {
+        agent, headers, json: {value: {a: 3}, expectedSequence: 1}
+      });
+      response.status.should.equal(200);
+      response.data.sequence.should.equal(2);
+    });
+
+    it('should preserve the expiration when updating by sequence',
+      async () => {
+        const id = crypto.randomUUID();
+        const record = await cache.upsert({id, value: {a: 1}, ttl: 30000});
+        const response = await httpClient.put(entryUrl({id}), {
+          agent, headers, json: {value: {a: 2}, expectedSequence: 0}
+        });
+        response.status.should.equal(200);
+        response.data.expires.should.equal(
+          record.entry.expires.toISOString());
+      });
+
+    it('should return 400 for an invalid body', async () => {
+      let err;
+      try {
+        await httpClient.put(entryUrl({id: crypto.randomUUID()}), {
+          agent, headers, json: {value: {}, ttl: -1}
+        });
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.status.should.equal(400);
+      err.data.type.should.equal('ValidationError');
+    });
+  });
+
+  describe('DELETE entry', () => {
+    it('should remove an entry', async () => {
+      const id = crypto.randomUUID();
+      await cache.upsert({id, value: {}, ttl: 30000});
+      const response = await httpClient.delete(
+        entryUrl({id}), {agent, headers});
+      response.status.should.equal(204);
+
+      let err;
+      try {
+        await httpClient.delete(entryUrl({id}), {agent, headers});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.status.should.equal(404);
+    });
+  });
+
+  describe('POST content ID', () => {
+    it('should create a content ID', async () => {
+      const {routes} = config['tokenized-cache'].http;
+      const url = config.server.baseUri + routes.basePath + routes.contentIds;
+      const content = {b: 2, a: 1};
+      const response = await httpClient.post(url, {
+        agent, headers, json: {content}
+      });
+      response.status.should.equal(200);
+      const expected = await cache.createContentId({content});
+      response.data.should.eql(expected);
+    });
+
+    it('should create a content ID using an algorithm', async () => {
+      const {routes} = config['tokenized-cache'].http;
+      const url = config.server.baseUri + routes.basePath + routes.contentIds;
+      const content = {b: 2, a: 1};
+      const algorithm = 'sha2-512';
+      const response = await httpClient.post(url, {
+        agent, headers, json: {content, algorithm}
+      });
+      response.status.should.equal(200);
+      const expected = await cache.createContentId({content, algorithm});
+      response.data.should.eql(expected);
+    });
+  });
+});
@@ -0,0 +1,185 @@
+/*!
+ * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
+ */
+import {
+  clearMemoryCache, clearStorage, createTokenizer, restoreClock,
+  restoreTokenizers, TestClock, useClock, useTokenizers
+} from '@bedrock/tokenized-cache/test';
+import {memoryCache, namedCache} from './helpers.js';
+import {cache} from '@bedrock/tokenized-cache';
+import crypto from 'node:crypto';
+
+describe('Test utilities', () => {
+  afterEach(() => {
+    restoreClock();
+    restoreTokenizers();
+  });
+
+  describe('createTokenizer()', () => {
+    it('should tokenize IDs deterministically', async () => {
+      const id = crypto.randomUUID();
+      const {tokenizedId: tokenizedId1} = await cache.tokenizeId(
+        {id, tokenizer: createTokenizer({secret: 'secret1'})});
+      const {tokenizedId: tokenizedId2} = await cache.tokenizeId(
+        {id, tokenizer: createTokenizer({secret: 'secret1'})});
+      const {tokenizedId: tokenizedId3} = await cache.tokenizeId(
+        {id, tokenizer: createTokenizer({secret: 'secret2'})});
+      tokenizedId1.should.eql(tokenizedId2);
+      tokenizedId1.should.not.eql(tokenizedId3);
+    });
+
+    it('should be used as the current tokenizer', async () => {
+      const tokenizer = useTokenizers(
+        {current: createTokenizer({id: 'urn:tokenizer:mock'})});
+      const id = crypto.randomUUID();
+      const record = await memoryCache.upsert({id, value: {}, ttl: 30000});
+      record.entry.tokenizerId.should.equal('urn:tokenizer:mock');
+      const {tokenizedId} = await cache.tokenizeId({id, tokenizer});
+      record.entry.tokenizedId.should.eql(tokenizedId);
+      const found = await memoryCache.get({id});
+      found.entry.tokenizedId.should.eql(tokenizedId);
+    });
+
+    it('should find entries using previous tokenizers', async () => {
+      const previous = createTokenizer({id: 'urn:tokenizer:previous'});
+      const current = createTokenizer({id: 'urn:tokenizer:current'});
+      const id = crypto.randomUUID();
+      useTokenizers({current: previous});
+      await memoryCache.upsert({id, value: {rotated: true}, ttl: 30000});
+
+      useTokenizers({current, previous: [previous]});
+      const {tokenizerRotation} = memoryCache.config;
+      memoryCache.config.tokenizerRotation = {
+        previousTokenizerIds: [previous.id], rekey: true
+      };
+      try {
+        clearMemoryCache({name: 'memory'});
+        const record = await memoryCache.get({id});
+        record.entry.value.should.eql({rotated: true});
+        record.entry.tokenizerId.should.equal(current.id);
+      } finally {
+        memoryCache.config.tokenizerRotation = tokenizerRotation;
+      }
+    });
+  });
+
+  describe('useClock()', () => {
+    it('should expire entries without waiting', async () => {
+      const clock = useClock();
+      const id = crypto.randomUUID();
+      await memoryCache.upsert({id, value: {}, ttl: 60000});
+      // in memory
+      await memoryCache.get({id});
+
+      clock.advance(59999);
+      await memoryCache.get({id});
+
+      clock.advance(2);
+      let err;
+      try {
+        await memoryCache.get({id});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('NotFoundError');
+    });
+
+    it('should expire entries stored in a database collection', async () => {
+      const clock = useClock({clock: new TestClock({now: new Date()})});
+      const id = crypto.randomUUID();
+      await namedCache.upsert({id, value: {}, ttl: 60000});
+      clock.advance(60001);
+      clearMemoryCache({name: 'test'});
+      let err;
+      try {
+        await namedCache.get({id});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('NotFoundError');
+    });
+
+    it('should limit the time entries are kept in memory', async () => {
+      const clock = useClock();
+      const id = crypto.randomUUID();
+      await memoryCache.upsert({id, value: {}, ttl: 48 * 60 * 60 * 1000});
+      await memoryCache.get({id});
+      const before = memoryCache.getStats();
+      await memoryCache.get({id});
+      // past `caches.entry.maxAge`
+      clock.advance(24 * 60 * 60 * 1000 + 1);
+      await memoryCache.get({id});
+      const after = memoryCache.getStats();
+      (after.counters.memoryHits - before.counters.memoryHits)
+        .should.equal(1);
+      (after.counters.databaseHits - before.counters.databaseHits)
+        .should.equal(1);
+    });
+
+    it('should limit the time not found results are kept', async () => {
+      const clock = useClock();
+      const id = crypto.randomUUID();
+      const before = memoryCache.getStats();
+      for(let i = 0; i < 2; ++i) {
+        try {
+          await memoryCache.get({id});
+        } catch(e) {
+          e.name.should.equal('NotFoundError');
+        }
+      }
+      // past `caches.notFound.maxAge`
+      clock.advance(5001);
+      try {
+        await memoryCache.get({id});
+      } catch(e) {
+        e.name.should.equal('NotFoundError');
+      }
+      const after = memoryCache.getStats();
+      (after.counters.notFoundHits - before.counters.notFoundHits)
+        .should.equal(1);
+      (after.counters.misses - before.counters.misses).should.equal(3);
+    });
+
+    it('should sweep entries that expired according to the clock',
+      async () => {
+        await clearStorage({name: 'memory'});
+        const clock = useClock();
+        await memoryCache.upsert(
+          {id: crypto.randomUUID(), value: {}, ttl: 60000});
+        (await memoryCache.sweep()).removed.should.equal(0);
+        clock.advance(60001);
+        (await memoryCache.sweep()).removed.should.equal(1);
+      });
+  });
+
+  describe('clearMemoryCache()', () => {
+    it('should clear in-memory entries', async () => {
+      const id = crypto.randomUUID();
+      await cache.upsert({id, value: {}, ttl: 30000});
+      await cache.get({id});
+      cache._ENTRY_CACHE.cache.itemCount.should.be.above(0);
+      clearMemoryCache();
+      cache._ENTRY_CACHE.cache.itemCount.should.equal(0);
+    });
+  });
+
+  describe('clearStorage()', () => {
+    it('should remove all entries from a database collection', async () => {
+      const id = crypto.randomUUID();
+      await namedCache.upsert({id, value: {}, ttl: 30000});
+      await namedCache.get({id});
+      (await clearStorage({name: 'test'})).should.be.above(0);
+      (await namedCache.countEntries()).total.should.equal(0);
+      namedCache.entryCache.cache.itemCount.should.equal(0);
+    });
+
+    it('should remove all entries from memory storage', async () => {
+      await memoryCache.upsert(
+        {id: crypto.randomUUID(), value: {}, ttl: 30000});
+      (await clearStorage({name: 'memory'})).should.be.above(0);
+      (await memoryCache.countEntries()).total.should.equal(0);
+    });
+  });
+});
@@ -2,11 +2,87 @@
  * Copyright (c) 2020-2024 Digital Bazaar, Inc. All rights reserved.
  */
 import * as database from '@bedrock/mongodb';
+import {cache} from '@bedrock/tokenized-cache';
+import {setAuthorizer} from '@bedrock/tokenized-cache/http';
+
+// header used by HTTP API tests to indicate an authorized request
+export const AUTHORIZED_HEADER = 'x-test-authorized';
+setAuthorizer({authorize: ({req}) => req.get(AUTHORIZED_HEADER) === 'true'});
+
+// named cache for tests; must be created before the database is ready
+export const namedCache = cache.createCache({
+  name: 'test',
+  caches: {
+    entry: {
+      maxSize: 10
+    }
+  }
+});
+
+// named cache with change streams enabled
+export const watchedCache = cache.createCache({
+  name: 'watched',
+  changeStreams: {
+    enabled: true
+  }
+});
+
+// named cache that relies on sweeping to remove expired records
+export const sweptCache = cache.createCache({
+  name: 'swept',
+  autoRemoveExpiredRecords: false,
+  sweeper: {
+    // sweep manually only
+    interval: 0,
+    batchSize: 2,
+    gracePeriod: 0
+  }
+});
+
+// named cache that stores its entries in memory only
+export const memoryCache = cache.createCache({
+  name: 'memory',
+  storage: 'memory',
+  autoRemoveExpiredRecords: false,
+  sweeper: {
+    // sweep manually only
+    interval: 0,
+    batchSize: 2,
+    gracePeriod: 0
+  }
+});
+
+// named cache with a restrictive expiration policy
+export const limitedCache = cache.createCache({
+  name: 'limited',
+  storage: 'memory',
+  expiration: {
+    minTtl: 1000,
+    maxTtl: 60000
+  }
+});
+
+// named cache with in-memory entries limited by the size of their values
+export const sizedCache = cache.createCache({
+  name: 'sized',
+  storage: 'memory',
+  caches: {
+    entry: {
+      maxBytes: 2500,
+      maxValueBytes: 1000
+    }
+  }
+});
 
 export async function cleanDB({collectionName}) {
   await database.collections[collectionName].deleteMany({});
 }
 
+export async function findRecord({query, collectionName}) {
+  const collection = database.collections[collectionName];
+  return collection.findOne(query, {projection: {_id: 0}});
+}
+
 export async function insertRecord({record, collectionName}) {
   const collection = database.collections[collectionName];
   await collection.insertOne(record);
@@ -10,11 +10,14 @@ import '@bedrock/meter';
 import '@bedrock/meter-usage-reporter';
 import '@bedrock/tokenizer';
 import '@bedrock/tokenized-cache';
+import '@bedrock/tokenized-cache/http';
 import '@bedrock/security-context';
 import '@bedrock/ssm-mongodb';
 import '@bedrock/test';
 
 import {mockData} from './mocha/mock.data.js';
+// create named test caches before the database is ready
+import './mocha/helpers.js';
 
 bedrock.events.on('bedrock.init', async () => {
   /* Handlers need to be added before `bedrock.start` is called. These are